@@ -0,0 +1,7 @@
+// Runtime settings of the 3D design studio, read when it starts. Edit this
+// file on a deployed build to point the studio at the LUXE store without
+// rebuilding. Left out, the store's address falls back to the
+// REACT_APP_STORE_URL build variable and then to the store's local dev server.
+window.LUXE_CONFIG = {
+  // storeUrl: "https://shop.example.com"
+};
@@ -1,30 +1,129 @@
-import React, { useState, useRef, useEffect } from "react";
-import { Canvas, useFrame, useThree } from "@react-three/fiber";
+import React, { useState, useRef, useEffect, useLayoutEffect, useMemo, useCallback } from "react";
+import { Canvas, createPortal, useFrame, useThree } from "@react-three/fiber";
 import {
   OrbitControls,
   FirstPersonControls,
   Grid,
   TransformControls,
-  Environment
+  Environment,
+  Sky,
+  PointerLockControls,
+  OrthographicCamera,
+  Line,
+  Html,
+  Outlines
 } from "@react-three/drei";
 import * as THREE from "three";
-
-/* Helper: Returns an interior camera position based on the door wall */
-function getInsidePosition(doorWall, roomWidth, roomLength, roomHeight) {
+import { getFurnitureShapes, getProductItemFields } from "luxe-catalog";
+import { createDefaultDesign, createRoom } from "./designSchema";
+import {
+  listSavedDesigns,
+  saveDesignToLibrary,
+  loadDesignFromLibrary,
+  deleteDesignFromLibrary,
+  findSavedDesign,
+  isDesignNameTaken,
+  downloadDesign,
+  downloadFile,
+  getDesignFileName,
+  readDesignFile
+} from "./designLibrary";
+import { buildExportScene, exportGLB, exportOBJ, isHelper } from "./sceneExport";
+import { getStoreLink, readDeepLink } from "./appLinks";
+import { IMAGE_SIZES, getObjectView, getPerspectiveViews, getStandardViews, renderImages } from "./imageExport";
+import { createZip } from "./zip";
+import { buildProposal } from "./proposal";
+import {
+  FURNITURE_CATALOG,
+  FURNITURE_CATEGORIES,
+  FURNITURE_SIZES,
+  changeItemType,
+  clampDimensions,
+  getCatalog,
+  getCatalogKey,
+  getItemDimensions,
+  searchCatalog
+} from "./furnitureCatalog";
+import {
+  LUXE_PRODUCTS,
+  findLuxeProduct,
+  formatPrice,
+  createProductItem,
+  getBillOfMaterials,
+  getCartPath,
+  getLinkedProduct,
+  getTypeProducts,
+  relinkProduct
+} from "./luxeCatalog";
+import { MATERIAL_PRESETS, changePartFinish, getPartMaterials, getPatternTexture } from "./materials";
+import { MODEL_UNITS, getModelItemFields, importModel, loadModel, setModelUnit } from "./modelImport";
+import { findCollisions, getPlacementProblems, describeProblems } from "./collision";
+import { SNAP_STEPS, IMPERIAL_SNAP_STEPS, ANGLE_STEP, snapValue, snapTransform } from "./snapping";
+import { useUndoableState, DEFAULT_HISTORY_LIMIT } from "./history";
+import {
+  createDoor,
+  createWindow,
+  getNextOpeningId,
+  getOpeningFrame,
+  getWallFrame,
+  getWallLength,
+  validateOpenings
+} from "./openings";
+import { buildWallGeometry } from "./wallGeometry";
+import {
+  getClearances,
+  getDoorSymbol,
+  getFootprint,
+  getWallDimensions,
+  getWindowSymbol
+} from "./planDrawing";
+import { addMeasurement, getDistance } from "./measurement";
+import {
+  LENGTH_UNITS,
+  formatDimensions,
+  formatLength,
+  fromUnit,
+  loadUnitPreference,
+  parseLength,
+  saveUnitPreference,
+  toUnit
+} from "./units";
+import {
+  canWalkTo,
+  getConnectingOpenings,
+  getWallSkips,
+  moveOutline,
+  placeNextTo
+} from "./floorPlan";
+import {
+  ROOM_SHAPES,
+  createOutline,
+  getLightPoints,
+  getOutlineBounds,
+  getWalls,
+  getWallLabel,
+  insertCorner,
+  isInsideOutline,
+  isValidOutline,
+  offsetOutline,
+  removeCorner
+} from "./roomShape";
+
+/* Helper: Returns an interior camera position just inside the given door */
+function getInsidePosition(door, room) {
   const offset = 1; // how far inside from the wall
-  switch (doorWall) {
-    case "front":
-      return [0, roomHeight / 2, roomLength / 2 - offset];
-    case "back":
-      return [0, roomHeight / 2, -roomLength / 2 + offset];
-    case "left":
-      return [-roomWidth / 2 + offset, roomHeight / 2, 0];
-    case "right":
-      return [roomWidth / 2 - offset, roomHeight / 2, 0];
-    default:
-      return [0, roomHeight / 2, 0];
+  if (!door || !getWalls(room)[door.wall]) {
+    const [x, z] = getOutlineBounds(room.outline).center;
+    return [x, room.height / 2, z];
   }
-} 
+  const { position, rotation } = getOpeningFrame(door, room);
+  // the frame's local +Z points into the room
+  return [
+    position[0] + Math.sin(rotation[1]) * offset,
+    room.height / 2,
+    position[2] + Math.cos(rotation[1]) * offset
+  ];
+}
 
 /* Smooth camera transition for Orbit mode */
 function CameraTransition({ targetPosition }) {
@@ -49,14 +148,75 @@ function CameraController({ navMode, target }) {
   return navMode === "orbit" ? <CameraTransition targetPosition={target} /> : null;
 }
 
+/* Helper: a THREE.Shape through [x, y] points */
+function toShape(points) {
+  return new THREE.Shape(points.map(([x, y]) => new THREE.Vector2(x, y)));
+}
+
+/* Helper: a shape through [x, z] floor points, for meshes laid down with a
+   -90° X rotation (which turns world Z into -Y) */
+function toFloorShape(points) {
+  return toShape(points.map(([x, z]) => [x, -z]));
+}
+
+/* WalkControls Component:
+   - Walk mode: click the scene to look around with the mouse (pointer lock,
+     Esc to release) and move with WASD or the arrow keys.
+   - Steps that would leave the rooms are refused unless they pass through a
+     doorway (canMoveTo), so you go from room to room through their doors.
+     Blocked steps slide along the wall instead.
+*/
+function WalkControls({ canMoveTo, speed = 2 }) {
+  const { camera } = useThree();
+  const keys = useRef({});
+  useEffect(() => {
+    const handleKey = (e) => {
+      const tag = e.target.tagName;
+      if (tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT") return;
+      keys.current[e.key.toLowerCase()] = e.type === "keydown";
+    };
+    window.addEventListener("keydown", handleKey);
+    window.addEventListener("keyup", handleKey);
+    return () => {
+      window.removeEventListener("keydown", handleKey);
+      window.removeEventListener("keyup", handleKey);
+    };
+  }, []);
+
+  useFrame((_, delta) => {
+    const k = keys.current;
+    const forward = (k.w || k.arrowup ? 1 : 0) - (k.s || k.arrowdown ? 1 : 0);
+    const sideways = (k.d || k.arrowright ? 1 : 0) - (k.a || k.arrowleft ? 1 : 0);
+    if (!forward && !sideways) return;
+    const facing = camera.getWorldDirection(new THREE.Vector3()).setY(0).normalize();
+    const right = new THREE.Vector3().crossVectors(facing, camera.up).normalize();
+    const step = facing.multiplyScalar(forward).add(right.multiplyScalar(sideways)).setLength(speed * delta);
+    const { x, z } = camera.position;
+    if (canMoveTo([x + step.x, z + step.z])) {
+      camera.position.x += step.x;
+      camera.position.z += step.z;
+    } else if (canMoveTo([x + step.x, z])) {
+      camera.position.x += step.x;
+    } else if (canMoveTo([x, z + step.z])) {
+      camera.position.z += step.z;
+    }
+  });
+
+  return <PointerLockControls selector="#studio-scene canvas" />;
+}
+
 /* Floor Component:
-   - Renders a grid and a floor plane whose color is customizable.
+   - Renders a grid over the room's extent and a floor cut to the room
+     outline, whose color is customizable.
 */
-function Floor({ width, length, floorColor }) {
+function Floor({ outline, floorColor }) {
+  const { width, length, center } = getOutlineBounds(outline);
+  const geometry = useMemo(() => new THREE.ShapeGeometry(toFloorShape(outline)), [outline]);
+  useEffect(() => () => geometry.dispose(), [geometry]);
   return (
     <group>
       <Grid
-        position={[0, 0.01, 0]}
+        position={[center[0], 0.01, center[1]]}
         args={[width, length]}
         cellSize={1}
         cellThickness={1}
@@ -66,8 +226,7 @@ function Floor({ width, length, floorColor }) {
         fadeStrength={1}
         infiniteGrid={false}
       />
-      <mesh rotation={[-Math.PI / 2, 0, 0]}>
-        <planeGeometry args={[width, length]} />
+      <mesh name="Floor" rotation={[-Math.PI / 2, 0, 0]} geometry={geometry} receiveShadow>
         <meshStandardMaterial color={floorColor} />
       </mesh>
     </group>
@@ -75,36 +234,61 @@ function Floor({ width, length, floorColor }) {
 }
 
 /* Ceiling Component:
-   - Uses box geometry to create a ceiling (roof) with a visible thickness.
+   - The room outline extruded to a ceiling (roof) with a visible thickness.
    - The bottom of the ceiling is flush with the top of the walls.
+   - Overhangs the room by `overhang` (the wall thickness, per wall) so it
+     also covers the wall tops.
 */
-function Ceiling({ roomWidth, roomLength, roomHeight, ceilingColor, thickness = 0.2 }) {
+function Ceiling({ outline, roomHeight, ceilingColor, thickness = 0.2, overhang = 0 }) {
+  // overhang is one distance or one per wall; keyed as a string so a new but equal array keeps the geometry
+  const overhangKey = String(overhang);
+  const geometry = useMemo(
+    () =>
+      // zero-size bevel: see buildWallGeometry
+      new THREE.ExtrudeGeometry(toShape(offsetOutline(outline, overhangKey.split(",").map(Number))), {
+        depth: thickness,
+        bevelEnabled: true,
+        bevelThickness: 0,
+        bevelSize: 0,
+        bevelSegments: 1
+      }),
+    [outline, overhangKey, thickness]
+  );
+  useEffect(() => () => geometry.dispose(), [geometry]);
+  // Rotated so the shape's Y becomes world Z and the extrusion points down
   return (
-    <mesh position={[0, roomHeight + thickness / 2, 0]}>
-      <boxGeometry args={[roomWidth, thickness, roomLength]} />
+    <mesh
+      name="Ceiling"
+      geometry={geometry}
+      position={[0, roomHeight + thickness, 0]}
+      rotation={[Math.PI / 2, 0, 0]}
+    >
       <meshStandardMaterial color={ceilingColor} />
     </mesh>
   );
 }
 
 /* Door Component:
-   - Renders a door with its left side acting as the hinge.
+   - Renders a door centred on its origin, in a frame whose +Z faces into the room.
+   - hinge ("left"/"right" seen from inside) picks the edge the leaf pivots on;
+     swing ("in"/"out") picks which side it opens to.
    - Includes interior and exterior door handles.
    - Clicking toggles its open/closed state.
    - Uses the provided doorColor.
 */
-function Door({ doorWidth, doorHeight, onToggle, color, ...props }) {
+function Door({ doorWidth, doorHeight, hinge = "left", swing = "in", onToggle, color, ...props }) {
   const [open, setOpen] = useState(false);
   const doorRef = useRef();
+  const hingeX = hinge === "left" ? -doorWidth / 2 : doorWidth / 2;
   const closedAngle = 0;
-  const openAngle = -Math.PI / 2;
+  const openAngle = (hinge === "left" ? -1 : 1) * (swing === "in" ? 1 : -1) * Math.PI / 2;
 
   // Door handle dimensions
   const handleWidth = 0.03;
   const handleHeight = 0.15;
   const handleDepth = 0.04;
   const handleDistance = 0.08;
-  const handleHorizontalPosition = doorWidth * 0.8;
+  const handleHorizontalPosition = (hinge === "left" ? 1 : -1) * doorWidth * 0.3; // near the free edge
 
   useFrame(() => {
     if (doorRef.current) {
@@ -136,7 +320,7 @@ function Door({ doorWidth, doorHeight, onToggle, color, ...props }) {
     const mountDirection = isExterior ? -1 : 1;
     
     return (
-      <group position={[handleHorizontalPosition - doorWidth/2, 0, zOffset]}>
+      <group position={[handleHorizontalPosition, 0, zOffset]}>
         {/* Main handle bar */}
         {createHandlePart(
           [handleWidth, handleHeight, handleDepth],
@@ -164,23 +348,26 @@ function Door({ doorWidth, doorHeight, onToggle, color, ...props }) {
 
   return (
     <group {...props} onClick={handleClick}>
-      <mesh ref={doorRef} position={[doorWidth / 2, doorHeight / 2, 0]}>
-        {/* Door panel */}
-        <boxGeometry args={[doorWidth, doorHeight, 0.05]} />
-        <meshStandardMaterial color={color} />
-
-        {/* Exterior Handle */}
-        {createHandle(true)}
-
-        {/* Interior Handle */}
-        {createHandle(false)}
-
-        {/* Door frame trim */}
-        <mesh position={[0, 0, 0.028]}>
-          <boxGeometry args={[doorWidth + 0.05, doorHeight + 0.05, 0.01]} />
-          <meshStandardMaterial color={color} metalness={0.1} roughness={0.8} />
+      {/* Hinge pivot: the leaf rotates around its hinge edge */}
+      <group ref={doorRef} position={[hingeX, 0, 0]}>
+        <mesh position={[-hingeX, doorHeight / 2, 0]}>
+          {/* Door panel */}
+          <boxGeometry args={[doorWidth, doorHeight, 0.05]} />
+          <meshStandardMaterial color={color} />
+
+          {/* Exterior Handle */}
+          {createHandle(true)}
+
+          {/* Interior Handle */}
+          {createHandle(false)}
+
+          {/* Door frame trim */}
+          <mesh position={[0, 0, 0.028]}>
+            <boxGeometry args={[doorWidth + 0.05, doorHeight + 0.05, 0.01]} />
+            <meshStandardMaterial color={color} metalness={0.1} roughness={0.8} />
+          </mesh>
         </mesh>
-      </mesh>
+      </group>
     </group>
   );
 }
@@ -289,498 +476,790 @@ function Window({ windowWidth, windowHeight, color, ...props }) {
   );
 }
 
-/* Walls Component:
-   - Renders all four walls.
-   - Conditionally places a Door and/or Window on selected walls.
-   - Accepts doorOffset and windowOffset (in meters) to adjust horizontal placement.
+/* Wall Component:
+   - One solid wall with real thickness and its openings cut out
+     (see buildWallGeometry), placed in the wall's local frame.
+   - `skip` lists the stretches a neighbouring room builds instead.
 */
-function Walls({
-  width,
-  length,
-  height,
-  frontWallColor,
-  backWallColor,
-  leftWallColor,
-  rightWallColor,
-  doorWall,
-  windowWall,
-  onDoorToggle,
-  doorColor,
-  windowColor,
-  doorOffset,
-  doorWidth,
-  doorHeight,
-  windowOffset,
-  windowWidth,
-  windowHeight,
-  windowHeightFromFloor
-}) {
-  // For front/back walls, horizontal dimension is roomWidth.
-  const doorWidthFB = width * 0.3;
-  const windowWidthFB = width * 0.3;
-
-  // For left/right walls, horizontal dimension is roomLength.
-  const windowWidthSide = length * 0.3;
-  const windowZOffset = 0.1; // increased offset for visibility
-
-  // Helper function to get window position for each wall
-  const getWindowPosition = (wall) => {
-    switch (wall) {
-      case "front":
-        return [-windowWidth / 2 + windowOffset, windowHeightFromFloor + windowHeight / 2, length / 2 + 0.1];
-      case "back":
-        return [-windowWidth / 2 + windowOffset, windowHeightFromFloor + windowHeight / 2, -length / 2 - 0.1];
-      case "left":
-        return [-width / 2 - 0.1, windowHeightFromFloor + windowHeight / 2, -windowWidth / 2 + windowOffset];
-      case "right":
-        return [width / 2 + 0.1, windowHeightFromFloor + windowHeight / 2, -windowWidth / 2 + windowOffset];
-      default:
-        return [0, windowHeightFromFloor + windowHeight / 2, 0];
-    }
-  };
-
-  // Helper function to get door position and rotation for each wall
-  const getDoorTransform = (wall) => {
-    switch (wall) {
-      case "front":
-        return {
-          position: [-doorWidth/2 + doorOffset, 0, length/2],
-          rotation: [0, 0, 0]
-        };
-      case "back":
-        return {
-          position: [-doorWidth/2 + doorOffset, 0, -length/2],
-          rotation: [0, Math.PI, 0]
-        };
-      case "left":
-        return {
-          position: [-width/2, 0, -doorWidth/2 + doorOffset],
-          rotation: [0, Math.PI/2, 0]
-        };
-      case "right":
-        return {
-          position: [width/2, 0, -doorWidth/2 + doorOffset],
-          rotation: [0, -Math.PI/2, 0]
-        };
-      default:
-        return { position: [0, 0, 0], rotation: [0, 0, 0] };
-    }
-  };
+function Wall({ wall, outline, height, openings, thickness, skip = [], color }) {
+  // Keyed on content, so a wall only rebuilds when its own openings or skipped stretches change
+  const cutKey = JSON.stringify([openings.filter((opening) => opening.wall === wall), skip]);
+  const geometry = useMemo(() => {
+    const [ownOpenings, ownSkip] = JSON.parse(cutKey);
+    return buildWallGeometry(wall, { outline, height }, ownOpenings, thickness, ownSkip);
+  }, [wall, outline, height, cutKey, thickness]);
+  useEffect(() => () => geometry.dispose(), [geometry]);
 
   return (
-    <group>
-      {/* Front Wall */}
-      <mesh position={[0, height / 2, length / 2]}>
-        <planeGeometry args={[width, height]} />
-        <meshStandardMaterial color={frontWallColor} side={THREE.DoubleSide} />
+    <group name={`Wall-${wall + 1}`} {...getWallFrame(wall, { outline })}>
+      <mesh geometry={geometry} castShadow receiveShadow>
+        <meshStandardMaterial color={color} />
       </mesh>
-      {doorWall === "front" && (
-        <Door
-          doorWidth={doorWidth}
-          doorHeight={doorHeight}
-          onToggle={onDoorToggle}
-          color={doorColor}
-          position={getDoorTransform("front").position}
-          rotation={getDoorTransform("front").rotation}
-        />
-      )}
-      {windowWall === "front" && (
-        <Window
-          windowWidth={windowWidth}
-          windowHeight={windowHeight}
-          color={windowColor}
-          position={getWindowPosition("front")}
-        />
-      )}
+    </group>
+  );
+}
 
-      {/* Back Wall */}
-      <mesh position={[0, height / 2, -length / 2]}>
-        <planeGeometry args={[width, height]} />
-        <meshStandardMaterial color={backWallColor} side={THREE.DoubleSide} />
-      </mesh>
-      {doorWall === "back" && (
-        <Door
-          doorWidth={doorWidth}
-          doorHeight={doorHeight}
-          onToggle={onDoorToggle}
-          color={doorColor}
-          position={getDoorTransform("back").position}
-          rotation={getDoorTransform("back").rotation}
-        />
-      )}
-      {windowWall === "back" && (
-        <Window
-          windowWidth={windowWidth}
-          windowHeight={windowHeight}
-          color={windowColor}
-          position={getWindowPosition("back")}
-          rotation={[0, Math.PI, 0]}
-        />
-      )}
+/* Walls Component:
+   - Renders one wall per edge of the room outline, with the room's wall
+     thickness outside the room and holes where the doors and windows are.
+   - Places every door and window from `openings` in its wall's local frame
+     (see getOpeningFrame), centred in the wall's thickness. Openings left on
+     a wall the room no longer has are skipped.
+   - `cutouts` are all openings to cut through the walls (the room's own and
+     its neighbours' connecting ones); `skips` maps wall index to the
+     stretches left to a neighbour (see getWallSkips).
+*/
+function Walls({ room, openings, cutouts = openings, skips = {}, onDoorToggle }) {
+  const { outline, height, wallThickness: thickness, wallColors } = room;
 
-      {/* Left Wall */}
-      <mesh position={[-width / 2, height / 2, 0]} rotation={[0, Math.PI / 2, 0]}>
-        <planeGeometry args={[length, height]} />
-        <meshStandardMaterial color={leftWallColor} side={THREE.DoubleSide} />
-      </mesh>
-      {doorWall === "left" && (
-        <Door
-          doorWidth={doorWidth}
-          doorHeight={doorHeight}
-          onToggle={onDoorToggle}
-          color={doorColor}
-          position={getDoorTransform("left").position}
-          rotation={getDoorTransform("left").rotation}
-        />
-      )}
-      {windowWall === "left" && (
-        <Window
-          windowWidth={windowWidth}
-          windowHeight={windowHeight}
-          color={windowColor}
-          position={getWindowPosition("left")}
-          rotation={[0, Math.PI / 2, 0]}
+  return (
+    <group>
+      {outline.map((_, wall) => (
+        <Wall
+          key={wall}
+          wall={wall}
+          outline={outline}
+          height={height}
+          openings={cutouts}
+          thickness={thickness}
+          skip={skips[wall]}
+          color={wallColors[wall]}
         />
-      )}
+      ))}
 
-      {/* Right Wall */}
-      <mesh position={[width / 2, height / 2, 0]} rotation={[0, -Math.PI / 2, 0]}>
-        <planeGeometry args={[length, height]} />
-        <meshStandardMaterial color={rightWallColor} side={THREE.DoubleSide} />
-      </mesh>
-      {doorWall === "right" && (
-        <Door
-          doorWidth={doorWidth}
-          doorHeight={doorHeight}
-          onToggle={onDoorToggle}
-          color={doorColor}
-          position={getDoorTransform("right").position}
-          rotation={getDoorTransform("right").rotation}
-        />
-      )}
-      {windowWall === "right" && (
-        <Window
-          windowWidth={windowWidth}
-          windowHeight={windowHeight}
-          color={windowColor}
-          position={getWindowPosition("right")}
-          rotation={[0, -Math.PI / 2, 0]}
+      {/* Doors and windows */}
+      {openings.filter((opening) => outline[opening.wall]).map((opening) => (
+        <group
+          key={opening.id}
+          name={`${opening.kind === "door" ? "Door" : "Window"}-${opening.id}`}
+          {...getOpeningFrame(opening, room)}
+        >
+          {opening.kind === "door" ? (
+            <Door
+              doorWidth={opening.width}
+              doorHeight={opening.height}
+              hinge={opening.hinge}
+              swing={opening.swing}
+              onToggle={onDoorToggle}
+              color={opening.color}
+              position={[0, 0, -thickness / 2]}
+            />
+          ) : (
+            <Window
+              windowWidth={opening.width}
+              windowHeight={opening.height}
+              color={opening.color}
+              position={[0, opening.sillHeight + opening.height / 2, -thickness / 2]}
+            />
+          )}
+        </group>
+      ))}
+    </group>
+  );
+}
+
+/* RoomModel Component:
+   - Floor, ceiling and walls of one room of the floor plan, tagged for
+     export as "Room-<id>" (see sceneExport.js).
+   - Leaves out the stretches of wall a neighbouring room builds, and cuts
+     the neighbours' connecting doors and windows through the walls it
+     builds itself (see floorPlan.js). The ceiling only overhangs the walls
+     the room builds.
+*/
+function RoomModel({ entry, rooms, showCeiling, onDoorToggle }) {
+  const { room, openings } = entry;
+  const skips = getWallSkips(rooms, entry.id);
+  const cutouts = [...openings, ...getConnectingOpenings(rooms, entry.id)];
+  return (
+    <group name={`Room-${entry.id}`} userData={{ export: true }}>
+      <Floor outline={room.outline} floorColor={room.floorColor} />
+      {showCeiling && (
+        <Ceiling
+          outline={room.outline}
+          roomHeight={room.height}
+          ceilingColor={room.ceilingColor}
+          overhang={room.outline.map((_, wall) => (skips[wall] ? 0 : room.wallThickness))}
         />
       )}
+      <Walls room={room} openings={openings} cutouts={cutouts} skips={skips} onDoorToggle={onDoorToggle} />
     </group>
   );
 }
 
-/* ----- Furniture Components ----- */
+/* OutlineEditor Component:
+   - Floor plan handles for the room's corners, shown in the 2D view.
+   - Dragging a corner moves it across the floor (onMove); double-clicking
+     a corner removes it (onRemove); clicking the small handle in the middle
+     of a wall splits that wall with a new corner (onInsert).
+   - Pauses the default (orbit) controls while a corner is dragged.
+*/
+function OutlineEditor({ outline, onMove, onInsert, onRemove }) {
+  const controls = useThree((state) => state.controls);
+  const [dragging, setDragging] = useState(null);
+  const floor = useMemo(() => new THREE.Plane(new THREE.Vector3(0, 1, 0), 0), []);
 
-/* Furniture size configurations */
-const FURNITURE_SIZES = {
-  Chair: {
-    Small: { width: 0.5, depth: 0.5, height: 0.8, seatHeight: 0.4 },
-    Medium: { width: 0.6, depth: 0.6, height: 0.9, seatHeight: 0.45 },
-    Large: { width: 0.7, depth: 0.7, height: 1.0, seatHeight: 0.5 }
-  },
-  Table: {
-    Small: { width: 1.2, depth: 0.6, height: 0.7 },
-    Medium: { width: 1.6, depth: 0.8, height: 0.73 },
-    Large: { width: 2.0, depth: 1.0, height: 0.75 }
-  },
-  Bed: {
-    Small: { width: 1.4, depth: 1.9, height: 0.5 }, // Single bed
-    Medium: { width: 1.6, depth: 2.0, height: 0.5 }, // Double bed
-    Large: { width: 2.1, depth: 2.4, height: 0.5 }  // King size bed
-  },
-  Sofa: {
-    Small: { width: 1.6, depth: 0.8, height: 0.9 },
-    Medium: { width: 2.2, depth: 1.0, height: 1.0 },
-    Large: { width: 2.8, depth: 1.2, height: 1.0 }
-  },
-  Cabinet: {
-    Small: { width: 0.8, depth: 0.4, height: 1.6 },
-    Medium: { width: 1.0, depth: 0.5, height: 2.0 },
-    Large: { width: 1.2, depth: 0.6, height: 2.4 }
-  },
-  Wardrobes: {
-    Small: { width: 1.6, depth: 0.5, height: 2.4 },
-    Medium: { width: 2.0, depth: 0.6, height: 3.0 },
-    Large: { width: 2.4, depth: 0.7, height: 3.2 }
-  },
-  Rack: {
-    Small: { width: 1.2, depth: 0.3, height: 1.2 },
-    Medium: { width: 1.8, depth: 0.4, height: 1.6 },
-    Large: { width: 2.4, depth: 0.5, height: 2.0 }
-  }
-};
+  const startDrag = (e, index) => {
+    e.stopPropagation();
+    e.target.setPointerCapture(e.pointerId);
+    setDragging(index);
+    if (controls) controls.enabled = false;
+  };
+  const drag = (e, index) => {
+    if (dragging !== index) return;
+    e.stopPropagation();
+    const point = e.ray.intersectPlane(floor, new THREE.Vector3());
+    if (point) onMove(index, [point.x, point.z]);
+  };
+  const endDrag = (e) => {
+    if (dragging === null) return;
+    e.stopPropagation();
+    e.target.releasePointerCapture(e.pointerId);
+    setDragging(null);
+    if (controls) controls.enabled = true;
+  };
 
-/* Chair Component - Now with size support */
-function Chair({ color, size = "Medium" }) {
-  const dims = FURNITURE_SIZES.Chair[size];
   return (
     <group>
-      {/* Seat cushion */}
-      <mesh position={[0, dims.seatHeight, 0]}>
-        <boxGeometry args={[dims.width, 0.1, dims.depth]} />
-        <meshStandardMaterial color={color} roughness={0.7} metalness={0.1} />
-      </mesh>
-      {/* Backrest cushion */}
-      <mesh position={[0, dims.height - 0.2, -dims.depth/2 + 0.05]}>
-        <boxGeometry args={[dims.width, (dims.height - dims.seatHeight) * 0.8, 0.1]} />
-        <meshStandardMaterial color={color} roughness={0.7} metalness={0.1} />
-      </mesh>
-      {/* Frame */}
-      <group>
-        {/* Legs */}
-        {[[-1, -1], [1, -1], [-1, 1], [1, 1]].map(([x, z], i) => (
-          <mesh key={i} position={[x * (dims.width/2 - 0.05), dims.seatHeight/2, z * (dims.depth/2 - 0.05)]}>
-            <cylinderGeometry args={[0.02, 0.02, dims.seatHeight]} />
-            <meshStandardMaterial color="#A0A0A0" roughness={0.2} metalness={0.8} />
-          </mesh>
-        ))}
-      </group>
+      {outline.map(([x, z], index) => (
+        <mesh
+          key={`corner-${index}`}
+          position={[x, 0.05, z]}
+          onPointerDown={(e) => startDrag(e, index)}
+          onPointerMove={(e) => drag(e, index)}
+          onPointerUp={endDrag}
+          onClick={(e) => e.stopPropagation()}
+          onDoubleClick={(e) => {
+            e.stopPropagation();
+            onRemove(index);
+          }}
+        >
+          <sphereGeometry args={[0.15, 16, 16]} />
+          <meshBasicMaterial color={dragging === index ? "#ff9800" : "#1e88e5"} />
+        </mesh>
+      ))}
+      {getWalls({ outline }).map((wall) => (
+        <mesh
+          key={`split-${wall.index}`}
+          position={[wall.position[0], 0.05, wall.position[2]]}
+          onClick={(e) => {
+            e.stopPropagation();
+            onInsert(wall.index);
+          }}
+        >
+          <boxGeometry args={[0.15, 0.05, 0.15]} />
+          <meshBasicMaterial color="#90caf9" />
+        </mesh>
+      ))}
     </group>
   );
 }
 
-/* Table Component - Now with size support */
-function Table({ color, size = "Medium" }) {
-  const dims = FURNITURE_SIZES.Table[size];
+/* ----- 2D Plan Components ----- */
+
+/* PlanCamera Component:
+   - Orthographic camera looking straight down, zoomed so the whole floor
+     plan (`bounds`, see getOutlineBounds) fits the canvas with a margin.
+*/
+function PlanCamera({ bounds, margin = 3 }) {
+  const size = useThree((state) => state.size);
+  const zoom = Math.min(size.width / (bounds.width + margin), size.height / (bounds.length + margin));
   return (
-    <group>
-      {/* Table top */}
-      <mesh position={[0, dims.height, 0]}>
-        <boxGeometry args={[dims.width, 0.04, dims.depth]} />
-        <meshStandardMaterial color={color} roughness={0.6} metalness={0.1} />
-      </mesh>
-      {/* Legs */}
-      {[[-1, -1], [1, -1], [-1, 1], [1, 1]].map(([x, z], i) => (
-        <group key={i} position={[x * (dims.width/2 - 0.1), dims.height/2, z * (dims.depth/2 - 0.1)]}>
-          <mesh>
-            <cylinderGeometry args={[0.02, 0.02, dims.height]} />
-            <meshStandardMaterial color="#A0A0A0" roughness={0.2} metalness={0.8} />
-          </mesh>
+    <OrthographicCamera
+      makeDefault
+      position={[bounds.center[0], 50, bounds.center[1]]}
+      zoom={zoom}
+      near={0.1}
+      far={200}
+    />
+  );
+}
+
+/* FlatShape Component:
+   - A flat, unlit polygon on the floor through [x, z] points, lifted to
+     height y so later plan layers draw over earlier ones. `holes` are
+     cut out of it.
+*/
+function FlatShape({ points, holes = [], y = 0, color, ...props }) {
+  const key = JSON.stringify([points, holes]);
+  const geometry = useMemo(() => {
+    const [outer, inner] = JSON.parse(key);
+    const shape = toFloorShape(outer);
+    shape.holes = inner.map((hole) => toFloorShape(hole));
+    return new THREE.ShapeGeometry(shape);
+  }, [key]);
+  useEffect(() => () => geometry.dispose(), [geometry]);
+  return (
+    <mesh geometry={geometry} position={[0, y, 0]} rotation={[-Math.PI / 2, 0, 0]} {...props}>
+      <meshBasicMaterial color={color} />
+    </mesh>
+  );
+}
+
+/* Helper: [x, z] floor points to [x, y, z] for drei's Line */
+const lift = (points, y) => points.map(([x, z]) => [x, y, z]);
+
+/* PlanLabel Component: small text pinned to a floor point */
+function PlanLabel({ at, y = 0.1, children, color = "#333" }) {
+  return (
+    <Html position={[at[0], y, at[1]]} center style={{ pointerEvents: "none" }}>
+      <div style={{ fontSize: "11px", color, whiteSpace: "nowrap", fontFamily: "Helvetica, sans-serif" }}>
+        {children}
+      </div>
+    </Html>
+  );
+}
+
+/* PlanRoom Component:
+   - One room of the 2D plan: floor, solid wall outline, door and window
+     symbols (see planDrawing.js), its name and a dimension line per wall.
+   - Walls a neighbour builds are left to the neighbour, as in RoomModel.
+*/
+function PlanRoom({ entry, rooms, active, unit = "m" }) {
+  const { room, openings } = entry;
+  const skips = getWallSkips(rooms, entry.id);
+  const outer = offsetOutline(room.outline, room.outline.map((_, wall) => (skips[wall] ? 0 : room.wallThickness)));
+  const { center } = getOutlineBounds(room.outline);
+  const visible = openings.filter((opening) => room.outline[opening.wall]);
+
+  return (
+    <group userData={{ render: true }}>
+      <FlatShape points={room.outline} color={active ? "#eaf3fb" : "#f7f7f7"} />
+      <FlatShape points={outer} holes={[room.outline]} y={0.01} color="#333333" />
+      {visible.map((opening) => {
+        if (opening.kind === "door") {
+          const { gap, leaf, arc } = getDoorSymbol(opening, room);
+          return (
+            <group key={opening.id}>
+              <FlatShape points={gap} y={0.02} color="#ffffff" />
+              <Line points={lift(leaf, 0.03)} color="#333333" lineWidth={2} />
+              <Line points={lift(arc, 0.03)} color="#333333" lineWidth={1} dashed dashSize={0.1} gapSize={0.05} />
+            </group>
+          );
+        }
+        const { gap, lines } = getWindowSymbol(opening, room);
+        return (
+          <group key={opening.id}>
+            <FlatShape points={gap} y={0.02} color="#ffffff" />
+            {lines.map((line, i) => (
+              <Line key={i} points={lift(line, 0.03)} color="#1e88e5" lineWidth={1} />
+            ))}
+          </group>
+        );
+      })}
+      {getWallDimensions(room).map(({ wall, from, to, length }) => (
+        <group key={wall}>
+          <Line points={lift([from, to], 0.05)} color="#888888" lineWidth={1} />
+          <PlanLabel at={[(from[0] + to[0]) / 2, (from[1] + to[1]) / 2]} color="#666">
+            {formatLength(length, unit)}
+          </PlanLabel>
         </group>
       ))}
+      <PlanLabel at={center}>
+        <strong>{entry.name}</strong>
+      </PlanLabel>
     </group>
   );
 }
 
-/* Bed Component - Now with size support */
-function Bed({ color, size = "Medium" }) {
-  const dims = FURNITURE_SIZES.Bed[size];
-  
-  // Define pillow positions based on size
-  const getPillowPositions = () => {
-    switch(size) {
-      case "Small":
-        return [[-0.3]];
-      case "Medium":
-        return [[-0.4, 0.4]];
-      case "Large":
-        return [[-0.6, 0, 0.6]];
-      default:
-        return [[-0.4, 0.4]]; // Default to Medium
+/* PlanFurniture Component:
+   - An item's footprint in the 2D plan, labelled with its type.
+   - Drag it across the floor to move it; onDrag follows the position while
+     dragging (null once released) and the move is committed on release
+     through onMove (which applies snapping and collision rules, and returns
+     false when the move is rejected).
+   - With `draggable` off, pointer presses pass through to the plan.
+*/
+function PlanFurniture({ item, selected, invalid, draggable = true, onSelect, onDrag, onMove }) {
+  const controls = useThree((state) => state.controls);
+  const floor = useMemo(() => new THREE.Plane(new THREE.Vector3(0, 1, 0), 0), []);
+  const [drag, setDrag] = useState(null);
+  const shown = drag ? { ...item, position: drag.position } : item;
+  const footprint = getFootprint(shown);
+  const color = invalid ? "#ff0000" : selected ? "#E69DB8" : "#555555";
+
+  const pointOnFloor = (e) => e.ray.intersectPlane(floor, new THREE.Vector3());
+  const handlePointerDown = (e) => {
+    if (!draggable) return;
+    e.stopPropagation();
+    onSelect(item.id);
+    const point = pointOnFloor(e);
+    if (!point) return;
+    e.target.setPointerCapture(e.pointerId);
+    if (controls) controls.enabled = false;
+    setDrag({ grab: [point.x - item.position[0], point.z - item.position[2]], position: item.position });
+  };
+  const handlePointerMove = (e) => {
+    if (!drag) return;
+    e.stopPropagation();
+    const point = pointOnFloor(e);
+    if (point) {
+      const position = [point.x - drag.grab[0], item.position[1], point.z - drag.grab[1]];
+      setDrag({ ...drag, position });
+      if (onDrag) onDrag(position);
     }
   };
+  const handlePointerUp = (e) => {
+    if (!drag) return;
+    e.stopPropagation();
+    e.target.releasePointerCapture(e.pointerId);
+    if (controls) controls.enabled = true;
+    if (drag.position !== item.position) onMove(item.id, drag.position);
+    if (onDrag) onDrag(null);
+    setDrag(null);
+  };
 
   return (
-    <group>
-      {/* Bed frame */}
-      <mesh position={[0, dims.height/2, 0]}>
-        <boxGeometry args={[dims.width, dims.height, dims.depth]} />
-        <meshStandardMaterial color="#8B4513" roughness={0.8} metalness={0.1} />
-      </mesh>
-      {/* Mattress */}
-      <mesh position={[0, dims.height + 0.1, 0]}>
-        <boxGeometry args={[dims.width - 0.1, 0.2, dims.depth - 0.2]} />
-        <meshStandardMaterial color={color} roughness={0.9} metalness={0} />
-      </mesh>
-      {/* Pillows */}
-      {getPillowPositions()[0].map((x, i) => (
-        <mesh key={i} position={[x, dims.height + 0.25, -dims.depth/2 + 0.3]}>
-          <boxGeometry args={[0.5, 0.1, 0.4]} />
-          <meshStandardMaterial color="#FFFFFF" roughness={0.9} metalness={0} />
-        </mesh>
-      ))}
+    <group userData={{ render: true }}>
+      <FlatShape
+        points={footprint}
+        y={0.04}
+        color={selected ? "#fbe4ec" : "#ffffff"}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onClick={(e) => e.stopPropagation()}
+      />
+      <Line points={lift([...footprint, footprint[0]], 0.045)} color={color} lineWidth={selected ? 2 : 1} />
+      <PlanLabel at={[shown.position[0], shown.position[2]]}>{item.type}</PlanLabel>
     </group>
   );
 }
 
-/* Sofa Component - Now with size support */
-function Sofa({ color, size = "Medium" }) {
-  const dims = FURNITURE_SIZES.Sofa[size];
-  const numCushions = size === "Small" ? 2 : size === "Medium" ? 3 : 4;
-  const cushionWidth = (dims.width - 0.4) / numCushions;
-  
+/* ----- Measuring Components ----- */
+
+/* Clearances Component:
+   - Dashed dimension lines from each side of the selected item to the
+     nearest wall or item (see getClearances), labelled with the distance.
+   - Drawn on the floor, so they show in the 3D view as well as the plan.
+*/
+function Clearances({ item, entry, unit = "m" }) {
   return (
     <group>
-      {/* Base frame */}
-      <mesh position={[0, dims.height/4, 0]}>
-        <boxGeometry args={[dims.width, dims.height/2, dims.depth]} />
-        <meshStandardMaterial color="#4A4A4A" roughness={0.8} metalness={0.1} />
-      </mesh>
-      {/* Seat cushions */}
-      {Array.from({ length: numCushions }, (_, i) => {
-        const x = -dims.width/2 + cushionWidth/2 + cushionWidth * i + 0.2;
-        return (
-          <mesh key={i} position={[x, dims.height/2, 0]}>
-            <boxGeometry args={[cushionWidth - 0.1, 0.2, dims.depth - 0.2]} />
-            <meshStandardMaterial color={color} roughness={0.9} metalness={0} />
-          </mesh>
-        );
-      })}
-      {/* Backrest */}
-      <mesh position={[0, dims.height * 0.75, -dims.depth/2 + 0.1]}>
-        <boxGeometry args={[dims.width, dims.height/2, 0.2]} />
-        <meshStandardMaterial color={color} roughness={0.9} metalness={0} />
-      </mesh>
+      {getClearances(item, entry)
+        .filter(({ distance }) => distance > 0.01)
+        .map(({ from, to, distance }, i) => (
+          <group key={i}>
+            <Line points={lift([from, to], 0.06)} color="#e65100" lineWidth={1} dashed dashSize={0.08} gapSize={0.05} />
+            <PlanLabel at={[(from[0] + to[0]) / 2, (from[1] + to[1]) / 2]} color="#e65100">
+              {formatLength(distance, unit)}
+            </PlanLabel>
+          </group>
+        ))}
+    </group>
+  );
+}
+
+/* Helper: whether an object and all of its parents are shown */
+function isShown(object) {
+  for (let current = object; current; current = current.parent) {
+    if (!current.visible) return false;
+  }
+  return true;
+}
+
+/* MeasureTool Component:
+   - Wraps the part of the scene that can be measured. While `active`, a
+     click on any visible surface (floor, wall, item) reports the point hit
+     through onPick; pressing and dragging still moves the view.
+   - Listens to pointer up rather than click, because doors and furniture
+     keep their clicks to themselves.
+*/
+function MeasureTool({ active, onPick, children }) {
+  const pressed = useRef(null);
+  const handlePointerDown = (e) => {
+    if (active) pressed.current = [e.clientX, e.clientY];
+  };
+  const handlePointerUp = (e) => {
+    if (!active || !pressed.current) return;
+    // Lines and hidden helpers are skipped; the event moves on to the surface behind
+    if (e.object.isLineSegments2 || !isShown(e.object)) return;
+    e.stopPropagation();
+    const [x, y] = pressed.current;
+    pressed.current = null;
+    if (Math.hypot(e.clientX - x, e.clientY - y) < 4) onPick(e.point.toArray());
+  };
+  return (
+    <group onPointerDown={handlePointerDown} onPointerUp={handlePointerUp}>
+      {children}
     </group>
   );
 }
 
-/* Cabinet Component - Now with size support */
-function Cabinet({ color, size = "Medium" }) {
-  const dims = FURNITURE_SIZES.Cabinet[size];
+/* Measurement Component:
+   - A measured distance: a line between its two points with a marker at
+     each end and the length at the middle.
+   - `flat` draws it on top of the floor plan instead of at its height.
+*/
+function Measurement({ measurement, unit, flat = false, color = "#6a1b9a" }) {
+  const points = [measurement.from, measurement.to].map(([x, y, z]) => [x, flat ? 0.07 : y, z]);
+  const middle = points[0].map((value, i) => (value + points[1][i]) / 2);
   return (
     <group>
-      {/* Main body */}
-      <mesh position={[0, dims.height/2, 0]}>
-        <boxGeometry args={[dims.width, dims.height, dims.depth]} />
-        <meshStandardMaterial color={color} roughness={0.6} metalness={0.1} />
-      </mesh>
-      {/* Doors */}
-      {[-1, 1].map((x, i) => (
-        <group key={i}>
-          <mesh position={[x * dims.width/4, dims.height/2, dims.depth/2 + 0.01]}>
-            <boxGeometry args={[dims.width/2 - 0.02, dims.height - 0.04, 0.02]} />
-            <meshStandardMaterial color={color} roughness={0.6} metalness={0.1} />
-          </mesh>
-          {/* Handle */}
-          <mesh position={[x * (dims.width/4 + 0.15), dims.height/2, dims.depth/2 + 0.03]}>
-            <cylinderGeometry args={[0.01, 0.01, 0.1]} rotation={[Math.PI/2, 0, 0]} />
-            <meshStandardMaterial color="#C0C0C0" roughness={0.2} metalness={0.8} />
-          </mesh>
-        </group>
+      <Line points={points} color={color} lineWidth={2} />
+      {points.map((point, i) => (
+        <MeasureMarker key={i} position={point} color={color} />
       ))}
+      <PlanLabel at={[middle[0], middle[2]]} y={middle[1]} color={color}>
+        <span style={{ backgroundColor: "rgba(255,255,255,0.85)", padding: "1px 4px", borderRadius: "3px" }}>
+          {formatLength(getDistance(measurement.from, measurement.to), unit)}
+        </span>
+      </PlanLabel>
     </group>
   );
 }
 
-/* Wardrobes Component - Now with size support */
-function Wardrobes({ color, size = "Medium" }) {
-  const dims = FURNITURE_SIZES.Wardrobes[size];
-  const numDoors = size === "Small" ? 2 : size === "Medium" ? 3 : 4;
-  const doorWidth = dims.width / numDoors;
-  
+/* MeasureMarker Component: dot on a picked point */
+function MeasureMarker({ position, color = "#6a1b9a" }) {
   return (
-    <group>
-      {/* Main body */}
-      <mesh position={[0, dims.height/2, 0]}>
-        <boxGeometry args={[dims.width, dims.height, dims.depth]} />
-        <meshStandardMaterial color={color} roughness={0.6} metalness={0.1} />
-      </mesh>
-      {/* Doors */}
-      {Array.from({ length: numDoors }, (_, i) => {
-        const x = -dims.width/2 + doorWidth/2 + doorWidth * i;
-        return (
-          <group key={i}>
-            <mesh position={[x, dims.height/2, dims.depth/2 + 0.01]}>
-              <boxGeometry args={[doorWidth - 0.02, dims.height - 0.04, 0.02]} />
-              <meshStandardMaterial color={color} roughness={0.6} metalness={0.1} />
-            </mesh>
-            {/* Handle */}
-            <mesh position={[x + 0.15, dims.height/2, dims.depth/2 + 0.03]}>
-              <cylinderGeometry args={[0.01, 0.01, 0.15]} rotation={[Math.PI/2, 0, 0]} />
-              <meshStandardMaterial color="#C0C0C0" roughness={0.2} metalness={0.8} />
-            </mesh>
-          </group>
-        );
-      })}
-    </group>
+    <mesh position={position}>
+      <sphereGeometry args={[0.04, 12, 12]} />
+      <meshBasicMaterial color={color} />
+    </mesh>
+  );
+}
+
+/* ----- Furniture Components ----- */
+
+/* Built-in types are built from an item's dimensions (a preset or a custom
+   size) and its part finishes (see materials.js); counts of cushions,
+   doors, shelves and pillows follow the dimensions (see the shared
+   catalogue's furniture.js). */
+
+/* PartMaterial Component:
+   - The material of one furniture part from its finish.
+   - Keyed by pattern and transparency, which three.js compiles into the
+     shader, so changing either makes a fresh material.
+*/
+function PartMaterial({ color, roughness, metalness, pattern, opacity }) {
+  return (
+    <meshStandardMaterial
+      key={`${pattern}-${opacity < 1}`}
+      color={color}
+      roughness={roughness}
+      metalness={metalness}
+      map={pattern ? getPatternTexture(pattern) : null}
+      transparent={opacity < 1}
+      opacity={opacity}
+      depthWrite={opacity === 1}
+    />
   );
 }
 
-/* Rack Component - Now with size support */
-function Rack({ color, size = "Medium" }) {
-  const dims = FURNITURE_SIZES.Rack[size];
-  const numShelves = size === "Small" ? 2 : size === "Medium" ? 3 : 4;
-  
+/* BuiltFurniture Component:
+   - A built-in type from the shapes its builder lays out for the item's
+     dimensions (see getFurnitureShapes in the shared catalogue), each in
+     the finish of its part.
+*/
+function BuiltFurniture({ builder, dims, materials }) {
   return (
     <group>
-      {/* Vertical supports */}
-      {[-1, 1].map((x, i) => (
-        <mesh key={i} position={[x * (dims.width/2 - 0.025), dims.height/2, 0]}>
-          <boxGeometry args={[0.05, dims.height, dims.depth]} />
-          <meshStandardMaterial color="#2F4F4F" roughness={0.5} metalness={0.5} />
+      {getFurnitureShapes(builder, dims).map(({ part, geometry, args, position }, i) => (
+        <mesh key={i} position={position}>
+          {geometry === "cylinder" ? <cylinderGeometry args={args} /> : <boxGeometry args={args} />}
+          <PartMaterial {...materials[part]} />
         </mesh>
       ))}
-      {/* Shelves */}
-      {Array.from({ length: numShelves }, (_, i) => {
-        const y = dims.height / (numShelves - 1) * i;
-        return (
-          <mesh key={i} position={[0, y, 0]}>
-            <boxGeometry args={[dims.width - 0.1, 0.03, dims.depth]} />
-            <meshStandardMaterial color={color} roughness={0.6} metalness={0.1} />
-          </mesh>
-        );
-      })}
     </group>
   );
 }
 
-/* Editable Furniture Wrapper using TransformControls */
-function Furniture({ item, onUpdate, onDelete }) {
-  const ref = useRef();
+/* ImportedModel Component:
+   - Furniture from an imported glTF model (see modelImport.js), scaled to
+     real size and stood on the floor at the item's origin.
+   - A wireframe box of the model's size stands in while the file is parsed;
+     onLoad is called once the model itself is shown.
+*/
+function ImportedModel({ model, onLoad }) {
+  const [object, setObject] = useState(null);
+  useEffect(() => {
+    let current = true;
+    setObject(null);
+    loadModel(model)
+      .then((scene) => current && setObject(scene.clone(true)))
+      .catch(() => current && setObject(null));
+    return () => {
+      current = false;
+    };
+  }, [model]);
+  useEffect(() => {
+    if (object && onLoad) onLoad();
+  }, [object, onLoad]);
+
+  const { width, depth, height } = model.dimensions;
+  if (!object) {
+    return (
+      <mesh position={[0, height / 2, 0]}>
+        <boxGeometry args={[width, height, depth]} />
+        <meshBasicMaterial color="#999999" wireframe />
+      </mesh>
+    );
+  }
+  return (
+    <group position={model.offset} scale={model.scale}>
+      <primitive object={object} />
+    </group>
+  );
+}
 
-  const renderFurnitureComponent = () => {
-    switch (item.type) {
-      case "Sofa":
-        return <Sofa color={item.color} size={item.size} />;
-      case "Table":
-        return <Table color={item.color} size={item.size} />;
-      case "Cabinet":
-        return <Cabinet color={item.color} size={item.size} />;
-      case "Bed":
-        return <Bed color={item.color} size={item.size} />;
-      case "Wardrobes":
-        return <Wardrobes color={item.color} size={item.size} />;
-      case "Rack":
-        return <Rack color={item.color} size={item.size} />;
-      case "Chair":
-        return <Chair color={item.color} size={item.size} />;
-      default:
-        return null;
+/* FurnitureBody Component:
+   - Builds an item from its catalogue entry: the entry's builder with the
+     item's dimensions and part finishes, or the item's imported model.
+*/
+function FurnitureBody({ item, model, onLoad }) {
+  if (item.model) return model ? <ImportedModel model={model} onLoad={onLoad} /> : null;
+  const entry = FURNITURE_CATALOG.find((candidate) => candidate.type === item.type);
+  if (!entry) return null;
+  return <BuiltFurniture builder={entry.builder} dims={getItemDimensions(item)} materials={getPartMaterials(item)} />;
+}
+
+/* CatalogThumbnails Component:
+   - Pictures of the catalogue entries for the catalogue browser, made from
+     the furniture itself: every entry is built in a scene of its own,
+     outside the studio's scene, and rendered offscreen (see renderImages).
+   - Built-in types are shown in their middle size and catalogue colours;
+     imported models once their file has been parsed.
+   - Entries already in `done` are skipped; onRender receives the new
+     pictures as { key: object URL }.
+*/
+function CatalogThumbnails({ catalog, done, onRender }) {
+  const gl = useThree((state) => state.gl);
+  const scene = useMemo(() => new THREE.Scene(), []);
+  const [loaded, setLoaded] = useState({});
+  const pending = catalog.filter((entry) => !done[entry.key]);
+  const ready = pending.every((entry) => !entry.model || loaded[entry.key]);
+  const pendingKeys = pending.map((entry) => entry.key).join("\n");
+
+  useEffect(() => {
+    if (!pendingKeys || !ready) return;
+    const keys = pendingKeys.split("\n");
+    const shots = keys.map((key) => ({
+      camera: getObjectView(new THREE.Box3().setFromObject(scene.getObjectByName(key))),
+      width: 128,
+      height: 128,
+      hideNames: keys.filter((other) => other !== key)
+    }));
+    let current = true;
+    renderImages(gl, scene, shots, { transparent: true })
+      .then((blobs) => {
+        if (current) onRender(Object.fromEntries(keys.map((key, i) => [key, URL.createObjectURL(blobs[i])])));
+      })
+      .catch(() => {}); // the browser keeps its text-only entries
+    return () => {
+      current = false;
+    };
+  }, [gl, scene, pendingKeys, ready, onRender]);
+
+  return createPortal(
+    <>
+      <ambientLight intensity={1.2} />
+      <directionalLight position={[3, 5, 4]} intensity={1.5} />
+      {pending.map((entry) => (
+        <group key={entry.key} name={entry.key} userData={{ export: true }}>
+          <FurnitureBody
+            item={entry.model ? { type: entry.type, model: entry.model.id } : { type: entry.type, size: "Medium" }}
+            model={entry.model}
+            onLoad={() => setLoaded((prev) => (prev[entry.key] ? prev : { ...prev, [entry.key]: true }))}
+          />
+        </group>
+      ))}
+    </>,
+    scene
+  );
+}
+
+/* SelectionOutline Component:
+   - Outlines every mesh of an object (`target`, a ref) in `color`, with
+     drei's <Outlines> added to each mesh through a portal, so builders and
+     imported models need no outline code of their own.
+   - The meshes are collected again whenever `version` changes, i.e. when
+     the object may have been rebuilt; the outlines are shader-drawn, so
+     they are neither collected nor exported.
+*/
+function SelectionOutline({ target, color, version }) {
+  const [meshes, setMeshes] = useState([]);
+  useLayoutEffect(() => {
+    const found = [];
+    if (target.current) {
+      target.current.traverse((object) => {
+        if (object.isMesh && !isHelper(object)) found.push(object);
+      });
     }
-  };
+    setMeshes(found);
+  }, [target, version]);
+  return meshes.map((mesh) => (
+    <React.Fragment key={mesh.uuid}>
+      {createPortal(<Outlines color={color} thickness={3} />, mesh)}
+    </React.Fragment>
+  ));
+}
+
+/* Editable Furniture Wrapper using TransformControls
+   - Clicking the item selects it; only the selected item gets a gizmo
+     and an outline around its meshes (see SelectionOutline).
+   - gizmoMode switches the controls between translate, rotate and scale.
+   - On drag end (mouse up) the full transform (position, rotation, scale) is saved.
+     onUpdate returns the transform actually stored (after snapping), or false
+     if it was rejected (collision block mode), and the item is moved to match.
+   - snap ({ step, angle }) makes the gizmo move in grid and angle steps.
+   - Items in an invalid position are outlined in red.
+   - onTransformChange follows the gizmo while it is dragged.
+   - Tagged for export as "<type>-<id>" (see sceneExport.js).
+   - Items of an imported model are drawn from `model`.
+*/
+function Furniture({
+  item,
+  model,
+  selected,
+  invalid,
+  gizmoMode = "translate",
+  snap,
+  onSelect,
+  onUpdate,
+  onTransformChange,
+  onTransformEnd
+}) {
+  const ref = useRef();
+  // An imported model's meshes arrive after it loads, so the outline looks again then
+  const [loads, setLoads] = useState(0);
+  const handleLoad = useCallback(() => setLoads((count) => count + 1), []);
+  // Changes whenever the item's meshes may have been rebuilt
+  const meshVersion = [item.type, item.size, item.model, JSON.stringify(item.dimensions), loads].join("|");
 
   return (
-    <TransformControls
-      onDragEnd={() => {
-        if (ref.current) {
-          onUpdate(item.id, ref.current.position.toArray());
-        }
-      }}
-    >
-      <group ref={ref} position={item.position}>
-        {renderFurnitureComponent()}
+    <>
+      <group
+        ref={ref}
+        name={`${item.type}-${item.id}`}
+        userData={{ export: true }}
+        position={item.position}
+        rotation={item.rotation}
+        scale={item.scale}
+        onClick={(e) => {
+          e.stopPropagation();
+          onSelect(item.id);
+        }}
+      >
+        <FurnitureBody item={item} model={model} onLoad={handleLoad} />
       </group>
-    </TransformControls>
+      {(selected || invalid) && (
+        <SelectionOutline target={ref} color={invalid ? "#ff0000" : "#E69DB8"} version={meshVersion} />
+      )}
+      {selected && (
+        <TransformControls
+          object={ref}
+          mode={gizmoMode}
+          translationSnap={snap ? snap.step : null}
+          rotationSnap={snap ? snap.angle : null}
+          onObjectChange={() => {
+            if (onTransformChange && ref.current) {
+              const { position, rotation, scale } = ref.current;
+              onTransformChange({
+                position: position.toArray(),
+                rotation: [rotation.x, rotation.y, rotation.z],
+                scale: scale.toArray()
+              });
+            }
+          }}
+          // drei's TransformControls reports the end of a drag as onMouseUp
+          onMouseUp={() => {
+            if (ref.current) {
+              const { position, rotation, scale } = ref.current;
+              const stored = onUpdate(item.id, {
+                position: position.toArray(),
+                rotation: [rotation.x, rotation.y, rotation.z],
+                scale: scale.toArray()
+              });
+              const applied = stored === false ? item : stored;
+              position.set(...applied.position);
+              rotation.set(...applied.rotation);
+              scale.set(...applied.scale);
+            }
+            if (onTransformEnd) onTransformEnd();
+          }}
+        />
+      )}
+    </>
   );
 }
 
-/* LightBulb Component */
-function LightBulb({ position, color, intensity, isOn = true }) {
-  // Calculate glow color based on intensity and whether light is on
-  const glowColor = isOn ? color : "#404040";
-  const glowIntensity = isOn ? intensity : 0;
-
+/* RoomLighting Component:
+   - The ceiling lights of one room: a main light with its bulb and a fill
+     light in from each corner, placed in the room's outline (see
+     getLightPoints).
+   - Invisible walls, floor and ceiling cut to the outline contain the light.
+*/
+function RoomLighting({ room, color, intensity, isOn }) {
+  const { outline, height } = room;
+  const { main, corners } = useMemo(() => getLightPoints(outline), [outline]);
+  const { width, length } = getOutlineBounds(outline);
+  const reach = Math.max(width, length);
+  const geometry = useMemo(() => new THREE.ShapeGeometry(toFloorShape(outline)), [outline]);
+  useEffect(() => () => geometry.dispose(), [geometry]);
   return (
-    <group position={position}>
-      {/* Main light source */}
+    <group>
+      {getWalls(room).map((wall) => (
+        <mesh
+          key={wall.index}
+          position={[wall.position[0], height / 2, wall.position[2]]}
+          rotation={wall.rotation}
+          visible={false}
+        >
+          <planeGeometry args={[wall.length, height]} />
+          <meshStandardMaterial side={THREE.DoubleSide} opacity={0} transparent />
+        </mesh>
+      ))}
+      {[0, height].map((y) => (
+        <mesh key={y} position={[0, y, 0]} rotation={[-Math.PI / 2, 0, 0]} geometry={geometry} visible={false}>
+          <meshStandardMaterial side={THREE.DoubleSide} opacity={0} transparent />
+        </mesh>
+      ))}
+
       {isOn && (
-        <pointLight 
-          color={color} 
-          intensity={intensity * 2} // Increased intensity for better illumination
-          distance={20} // Increased distance
+        <>
+          {/* Main ceiling light */}
+          <pointLight
+            position={[main[0], height - 0.3, main[1]]}
+            color={color}
+            intensity={intensity * 2}
+            distance={reach * 1.5}
+            decay={1.5}
+            castShadow
+          />
+
+          {/* Corner lights for even illumination */}
+          {corners.map(([x, z], i) => (
+            <pointLight
+              key={i}
+              position={[x, height - 0.3, z]}
+              color={color}
+              intensity={intensity * 0.4}
+              distance={reach}
+              decay={2}
+            />
+          ))}
+        </>
+      )}
+
+      {/* Light bulb model */}
+      <LightBulb position={[main[0], height - 0.2, main[1]]} color={color} intensity={intensity} isOn={isOn} />
+    </group>
+  );
+}
+
+/* LightBulb Component: the ceiling fixture, kept in image exports */
+function LightBulb({ position, color, intensity, isOn = true }) {
+  // Calculate glow color based on intensity and whether light is on
+  const glowColor = isOn ? color : "#404040";
+  const glowIntensity = isOn ? intensity : 0;
+
+  return (
+    <group position={position} userData={{ render: true }}>
+      {/* Main light source */}
+      {isOn && (
+        <pointLight 
+          color={color} 
+          intensity={intensity * 2} // Increased intensity for better illumination
+          distance={20} // Increased distance
           decay={1.5} // Reduced decay for better spread
           castShadow // Enable shadow casting
         />
@@ -857,28 +1336,591 @@ function LightBulb({ position, color, intensity, isOn = true }) {
   );
 }
 
+/* ----- Sidebar Helpers ----- */
+
+/* LengthInput Component:
+   - Input for a length stored in metres, shown in the chosen unit (see units.js).
+   - Metres and centimetres use a number input that updates while typing.
+     Feet and inches are typed as text (e.g. 7' 9") and read when the field
+     loses focus or Enter is pressed; unreadable text puts the value back.
+*/
+function LengthInput({ value, unit, onChange, step = 0.1, min, max, title, style }) {
+  const [draft, setDraft] = useState(null);
+  if (unit !== "ft-in") {
+    const shown = (length) => (length === undefined ? undefined : Number(toUnit(length, unit).toFixed(3)));
+    return (
+      <input
+        type="number"
+        title={title}
+        value={shown(value)}
+        step={shown(step)}
+        min={shown(min)}
+        max={shown(max)}
+        onChange={(e) => onChange(fromUnit(Number(e.target.value), unit))}
+        style={style}
+      />
+    );
+  }
+
+  const commit = () => {
+    if (draft === null) return;
+    const metres = parseLength(draft, unit);
+    setDraft(null);
+    if (metres !== null) onChange(metres);
+  };
+  return (
+    <input
+      type="text"
+      title={title}
+      value={draft === null ? formatLength(value, unit) : draft}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === "Enter") e.target.blur();
+      }}
+      style={style}
+    />
+  );
+}
+
+/* Vector3Input Component:
+   - Three compact number inputs editing an [x, y, z] array.
+   - displayScale converts stored values for display (e.g. radians to degrees).
+   - With `unit` the values are lengths, edited through LengthInput.
+*/
+function Vector3Input({ label, value, onChange, step = 0.1, min, displayScale = 1, unit }) {
+  const setAxis = (axis, v) => {
+    const next = [...value];
+    next[axis] = v;
+    onChange(next);
+  };
+  return (
+    <div style={{ display: "flex", alignItems: "center", gap: "4px" }}>
+      <span style={{ width: "70px", fontSize: "12px" }}>{label}</span>
+      {value.map((v, axis) =>
+        unit ? (
+          <LengthInput
+            key={axis}
+            title={"XYZ"[axis]}
+            value={v}
+            unit={unit}
+            step={step}
+            min={min}
+            onChange={(length) => setAxis(axis, length)}
+            style={{ width: "28%", margin: "2px 0" }}
+          />
+        ) : (
+          <input
+            key={axis}
+            type="number"
+            title={"XYZ"[axis]}
+            value={Number((v * displayScale).toFixed(2))}
+            step={step}
+            min={min}
+            onChange={(e) => setAxis(axis, Number(e.target.value) / displayScale)}
+            style={{ width: "28%", margin: "2px 0" }}
+          />
+        )
+      )}
+    </div>
+  );
+}
+
+/* SizeInput Component:
+   - Size of a built-in furniture type: a Small/Medium/Large preset, or
+     Custom with width, depth and height typed within the type's limits.
+   - Typed dimensions are kept as a draft until focus leaves the row or
+     Enter is pressed, then clamped, so a value can be typed through an
+     out-of-range prefix (e.g. "0" on the way to "0.8").
+   - onChange receives { size, dimensions }; presets have no dimensions.
+*/
+function SizeInput({ type, size, dimensions, unit, onChange }) {
+  const entry = FURNITURE_CATALOG.find((candidate) => candidate.type === type);
+  const shown = size === "Custom" ? clampDimensions(type, dimensions) : entry.sizes[size];
+  const [draft, setDraft] = useState(null);
+  // The ft-in input commits on its own blur, just before the row's; a ref sees that value
+  const draftRef = useRef(null);
+  const edit = (next) => {
+    draftRef.current = next;
+    setDraft(next);
+  };
+  const commit = () => {
+    if (!draftRef.current) return;
+    onChange({ size: "Custom", dimensions: clampDimensions(type, draftRef.current) });
+    edit(null);
+  };
+  const current = draft || shown;
+  return (
+    <>
+      <div>
+        <label>Size: </label>
+        <select
+          value={size}
+          onChange={(e) =>
+            onChange(
+              e.target.value === "Custom"
+                ? { size: "Custom", dimensions: shown }
+                : { size: e.target.value, dimensions: undefined }
+            )
+          }
+        >
+          {Object.keys(entry.sizes).map((name) => (
+            <option key={name} value={name}>{name}</option>
+          ))}
+          <option value="Custom">Custom</option>
+        </select>
+      </div>
+      <div
+        onBlur={commit}
+        onKeyDown={(e) => {
+          if (e.key === "Enter") e.target.blur();
+        }}
+        style={{ display: "flex", alignItems: "center", gap: "4px" }}
+      >
+        <span style={{ width: "70px", fontSize: "12px" }}>W × D × H</span>
+        {["width", "depth", "height"].map((axis) => {
+          const [min, max] = entry.limits[axis];
+          return (
+            <LengthInput
+              key={axis}
+              title={`${axis[0].toUpperCase()}${axis.slice(1)}, ${formatLength(min, unit)} to ${formatLength(max, unit)}`}
+              value={current[axis]}
+              unit={unit}
+              step={0.05}
+              min={min}
+              max={max}
+              onChange={(length) => edit({ ...current, [axis]: length })}
+              style={{ width: "28%", margin: "2px 0" }}
+            />
+          );
+        })}
+      </div>
+    </>
+  );
+}
+
+/* PartFinishInput Component:
+   - Finish of one furniture part: its colour, a material preset (or the
+     catalogue's default finish) and roughness and metalness sliders.
+   - onChange receives the change and the field it makes, so dragging a
+     slider or the colour picker can be merged into one undo step.
+*/
+function PartFinishInput({ label, material, preset, onChange }) {
+  const slider = (name, title) => (
+    <label style={{ display: "flex", alignItems: "center", gap: "4px", flex: 1 }}>
+      {title}
+      <input
+        type="range"
+        min="0"
+        max="1"
+        step="0.05"
+        value={material[name]}
+        onChange={(e) => onChange({ [name]: Number(e.target.value) }, name)}
+        style={{ width: "100%" }}
+      />
+    </label>
+  );
+  return (
+    <div style={{ margin: "5px 0", fontSize: "12px" }}>
+      <div style={{ display: "flex", alignItems: "center", gap: "5px" }}>
+        <span style={{ flex: 1 }}>{label}</span>
+        <input type="color" value={material.color} onChange={(e) => onChange({ color: e.target.value }, "color")} />
+        <select value={preset || ""} onChange={(e) => onChange({ preset: e.target.value || undefined })}>
+          <option value="">Default</option>
+          {Object.entries(MATERIAL_PRESETS).map(([name, { label: presetLabel }]) => (
+            <option key={name} value={name}>{presetLabel}</option>
+          ))}
+        </select>
+      </div>
+      <div style={{ display: "flex", gap: "10px" }}>
+        {slider("roughness", "Rough")}
+        {slider("metalness", "Metal")}
+      </div>
+    </div>
+  );
+}
+
+/* LuxeProductList Component:
+   - The LUXE store's products by studio type, with their prices, to be
+     dragged into a room of the scene (see handleProductDrop).
+*/
+const PRODUCT_DRAG_TYPE = "application/x-luxe-product";
+
+function LuxeProductList() {
+  return (
+    <div style={{ maxHeight: "200px", overflowY: "auto" }}>
+      {FURNITURE_CATALOG.filter((entry) => getTypeProducts(entry.type).length > 0).map((entry) => (
+        <div key={entry.type}>
+          <div style={{ fontSize: "12px", color: "#666", margin: "5px 0 2px 0" }}>{entry.type}</div>
+          {getTypeProducts(entry.type).map((product) => (
+            <div
+              key={product.id}
+              draggable
+              onDragStart={(e) => {
+                e.dataTransfer.setData(PRODUCT_DRAG_TYPE, product.id);
+                e.dataTransfer.effectAllowed = "copy";
+              }}
+              title="Drag into a room"
+              style={{
+                display: "flex",
+                justifyContent: "space-between",
+                padding: "4px 5px",
+                margin: "2px 0",
+                backgroundColor: "#f0f0f0",
+                borderRadius: "4px",
+                cursor: "grab",
+                fontSize: "13px"
+              }}
+            >
+              <span>{product.name}</span>
+              <span>{formatPrice(product.price)}</span>
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/* BillOfMaterials Component:
+   - The design's furniture as LUXE products: a line per linked product
+     with its quantity and cost, and the total (see luxeCatalog.js).
+   - Items not linked yet are counted; those whose type and size match a
+     product can be linked to it in one go.
+   - "Buy this room" hands the linked products to the store's cart.
+*/
+function BillOfMaterials({ items, onLinkMatching, onBuy }) {
+  const { lines, total, unlinked } = getBillOfMaterials(items);
+  const matching = items.filter((item) => !getLinkedProduct(item) && findLuxeProduct(item)).length;
+  return (
+    <div style={{ fontSize: "13px" }}>
+      {lines.map(({ product, quantity, cost }) => (
+        <div key={product.id} style={{ display: "flex", gap: "5px", margin: "3px 0" }}>
+          <span style={{ width: "25px" }}>{quantity} ×</span>
+          <span style={{ flex: 1 }}>{product.name}</span>
+          <span>{formatPrice(cost)}</span>
+        </div>
+      ))}
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          borderTop: "1px solid #ddd",
+          paddingTop: "3px",
+          fontWeight: "bold"
+        }}
+      >
+        <span>Total</span>
+        <span>{formatPrice(total)}</span>
+      </div>
+      {unlinked > 0 && (
+        <p style={{ color: "#666", margin: "5px 0" }}>
+          {unlinked} {unlinked === 1 ? "item is" : "items are"} not linked to a product
+        </p>
+      )}
+      {matching > 0 && (
+        <button onClick={onLinkMatching} style={{ width: "100%" }}>
+          Link {matching} to matching products
+        </button>
+      )}
+      {lines.length > 0 && (
+        <button
+          onClick={onBuy}
+          title="Add the linked products to your cart in the LUXE store"
+          style={{
+            width: "100%",
+            marginTop: "5px",
+            padding: "6px",
+            backgroundColor: "purple",
+            color: "white",
+            border: "none",
+            borderRadius: "4px",
+            cursor: "pointer"
+          }}
+        >
+          Buy this room
+        </button>
+      )}
+    </div>
+  );
+}
+
+/* CatalogBrowser Component:
+   - Picks a furniture type from the catalogue (see furnitureCatalog.js):
+     a search box, a category filter and pictures grouped by category.
+   - `selected` is the key of the chosen entry; entries whose picture is
+     not ready yet show a blank tile.
+*/
+function CatalogBrowser({ catalog, thumbnails, selected, onSelect }) {
+  const [query, setQuery] = useState("");
+  const [category, setCategory] = useState("");
+  const found = searchCatalog(catalog, query, category || null);
+  const categories = FURNITURE_CATEGORIES.filter((name) => catalog.some((entry) => entry.category === name));
+
+  return (
+    <div>
+      <div style={{ display: "flex", gap: "5px" }}>
+        <input
+          type="search"
+          placeholder="Search furniture"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          style={{ flex: 1, minWidth: 0 }}
+        />
+        <select value={category} onChange={(e) => setCategory(e.target.value)}>
+          <option value="">All</option>
+          {categories.map((name) => (
+            <option key={name} value={name}>{name}</option>
+          ))}
+        </select>
+      </div>
+      <div style={{ maxHeight: "260px", overflowY: "auto" }}>
+        {found.length === 0 && (
+          <p style={{ fontSize: "12px", color: "#666", margin: "5px 0" }}>No furniture matches "{query}".</p>
+        )}
+        {categories.map((name) => {
+          const entries = found.filter((entry) => entry.category === name);
+          if (entries.length === 0) return null;
+          return (
+            <div key={name}>
+              <h4 style={{ fontSize: "13px", color: "#666", margin: "8px 0 4px 0" }}>{name}</h4>
+              <div style={{ display: "grid", gridTemplateColumns: "repeat(3, 1fr)", gap: "5px" }}>
+                {entries.map((entry) => (
+                  <button
+                    key={entry.key}
+                    onClick={() => onSelect(entry.key)}
+                    title={entry.type}
+                    style={{
+                      padding: "4px",
+                      fontSize: "11px",
+                      border: entry.key === selected ? "2px solid #E69DB8" : "1px solid #ddd",
+                      backgroundColor: entry.key === selected ? "#f7d6e2" : "white",
+                      borderRadius: "4px",
+                      cursor: "pointer",
+                      overflow: "hidden",
+                      textOverflow: "ellipsis",
+                      whiteSpace: "nowrap"
+                    }}
+                  >
+                    {thumbnails[entry.key] ? (
+                      <img src={thumbnails[entry.key]} alt="" style={{ width: "100%", aspectRatio: "1", display: "block" }} />
+                    ) : (
+                      <div style={{ width: "100%", aspectRatio: "1", backgroundColor: "#f0f0f0" }} />
+                    )}
+                    {entry.type}
+                  </button>
+                ))}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+/* The design the studio opens with: the saved design the LUXE store links
+   back to (?design=<id>, see appLinks.js) or the default one, with the
+   product the store hands over (?product=<id>) placed in the middle of its
+   first room */
+function openLinkedDesign() {
+  const { productId, designId } = readDeepLink(window.location.search);
+  const name = designId && findSavedDesign(designId);
+  let design = createDefaultDesign();
+  try {
+    if (name) design = loadDesignFromLibrary(name);
+  } catch (err) {
+    // reported once the studio has started
+  }
+  const product = LUXE_PRODUCTS.find((candidate) => candidate.id === productId);
+  if (!product) return design;
+  const [entry, ...others] = design.rooms;
+  const item = createProductItem(product, getOutlineBounds(entry.room.outline).center);
+  return { ...design, rooms: [{ ...entry, furniture: [...entry.furniture, item] }, ...others] };
+}
+
 /* ----- Main App Component ----- */
 export default function App() {
+  // The whole room design lives in one serialisable document (see designSchema.js).
+  // Every change goes through the undo history; the merge key groups continuous edits.
+  const [historyLimit, setHistoryLimit] = useState(DEFAULT_HISTORY_LIMIT);
+  const [design, setDesign, history] = useUndoableState(openLinkedDesign, historyLimit);
+  const startingDesign = useRef(design);
+
+  // The store page "Back to Store" returns to; it stays in the address so a reload keeps it
+  const [storeReturnPath] = useState(() => readDeepLink(window.location.search).returnPath || "/");
+
+  // The store's hand-off is read once: the address is tidied and anything
+  // the studio could not follow reported
+  useEffect(() => {
+    const { productId, designId, invalidReturn } = readDeepLink(window.location.search);
+    if (productId === null && designId === null && invalidReturn === null) return;
+    const problems = [];
+    if (productId !== null && !LUXE_PRODUCTS.some((product) => product.id === productId)) {
+      problems.push(`The store's product "${productId}" is not in the studio's catalogue, so it was not placed.`);
+    }
+    if (designId !== null && startingDesign.current.id !== designId) {
+      problems.push(`The design "${designId}" could not be opened from this browser's library, so a new design was started.`);
+    }
+    if (invalidReturn !== null) {
+      problems.push(`"${invalidReturn}" is not a page of the store, so Back to Store opens its home page.`);
+    }
+    if (problems.length > 0) window.alert(problems.join("\n"));
+    const params = new URLSearchParams(window.location.search);
+    ["product", "design"].forEach((key) => params.delete(key));
+    if (invalidReturn !== null) params.delete("return");
+    const query = params.toString();
+    const address = `${window.location.pathname}${query ? `?${query}` : ""}${window.location.hash}`;
+    window.history.replaceState(null, "", address);
+  }, []);
+  const updateSection = (section, patch) =>
+    setDesign(
+      (prev) => ({ ...prev, [section]: { ...prev[section], ...patch } }),
+      `${section}.${Object.keys(patch).join(",")}`
+    );
+
+  // Rooms of the floor plan; the sidebar and the editing tools work on the active one.
+  // setActiveRoom(update, mergeKey) works like setDesign on that room's entry.
+  const [activeRoomId, setActiveRoomId] = useState(1);
+  const activeRoom = design.rooms.find((entry) => entry.id === activeRoomId) || design.rooms[0];
+  const setActiveRoom = (update, mergeKey) =>
+    setDesign((prev) => {
+      const rooms = prev.rooms.map((entry) => (entry.id === activeRoom.id ? update(entry) : entry));
+      return rooms.every((entry, i) => entry === prev.rooms[i]) ? prev : { ...prev, rooms };
+    }, mergeKey && `rooms.${activeRoom.id}.${mergeKey}`);
+  const updateRoom = (patch) =>
+    setActiveRoom((prev) => ({ ...prev, room: { ...prev.room, ...patch } }), `room.${Object.keys(patch).join(",")}`);
+  const switchRoom = (id) => {
+    setActiveRoomId(id);
+    setSelectedId(null);
+  };
+  const addRoom = () => {
+    const id = Math.max(...design.rooms.map((entry) => entry.id)) + 1;
+    setDesign((prev) => ({
+      ...prev,
+      rooms: [
+        ...prev.rooms,
+        placeNextTo(prev.rooms, createRoom(`Room ${prev.rooms.length + 1}`, id, getNextOpeningId(prev.rooms)))
+      ]
+    }));
+    switchRoom(id);
+  };
+  const removeRoom = (id) => {
+    if (design.rooms.length <= 1) return;
+    setDesign((prev) => ({ ...prev, rooms: prev.rooms.filter((entry) => entry.id !== id) }));
+    switchRoom(design.rooms.find((entry) => entry.id !== id).id);
+  };
+  const setRoomName = (name) => setActiveRoom((prev) => ({ ...prev, name }), "name");
+  // Moves the active room so the back-left corner of its extent is at `corner`
+  const setRoomPosition = (corner) =>
+    setActiveRoom(
+      (prev) => ({ ...prev, room: { ...prev.room, outline: moveOutline(prev.room.outline, corner) } }),
+      "room.position"
+    );
+
+  // Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y) outside of text fields
+  const { undo, redo } = history;
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      const tag = e.target.tagName;
+      if (tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT") return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [undo, redo]);
+
   // Room dimensions & appearance
-  const [roomWidth, setRoomWidth] = useState(8);
-  const [roomLength, setRoomLength] = useState(8);
-  const [roomHeight, setRoomHeight] = useState(4);
-  const [wallColor, setWallColor] = useState("#ffffff");
-  const [floorColor, setFloorColor] = useState("#cccccc");
-  const [ceilingColor, setCeilingColor] = useState("#eeeeee");
-
-  // Door and Window colors
-  const [doorColor, setDoorColor] = useState("#654321");
-  const [windowColor, setWindowColor] = useState("#ADD8E6");
-
-  // Door customization state
-  const [doorWidth, setDoorWidth] = useState(1.2); // default 1.2 meters wide
-  const [doorHeight, setDoorHeight] = useState(2.1); // default 2.1 meters tall (standard door height)
-  const [doorHorizontalOffset, setDoorHorizontalOffset] = useState(0); // center position
-
-  // Which walls get the door and window
-  const [doorWall, setDoorWall] = useState("front");
-  const [windowWall, setWindowWall] = useState("back");
+  const {
+    shape: roomShape,
+    width: roomWidth,
+    length: roomLength,
+    height: roomHeight,
+    wallThickness,
+    floorColor,
+    ceilingColor
+  } = activeRoom.room;
+  const roomBounds = getOutlineBounds(activeRoom.room.outline);
+  const planBounds = getOutlineBounds(design.rooms.flatMap((entry) => entry.room.outline));
+  // Preset shapes are regenerated from the overall width and length,
+  // keeping the back-left corner of the room where it was
+  const reshapeRoom = (patch, mergeKey) =>
+    setActiveRoom((prev) => {
+      const room = { ...prev.room, ...patch };
+      if (room.shape === "custom") return { ...prev, room };
+      const { minX, minZ } = getOutlineBounds(prev.room.outline);
+      const outline = moveOutline(createOutline(room.shape, room.width, room.length), [minX, minZ]);
+      return {
+        ...prev,
+        room: { ...room, outline, wallColors: outline.map((_, i) => room.wallColors[i] || "#FFFFFF") }
+      };
+    }, mergeKey);
+  const setRoomShape = (shape) => reshapeRoom({ shape });
+  const setRoomWidth = (width) => reshapeRoom({ width }, "room.width");
+  const setRoomLength = (length) => reshapeRoom({ length }, "room.length");
+  const setRoomHeight = (height) => updateRoom({ height });
+  const setWallThickness = (wallThickness) => updateRoom({ wallThickness });
+  const setFloorColor = (color) => updateRoom({ floorColor: color });
+  const setCeilingColor = (color) => updateRoom({ ceilingColor: color });
+
+  // Corner editing in the 2D view turns the room into a custom outline
+  const updateOutline = (change, mergeKey) =>
+    setActiveRoom((prev) => {
+      const next = change(prev.room, prev.openings);
+      if (next.room === prev.room || !isValidOutline(next.room.outline)) return prev;
+      const { width, length } = getOutlineBounds(next.room.outline);
+      return { ...prev, room: { ...next.room, width, length }, openings: next.openings };
+    }, mergeKey);
+  const moveCorner = (index, [x, z]) =>
+    updateOutline(
+      (room, prevOpenings) => ({
+        room: {
+          ...room,
+          shape: "custom",
+          outline: room.outline.map((corner, i) => (i === index ? [snapLength(x), snapLength(z)] : corner))
+        },
+        openings: prevOpenings
+      }),
+      `room.outline.${index}`
+    );
+  const insertRoomCorner = (index) => updateOutline((room, prevOpenings) => insertCorner(room, prevOpenings, index));
+  const removeRoomCorner = (index) => updateOutline((room, prevOpenings) => removeCorner(room, prevOpenings, index));
+
+  // Doors and windows, validated against their wall and each other
+  const openings = activeRoom.openings;
+  const openingProblems = useMemo(
+    () => validateOpenings(openings, activeRoom.room),
+    [openings, activeRoom.room]
+  );
+  // Numbered across all rooms, which share their connecting doors
+  const addOpening = (opening) =>
+    setDesign((prev) => {
+      const added = { ...opening, id: getNextOpeningId(prev.rooms) };
+      return {
+        ...prev,
+        rooms: prev.rooms.map((entry) =>
+          entry.id === activeRoom.id ? { ...entry, openings: [...entry.openings, added] } : entry
+        )
+      };
+    });
+  const removeOpening = (id) =>
+    setActiveRoom((prev) => ({ ...prev, openings: prev.openings.filter((opening) => opening.id !== id) }));
+  const updateOpening = (id, patch) =>
+    setActiveRoom(
+      (prev) => ({
+        ...prev,
+        openings: prev.openings.map((opening) => (opening.id === id ? { ...opening, ...patch } : opening))
+      }),
+      `openings.${id}.${Object.keys(patch).join(",")}`
+    );
 
   // Navigation mode: "orbit" or "walk"
   const [navMode, setNavMode] = useState("orbit");
@@ -895,10 +1937,13 @@ export default function App() {
     console.log("Door is now", isOpen ? "open" : "closed");
   };
 
-  // Handlers to move camera inside/outside the room
+  // Handlers to move camera inside/outside the active room
   const handleGoInside = () => {
     setIsInside(true);
-    const insidePos = getInsidePosition(doorWall, roomWidth, roomLength, roomHeight);
+    const entrance = [...openings, ...getConnectingOpenings(design.rooms, activeRoom.id)].find(
+      (opening) => opening.kind === "door"
+    );
+    const insidePos = getInsidePosition(entrance, activeRoom.room);
     setCameraTarget(insidePos);
   };
   const handleExitRoom = () => {
@@ -912,10 +1957,26 @@ export default function App() {
   const [furniturePosX, setFurniturePosX] = useState(0);
   const [furniturePosY, setFurniturePosY] = useState(0);
   const [furniturePosZ, setFurniturePosZ] = useState(0);
-  const [furnitureItems, setFurnitureItems] = useState([]);
-
-  // Add furniture size state
+  const furnitureItems = activeRoom.furniture;
+  const setFurnitureItems = (update, mergeKey) =>
+    setActiveRoom((prev) => ({
+      ...prev,
+      furniture: typeof update === "function" ? update(prev.furniture) : update
+    }), mergeKey);
+
+  // Add furniture size state; custom dimensions are fitted to the type when added
   const [furnitureSize, setFurnitureSize] = useState("Medium");
+  const [furnitureDimensions, setFurnitureDimensions] = useState(FURNITURE_SIZES.Chair.Medium);
+
+  // The design's catalogue, keyed by type name or "model:<id>", and its pictures
+  const catalog = useMemo(() => getCatalog(design.models), [design.models]);
+  const [thumbnails, setThumbnails] = useState({});
+  const addThumbnails = useCallback((urls) => setThumbnails((prev) => ({ ...prev, ...urls })), []);
+  const findTypeModel = (key) => {
+    const entry = catalog.find((candidate) => candidate.key === key);
+    return entry ? entry.model : null;
+  };
+  const furnitureModel = findTypeModel(furnitureType);
 
   const addFurniture = () => {
     const newItem = {
@@ -923,44 +1984,410 @@ export default function App() {
       type: furnitureType,
       color: furnitureColor,
       size: furnitureSize,
-      position: [Number(furniturePosX), Number(furniturePosY), Number(furniturePosZ)]
+      ...(furnitureSize === "Custom" && !furnitureModel && {
+        dimensions: clampDimensions(furnitureType, furnitureDimensions)
+      }),
+      ...(furnitureModel && getModelItemFields(furnitureModel)),
+      position: [Number(furniturePosX), Number(furniturePosY), Number(furniturePosZ)],
+      rotation: [0, 0, 0],
+      scale: [1, 1, 1]
     };
-    setFurnitureItems([...furnitureItems, newItem]);
+    placeItem(activeRoom.id, newItem);
   };
 
-  const updateFurniture = (id, newPos) => {
-    setFurnitureItems((prev) =>
-      prev.map((item) => (item.id === id ? { ...item, position: newPos } : item))
+  // Adds an item to a room and selects it, unless block mode finds it out of place
+  const placeItem = (roomId, newItem) => {
+    if (collisionMode === "block") {
+      const problems = getPlacementProblems(newItem, collisionScopes[roomId]);
+      if (problems.length > 0) {
+        const furniture = design.rooms.find((entry) => entry.id === roomId).furniture;
+        window.alert(`Cannot place ${newItem.type} here: ${describeProblems(problems, furniture)}`);
+        return;
+      }
+    }
+    setDesign((prev) => ({
+      ...prev,
+      rooms: prev.rooms.map((entry) =>
+        entry.id === roomId ? { ...entry, furniture: [...entry.furniture, newItem] } : entry
+      )
+    }));
+    selectItem(roomId, newItem.id);
+  };
+
+  // Store products dragged from the LUXE list become the matching item where they are dropped
+  const handleProductDrop = (e) => {
+    const product = LUXE_PRODUCTS.find((candidate) => candidate.id === e.dataTransfer.getData(PRODUCT_DRAG_TYPE));
+    if (!product) return;
+    e.preventDefault();
+    const { gl, camera } = canvasRef.current.get();
+    const bounds = gl.domElement.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+      ((e.clientX - bounds.left) / bounds.width) * 2 - 1,
+      -((e.clientY - bounds.top) / bounds.height) * 2 + 1
     );
+    const raycaster = new THREE.Raycaster();
+    raycaster.setFromCamera(pointer, camera);
+    const point = raycaster.ray.intersectPlane(new THREE.Plane(new THREE.Vector3(0, 1, 0), 0), new THREE.Vector3());
+    const entry =
+      point && design.rooms.find((candidate) => isInsideOutline([point.x, point.z], candidate.room.outline));
+    if (!entry) {
+      window.alert(`Drop ${product.name} inside a room.`);
+      return;
+    }
+    const item = createProductItem(product, [point.x, point.z]);
+    const { position, rotation, scale } = item;
+    const placed = snapEnabled ? snapTransform(item, { position, rotation, scale }, entry.room, snapStep) : {};
+    placeItem(entry.id, { ...item, ...placed });
+  };
+
+  // Links every item without a product to the one its type and size match
+  const linkMatchingProducts = () =>
+    setDesign((prev) => ({
+      ...prev,
+      rooms: prev.rooms.map((entry) => ({
+        ...entry,
+        furniture: entry.furniture.map((item) => {
+          const product = !getLinkedProduct(item) && findLuxeProduct(item);
+          return product ? { ...item, productId: product.id } : item;
+        })
+      }))
+    }));
+
+  // Collision handling: "block" rejects invalid moves, "highlight" only marks them in red
+  // Each room is checked together with the doors its neighbours open into it
+  const [collisionMode, setCollisionMode] = useState("highlight");
+  const collisionScopes = useMemo(
+    () =>
+      Object.fromEntries(
+        design.rooms.map((entry) => [
+          entry.id,
+          { ...entry, openings: [...entry.openings, ...getConnectingOpenings(design.rooms, entry.id)] }
+        ])
+      ),
+    [design.rooms]
+  );
+  const collisions = useMemo(
+    () =>
+      collisionMode === "off"
+        ? {}
+        : Object.assign({}, ...Object.values(collisionScopes).map((scope) => findCollisions(scope))),
+    [collisionScopes, collisionMode]
+  );
+
+  // patch holds any item fields; mergeKey groups sidebar typing.
+  // Returns false when block mode rejected the change.
+  const updateFurniture = (id, patch, mergeKey) => {
+    const current = furnitureItems.find((item) => item.id === id);
+    if (collisionMode === "block" && current && !collisions[id]) {
+      // Only stop a valid item from becoming invalid, so invalid ones can still be moved out
+      if (getPlacementProblems({ ...current, ...patch }, collisionScopes[activeRoom.id]).length > 0) return false;
+    }
+    setFurnitureItems(
+      (prev) => prev.map((item) => (item.id === id ? { ...item, ...patch } : item)),
+      mergeKey
+    );
+    return true;
+  };
+
+  // Snapping: grid/angle steps for the gizmo, magnetic wall snapping on drop
+  const [snapEnabled, setSnapEnabled] = useState(true);
+  const [snapStep, setSnapStep] = useState(0.1);
+  const snapLength = (value) => (snapEnabled ? snapValue(value, snapStep) : value);
+
+  // Unit every length is shown and typed in; the design itself always stays in metres.
+  // Switching between metric and imperial also moves the grid to the nearest step of that system.
+  const [unit, setUnit] = useState(loadUnitPreference);
+  const snapSteps = unit === "ft-in" ? IMPERIAL_SNAP_STEPS : SNAP_STEPS;
+  const changeUnit = (next) => {
+    setUnit(next);
+    saveUnitPreference(next);
+    const steps = next === "ft-in" ? IMPERIAL_SNAP_STEPS : SNAP_STEPS;
+    setSnapStep(steps.reduce((best, step) => (Math.abs(step - snapStep) < Math.abs(best - snapStep) ? step : best)));
+  };
+
+  // Stores a gizmo transform; returns what was stored, or false if blocked
+  const commitTransform = (id, transform) => {
+    const item = furnitureItems.find((candidate) => candidate.id === id);
+    const final = snapEnabled ? snapTransform(item, transform, activeRoom.room, snapStep) : transform;
+    return updateFurniture(id, final) ? final : false;
   };
 
+  // Selected furniture item (clicked in the canvas or the Placed Furniture list)
+  const [selectedId, setSelectedId] = useState(null);
+  const selectedItem = furnitureItems.find((item) => item.id === selectedId);
+  const selectItem = (roomId, id) => {
+    setActiveRoomId(roomId);
+    setSelectedId(id);
+  };
+  const lastTransformEndRef = useRef(0);
+
+  // Live clearances around the selected item; they follow it while it is dragged
+  const [showClearances, setShowClearances] = useState(true);
+  const [liveTransform, setLiveTransform] = useState(null);
+  const clearanceItem =
+    selectedItem && liveTransform && liveTransform.id === selectedItem.id
+      ? { ...selectedItem, ...liveTransform.transform }
+      : selectedItem;
+
+  // Measuring: while it is on, two clicks in the scene add a measurement between them
+  const [measuring, setMeasuring] = useState(false);
+  const [measureStart, setMeasureStart] = useState(null);
+  const measurements = design.measurements;
+  const toggleMeasuring = () => {
+    setMeasuring(!measuring);
+    setMeasureStart(null);
+  };
+  const pickMeasurePoint = (point) => {
+    // Points picked on the plan are measured along the floor
+    const picked = viewMode === "2D" ? [point[0], 0, point[2]] : point;
+    if (!measureStart) {
+      setMeasureStart(picked);
+      return;
+    }
+    setDesign((prev) => ({ ...prev, measurements: addMeasurement(prev.measurements, measureStart, picked) }));
+    setMeasureStart(null);
+  };
+  const removeMeasurement = (id) =>
+    setDesign((prev) => ({ ...prev, measurements: prev.measurements.filter((measurement) => measurement.id !== id) }));
+  useEffect(() => {
+    if (!measuring) return undefined;
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") {
+        setMeasuring(false);
+        setMeasureStart(null);
+      }
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [measuring]);
+
+  // Gizmo mode for the furniture TransformControls, switched with W/E/R
+  const [gizmoMode, setGizmoMode] = useState("translate");
+  useEffect(() => {
+    const modes = { w: "translate", e: "rotate", r: "scale" };
+    const handleKeyDown = (e) => {
+      if (e.ctrlKey || e.metaKey || e.altKey) return;
+      const tag = e.target.tagName;
+      if (tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT") return;
+      const mode = modes[e.key.toLowerCase()];
+      if (mode) setGizmoMode(mode);
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, []);
+
   // Function to remove furniture
   const removeFurniture = (id) => {
     setFurnitureItems(furnitureItems.filter(item => item.id !== id));
   };
 
-  // Window customization state
-  const [windowWidth, setWindowWidth] = useState(2); // default 2 meters wide
-  const [windowHeight, setWindowHeight] = useState(1.5); // default 1.5 meters tall
-  const [windowHeightFromFloor, setWindowHeightFromFloor] = useState(1); // default 1 meter from floor
-  const [windowHorizontalOffset, setWindowHorizontalOffset] = useState(0); // center position
+  // Imported furniture models, stored in the design so they load again with it
+  const modelFileInput = useRef();
+  const modelUses = {};
+  design.rooms.forEach((entry) =>
+    entry.furniture.forEach((item) => {
+      if (item.model) modelUses[item.model] = (modelUses[item.model] || 0) + 1;
+    })
+  );
+  const handleImportModel = (e) => {
+    const file = e.target.files[0];
+    e.target.value = ""; // allow importing the same file again
+    if (!file) return;
+    importModel(file, design.models)
+      .then((model) => {
+        setDesign((prev) => ({ ...prev, models: [...prev.models, model] }));
+        setFurnitureType(`model:${model.id}`);
+      })
+      .catch((err) => window.alert(`Could not import model: ${err.message}`));
+  };
+  // Items carry their model's size, so they are resized along with it
+  const changeModelUnit = (id, modelUnit) =>
+    setDesign((prev) => {
+      const changed = setModelUnit(prev.models.find((model) => model.id === id), modelUnit);
+      return {
+        ...prev,
+        models: prev.models.map((model) => (model.id === id ? changed : model)),
+        rooms: prev.rooms.map((entry) => ({
+          ...entry,
+          furniture: entry.furniture.map((item) =>
+            item.model === id ? { ...item, dimensions: changed.dimensions } : item
+          )
+        }))
+      };
+    });
+  const removeModel = (id) => {
+    setDesign((prev) => ({ ...prev, models: prev.models.filter((model) => model.id !== id) }));
+    if (furnitureType === `model:${id}`) setFurnitureType("Chair");
+  };
 
-  // Light bulb state
-  const [lightColor, setLightColor] = useState("#FFFFFF");
-  const [lightIntensity, setLightIntensity] = useState(1);
-  const [lightPosition, setLightPosition] = useState([0, 0, 0]);
-  const [isLightOn, setIsLightOn] = useState(true);
+  // Saved designs: named library in localStorage plus JSON file download/upload
+  const [savedDesigns, setSavedDesigns] = useState(() => listSavedDesigns());
+  const designFileInput = useRef();
+
+  // Saves the design to the library and returns whether it was saved. A
+  // different design saved under the same name is only replaced when the
+  // user agrees; imported models can make a design too big for the
+  // browser's storage.
+  const handleSaveDesign = () => {
+    const question =
+      `Another design named "${design.name}" is saved in the library. Replace it with this one? ` +
+      "Cancel to rename this design first.";
+    if (isDesignNameTaken(design) && !window.confirm(question)) return false;
+    let saved = true;
+    try {
+      saveDesignToLibrary(design);
+    } catch (err) {
+      window.alert(`Could not save design: ${err.message}. Download it as a file instead.`);
+      saved = false;
+    }
+    setSavedDesigns(listSavedDesigns());
+    return saved;
+  };
 
-  // Update light position when room dimensions change
-  useEffect(() => {
-    setLightPosition([0, roomHeight - 0.2, 0]);
-  }, [roomHeight]);
+  // Store pages open in place of the studio; a misconfigured store address is reported
+  const openStore = (path) => {
+    try {
+      window.location.href = getStoreLink(path);
+    } catch (err) {
+      window.alert(`Cannot open the store: ${err.message}`);
+    }
+  };
+
+  // Opens the store's cart with the design's linked products in it. The
+  // design is saved first so the cart can link back to it, and the cart is
+  // not opened when it could not be.
+  const buyDesign = () => {
+    if (handleSaveDesign()) openStore(getCartPath(design));
+  };
+
+  const handleOpenSavedDesign = (name) => {
+    try {
+      history.reset(loadDesignFromLibrary(name));
+    } catch (err) {
+      window.alert(err.message);
+    }
+  };
+
+  const handleDeleteSavedDesign = (name) => {
+    deleteDesignFromLibrary(name);
+    setSavedDesigns(listSavedDesigns());
+  };
+
+  const handleOpenDesignFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = ""; // allow re-opening the same file
+    if (!file) return;
+    readDesignFile(file)
+      .then(history.reset)
+      .catch((err) => window.alert(`Could not open design: ${err.message}`));
+  };
+
+  // Exports read the live scene; canvasRef holds the canvas state, whose get() returns the current one
+  const canvasRef = useRef();
+
+  // 3D export of the built rooms and furniture (3D view only)
+  const handleExportScene = (format) => {
+    const root = buildExportScene(canvasRef.current.get().scene);
+    if (format === "glb") {
+      exportGLB(root)
+        .then((glb) =>
+          downloadFile(new Blob([glb], { type: "model/gltf-binary" }), getDesignFileName(design, "glb"))
+        )
+        .catch((err) => window.alert(`Could not export: ${err.message}`));
+      return;
+    }
+    const mtlFileName = getDesignFileName(design, "mtl");
+    try {
+      const { obj, mtl } = exportOBJ(root, mtlFileName);
+      downloadFile(new Blob([obj], { type: "text/plain" }), getDesignFileName(design, "obj"));
+      downloadFile(new Blob([mtl], { type: "text/plain" }), mtlFileName);
+    } catch (err) {
+      window.alert(`Could not export: ${err.message}`);
+    }
+  };
+
+  // Image export: the current view at a chosen size, or the standard views of the active room as a ZIP
+  const [imageSize, setImageSize] = useState("1080p");
+  const [customImageSize, setCustomImageSize] = useState([1920, 1080]);
+  const [transparentImage, setTransparentImage] = useState(false);
+  const [exportingImages, setExportingImages] = useState(false);
+  const [imageWidth, imageHeight] = imageSize === "custom" ? customImageSize : IMAGE_SIZES[imageSize];
+  const exportImages = (shots, save, options = {}) => {
+    const { gl, scene } = canvasRef.current.get();
+    setExportingImages(true);
+    renderImages(gl, scene, shots, { transparent: transparentImage, ...options })
+      .then(save)
+      .catch((err) => window.alert(`Could not export images: ${err.message}`))
+      .finally(() => setExportingImages(false));
+  };
+  const handleExportImage = () =>
+    exportImages(
+      [{ camera: canvasRef.current.get().camera, width: imageWidth, height: imageHeight }],
+      ([png]) => downloadFile(png, getDesignFileName(design, "png"))
+    );
+  // Standard views are as wide as the chosen size; their height follows the view
+  const handleExportStandardViews = () => {
+    const views = getStandardViews(activeRoom);
+    exportImages(
+      views.map(({ camera, aspect, hideNames }) => ({
+        camera,
+        width: imageWidth,
+        height: Math.round(imageWidth / aspect),
+        hideNames
+      })),
+      (pngs) =>
+        Promise.all(pngs.map((png) => png.arrayBuffer())).then((buffers) => {
+          const files = buffers.map((buffer, i) => ({
+            name: `${i + 1}-${views[i].name.toLowerCase().replace(/\s+/g, "-")}.png`,
+            data: new Uint8Array(buffer)
+          }));
+          downloadFile(new Blob([createZip(files)], { type: "application/zip" }), getDesignFileName(design, "zip"));
+        })
+    );
+  };
+
+  // Printable proposal: renders every room from its front corners, then lays out the PDF
+  const handleGenerateProposal = () => {
+    const [width, height] = [1600, 1200]; // sharp across the width of an A4 page
+    const views = design.rooms.flatMap((entry) =>
+      getPerspectiveViews(entry, width / height).map((view) => ({ ...view, title: `${entry.name}: ${view.name}` }))
+    );
+    exportImages(
+      views.map(({ camera, hideNames }) => ({ camera, width, height, hideNames })),
+      (jpegs) =>
+        Promise.all(jpegs.map((jpeg) => jpeg.arrayBuffer())).then((buffers) => {
+          const renders = buffers.map((buffer, i) => ({
+            title: views[i].title,
+            jpeg: new Uint8Array(buffer),
+            width,
+            height
+          }));
+          const pdf = buildProposal({ design, unit, renders });
+          downloadFile(new Blob([pdf], { type: "application/pdf" }), getDesignFileName(design, "pdf"));
+        }),
+      { transparent: false, type: "image/jpeg" }
+    );
+  };
 
-  // Individual wall colors
-  const [frontWallColor, setFrontWallColor] = useState("#FFFFFF");
-  const [backWallColor, setBackWallColor] = useState("#FFFFFF");
-  const [leftWallColor, setLeftWallColor] = useState("#FFFFFF");
-  const [rightWallColor, setRightWallColor] = useState("#FFFFFF");
+  // Light bulb state
+  const { color: lightColor, intensity: lightIntensity, isOn: isLightOn } = design.light;
+  const setLightColor = (color) => updateSection("light", { color });
+  const setLightIntensity = (intensity) => updateSection("light", { intensity });
+  const setIsLightOn = (isOn) => updateSection("light", { isOn });
+
+  // Individual wall colors, one per wall of the outline
+  const wallColors = activeRoom.room.wallColors;
+  const setWallColor = (wall, color) =>
+    setActiveRoom(
+      (prev) => ({
+        ...prev,
+        room: {
+          ...prev.room,
+          wallColors: prev.room.wallColors.map((current, i) => (i === wall ? color : current))
+        }
+      }),
+      `room.wallColors.${wall}`
+    );
 
   // Add view mode state
   const [viewMode, setViewMode] = useState("3D");
@@ -996,6 +2423,34 @@ export default function App() {
           {/* View Mode Toggle */}
           <div style={{ display: "flex", alignItems: "center", gap: "10px" }}>
 
+<button
+              onClick={undo}
+              disabled={!history.canUndo}
+              title="Undo (Ctrl+Z)"
+              style={{ padding: "6px 12px", opacity: history.canUndo ? 1 : 0.5 }}
+            >
+              Undo
+            </button>
+            <button
+              onClick={redo}
+              disabled={!history.canRedo}
+              title="Redo (Ctrl+Shift+Z)"
+              style={{ padding: "6px 12px", opacity: history.canRedo ? 1 : 0.5 }}
+            >
+              Redo
+            </button>
+            <button
+              onClick={toggleMeasuring}
+              title="Click two points to measure between them (Esc to stop)"
+              style={{
+                padding: "6px 12px",
+                backgroundColor: measuring ? "#6a1b9a" : undefined,
+                color: measuring ? "white" : undefined
+              }}
+            >
+              Measure
+            </button>
+
 <button
               style={{
                 marginLeft: "10px",
@@ -1006,11 +2461,52 @@ export default function App() {
                 borderRadius: "4px",
                 cursor: "pointer"
               }}
-              onClick={() => window.location.href = "http://localhost:5173"}
+              onClick={() => openStore(storeReturnPath)}
             >
               Back to Store
             </button>&nbsp;&nbsp;&nbsp;&nbsp;&nbsp;&nbsp;&nbsp;&nbsp;&nbsp;&nbsp;&nbsp;&nbsp;&nbsp;&nbsp;&nbsp;&nbsp;
             
+            <select
+              value={unit}
+              onChange={(e) => changeUnit(e.target.value)}
+              title="Units for lengths"
+              style={{
+                padding: "5px",
+                borderRadius: "4px",
+                border: "1px solid #ddd",
+                backgroundColor: "#fff"
+              }}
+            >
+              {Object.entries(LENGTH_UNITS).map(([id, name]) => (
+                <option key={id} value={id}>{name}</option>
+              ))}
+            </select>
+
+            <label style={{ color: "#333", width: "auto" }}>
+              <input
+                type="checkbox"
+                checked={snapEnabled}
+                onChange={(e) => setSnapEnabled(e.target.checked)}
+              />{" "}
+              Snap
+            </label>
+            <select
+              value={snapStep}
+              onChange={(e) => setSnapStep(Number(e.target.value))}
+              disabled={!snapEnabled}
+              title="Grid step (angles snap to 15°)"
+              style={{
+                padding: "5px",
+                borderRadius: "4px",
+                border: "1px solid #ddd",
+                backgroundColor: "#fff"
+              }}
+            >
+              {snapSteps.map((step) => (
+                <option key={step} value={step}>{formatLength(step, unit)}</option>
+              ))}
+            </select>
+
             <label style={{ color: "#333" }}>View Mode:</label>
             <select 
               value={viewMode}
@@ -1036,8 +2532,25 @@ export default function App() {
 
       <div style={{ display: "flex", flexDirection: "row", height: "calc(100vh - 50px)" }}>
         {/* 3D Scene */}
-        <div style={{ flex: 5, borderRight: "1px solid #ddd" }}>
-          <Canvas camera={{ position: cameraTarget }} shadows>
+        <div
+          id="studio-scene"
+          onDragOver={(e) => {
+            if (e.dataTransfer.types.includes(PRODUCT_DRAG_TYPE)) e.preventDefault();
+          }}
+          onDrop={handleProductDrop}
+          style={{ flex: 5, borderRight: "1px solid #ddd" }}
+        >
+          <Canvas
+            camera={{ position: cameraTarget }}
+            shadows
+            onCreated={(state) => (canvasRef.current = state)}
+            onPointerMissed={() => {
+              // Releasing a gizmo drag also produces a click on empty space; keep the selection
+              if (Date.now() - lastTransformEndRef.current > 300) setSelectedId(null);
+            }}
+          >
+            <CatalogThumbnails catalog={catalog} done={thumbnails} onRender={addThumbnails} />
+
             {/* Exterior lighting - always active */}
             <ambientLight intensity={0.8} />
             <directionalLight 
@@ -1046,146 +2559,142 @@ export default function App() {
               castShadow
             />
 
-            {/* Room lighting system - only affects objects inside the room */}
-            {isInside && (
-              <group>
-                {/* Create invisible walls to contain light */}
-                <mesh position={[0, roomHeight/2, roomLength/2]} visible={false}>
-                  <planeGeometry args={[roomWidth, roomHeight]} />
-                  <meshStandardMaterial side={THREE.DoubleSide} opacity={0} transparent />
-                </mesh>
-                <mesh position={[0, roomHeight/2, -roomLength/2]} visible={false}>
-                  <planeGeometry args={[roomWidth, roomHeight]} />
-                  <meshStandardMaterial side={THREE.DoubleSide} opacity={0} transparent />
-                </mesh>
-                <mesh position={[-roomWidth/2, roomHeight/2, 0]} rotation={[0, Math.PI/2, 0]} visible={false}>
-                  <planeGeometry args={[roomLength, roomHeight]} />
-                  <meshStandardMaterial side={THREE.DoubleSide} opacity={0} transparent />
-                </mesh>
-                <mesh position={[roomWidth/2, roomHeight/2, 0]} rotation={[0, -Math.PI/2, 0]} visible={false}>
-                  <planeGeometry args={[roomLength, roomHeight]} />
-                  <meshStandardMaterial side={THREE.DoubleSide} opacity={0} transparent />
-                </mesh>
-                <mesh position={[0, roomHeight, 0]} rotation={[-Math.PI/2, 0, 0]} visible={false}>
-                  <planeGeometry args={[roomWidth, roomLength]} />
-                  <meshStandardMaterial side={THREE.DoubleSide} opacity={0} transparent />
-                </mesh>
-                <mesh position={[0, 0, 0]} rotation={[Math.PI/2, 0, 0]} visible={false}>
-                  <planeGeometry args={[roomWidth, roomLength]} />
-                  <meshStandardMaterial side={THREE.DoubleSide} opacity={0} transparent />
-                </mesh>
-
-                {/* Interior lighting */}
-                {isLightOn && (
-                  <>
-                    {/* Main ceiling light */}
-                    <pointLight
-                      position={[0, roomHeight - 0.3, 0]}
-                      color={lightColor}
-                      intensity={lightIntensity * 2}
-                      distance={roomWidth * 1.5}
-                      decay={1.5}
-                      castShadow
-                    />
-
-                    {/* Corner lights for even illumination */}
-                    <pointLight
-                      position={[roomWidth/4, roomHeight - 0.3, roomLength/4]}
-                      color={lightColor}
-                      intensity={lightIntensity * 0.4}
-                      distance={roomWidth}
-                      decay={2}
-                    />
-                    <pointLight
-                      position={[-roomWidth/4, roomHeight - 0.3, roomLength/4]}
-                      color={lightColor}
-                      intensity={lightIntensity * 0.4}
-                      distance={roomWidth}
-                      decay={2}
-                    />
-                    <pointLight
-                      position={[roomWidth/4, roomHeight - 0.3, -roomLength/4]}
-                      color={lightColor}
-                      intensity={lightIntensity * 0.4}
-                      distance={roomWidth}
-                      decay={2}
-                    />
-                    <pointLight
-                      position={[-roomWidth/4, roomHeight - 0.3, -roomLength/4]}
-                      color={lightColor}
-                      intensity={lightIntensity * 0.4}
-                      distance={roomWidth}
-                      decay={2}
-                    />
-
-                    {/* Soft ambient fill light */}
-                    <ambientLight 
-                      intensity={lightIntensity * 0.2} 
-                      color={lightColor}
-                    />
-                  </>
-                )}
-
-                {/* Light bulb model */}
-                <LightBulb 
-                  position={lightPosition}
-                  color={lightColor}
-                  intensity={lightIntensity}
-                  isOn={isLightOn}
-                />
-              </group>
+            {/* Room lighting system - only affects objects inside the rooms */}
+            {isInside && viewMode === "3D" && (
+              <>
+                {design.rooms.map((entry) => (
+                  <RoomLighting
+                    key={entry.id}
+                    room={entry.room}
+                    color={lightColor}
+                    intensity={lightIntensity}
+                    isOn={isLightOn}
+                  />
+                ))}
+                {/* Soft ambient fill light */}
+                {isLightOn && <ambientLight intensity={lightIntensity * 0.2} color={lightColor} />}
+              </>
             )}
             
-            {/* Update OrbitControls based on view mode */}
+            {/* Update OrbitControls based on view mode; remounted so each view starts fresh */}
             {navMode === "orbit" && (
               <OrbitControls 
+                key={viewMode}
+                makeDefault // lets TransformControls pause orbiting while dragging
                 enablePan 
                 enableZoom 
                 enableRotate={viewMode === "3D"}
-                minPolarAngle={viewMode === "2D" ? 0 : undefined}
-                maxPolarAngle={viewMode === "2D" ? 0 : undefined}
+                {...(viewMode === "2D" ? { target: [planBounds.center[0], 0, planBounds.center[1]] } : {})}
               />
             )}
-            <CameraController navMode={navMode} target={cameraTarget} />
-            <Grid args={[100, 100]} position={[0, -0.01, 0]} />
-            <Floor width={roomWidth} length={roomLength} floorColor={floorColor} />
-            {viewMode === "3D" && (
-              <Ceiling
-                roomWidth={roomWidth}
-                roomLength={roomLength}
-                roomHeight={roomHeight}
-                ceilingColor={ceilingColor}
-              />
+            {viewMode === "3D" ? (
+              <>
+                <CameraController navMode={navMode} target={cameraTarget} />
+                {navMode === "walk" && (
+                  <WalkControls canMoveTo={(point) => canWalkTo(design.rooms, point)} />
+                )}
+                {/* Outdoors, visible around the house and through its windows */}
+                <Sky sunPosition={[10, 10, 5]} userData={{ backdrop: true }} />
+                <MeasureTool active={measuring} onPick={pickMeasurePoint}>
+                  <mesh
+                    rotation={[-Math.PI / 2, 0, 0]}
+                    position={[0, -0.02, 0]}
+                    receiveShadow
+                    userData={{ backdrop: true }}
+                  >
+                    <planeGeometry args={[200, 200]} />
+                    <meshStandardMaterial color="#7d9b5a" />
+                  </mesh>
+                  <Grid args={[100, 100]} position={[0, -0.01, 0]} />
+                  {design.rooms.map((entry) => (
+                    <RoomModel
+                      key={entry.id}
+                      entry={entry}
+                      rooms={design.rooms}
+                      showCeiling
+                      onDoorToggle={handleDoorToggle}
+                    />
+                  ))}
+                  {/* Selecting an item in another room makes that room the active one */}
+                  {design.rooms.flatMap((entry) => entry.furniture.map((item) => (
+                    <Furniture 
+                      key={item.id} 
+                      item={item} 
+                      model={design.models.find((model) => model.id === item.model)}
+                      selected={item.id === selectedId}
+                      invalid={Boolean(collisions[item.id])}
+                      gizmoMode={gizmoMode}
+                      onSelect={(id) => {
+                        if (!measuring) selectItem(entry.id, id);
+                      }}
+                      snap={snapEnabled ? { step: snapStep, angle: ANGLE_STEP } : null}
+                      onUpdate={commitTransform}
+                      onTransformChange={(transform) => setLiveTransform({ id: item.id, transform })}
+                      onTransformEnd={() => {
+                        lastTransformEndRef.current = Date.now();
+                        setLiveTransform(null);
+                      }}
+                    />
+                  )))}
+                </MeasureTool>
+              </>
+            ) : (
+              <>
+                {/* Orthographic floor plan */}
+                <PlanCamera bounds={planBounds} />
+                <color attach="background" args={["#ffffff"]} />
+                <MeasureTool active={measuring} onPick={pickMeasurePoint}>
+                  {design.rooms.map((entry) => (
+                    <PlanRoom
+                      key={entry.id}
+                      entry={entry}
+                      rooms={design.rooms}
+                      active={entry.id === activeRoom.id}
+                      unit={unit}
+                    />
+                  ))}
+                  {design.rooms.flatMap((entry) => entry.furniture.map((item) => (
+                    <PlanFurniture
+                      key={item.id}
+                      item={item}
+                      selected={item.id === selectedId}
+                      invalid={Boolean(collisions[item.id])}
+                      draggable={!measuring}
+                      onSelect={(id) => selectItem(entry.id, id)}
+                      onDrag={(position) =>
+                        setLiveTransform(position && { id: item.id, transform: { position } })
+                      }
+                      onMove={(id, position) => {
+                        lastTransformEndRef.current = Date.now();
+                        return commitTransform(id, { position, rotation: item.rotation, scale: item.scale });
+                      }}
+                    />
+                  )))}
+                </MeasureTool>
+                {!isInside && !measuring && (
+                  <OutlineEditor
+                    outline={activeRoom.room.outline}
+                    onMove={moveCorner}
+                    onInsert={insertRoomCorner}
+                    onRemove={removeRoomCorner}
+                  />
+                )}
+              </>
             )}
-            <Walls
-              width={roomWidth}
-              length={roomLength}
-              height={roomHeight}
-              frontWallColor={frontWallColor}
-              backWallColor={backWallColor}
-              leftWallColor={leftWallColor}
-              rightWallColor={rightWallColor}
-              doorWall={doorWall}
-              windowWall={windowWall}
-              onDoorToggle={handleDoorToggle}
-              doorColor={doorColor}
-              windowColor={windowColor}
-              doorOffset={doorHorizontalOffset}
-              doorWidth={doorWidth}
-              doorHeight={doorHeight}
-              windowOffset={windowHorizontalOffset}
-              windowWidth={windowWidth}
-              windowHeight={windowHeight}
-              windowHeightFromFloor={windowHeightFromFloor}
-            />
-            {furnitureItems.map((item) => (
-              <Furniture 
-                key={item.id} 
-                item={item} 
-                onUpdate={updateFurniture}
-                onDelete={removeFurniture}
+            {showClearances && clearanceItem && (
+              <Clearances item={clearanceItem} entry={activeRoom} unit={unit} />
+            )}
+            {measurements.map((measurement) => (
+              <Measurement
+                key={measurement.id}
+                measurement={measurement}
+                unit={unit}
+                flat={viewMode === "2D"}
               />
             ))}
+            {measureStart && (
+              <MeasureMarker position={viewMode === "2D" ? [measureStart[0], 0.07, measureStart[2]] : measureStart} />
+            )}
           </Canvas>
         </div>
 
@@ -1199,31 +2708,253 @@ export default function App() {
             overflowY: "auto"
           }}
         >
-          <h2 style={{ fontSize: "20px", margin: "10px 0" }}>Room Properties</h2>
+          <h2 style={{ fontSize: "20px", margin: "10px 0" }}>Design</h2>
           <div>
-            <label>Width (m): </label>
+            <label>Name: </label>
             <input
-              type="number"
-              value={roomWidth}
-              onChange={(e) => setRoomWidth(Number(e.target.value))}
+              type="text"
+              value={design.name}
+              onChange={(e) => setDesign((prev) => ({ ...prev, name: e.target.value }), "name")}
               style={{ width: "50%" }}
             />
           </div>
+          <div style={{ display: "flex", gap: "5px" }}>
+            <button onClick={handleSaveDesign} disabled={!design.name.trim()} style={{ flex: 1 }}>
+              Save design
+            </button>
+            <button onClick={() => designFileInput.current.click()} style={{ flex: 1 }}>
+              Open design
+            </button>
+          </div>
+          <button onClick={() => downloadDesign(design)} style={{ width: "100%" }}>
+            Download as file
+          </button>
+          <div style={{ display: "flex", gap: "5px" }}>
+            <button
+              onClick={() => handleExportScene("glb")}
+              disabled={viewMode !== "3D"}
+              title="Binary glTF of the rooms and furniture"
+              style={{ flex: 1 }}
+            >
+              Export GLB
+            </button>
+            <button
+              onClick={() => handleExportScene("obj")}
+              disabled={viewMode !== "3D"}
+              title="OBJ with an MTL material file"
+              style={{ flex: 1 }}
+            >
+              Export OBJ
+            </button>
+          </div>
+
+          <h3 style={{ fontSize: "16px", margin: "20px 0 10px 0" }}>Images</h3>
           <div>
-            <label>Length (m): </label>
+            <label>Size: </label>
+            <select value={imageSize} onChange={(e) => setImageSize(e.target.value)}>
+              {Object.entries(IMAGE_SIZES).map(([name, [width, height]]) => (
+                <option key={name} value={name}>
+                  {name} ({width} × {height})
+                </option>
+              ))}
+              <option value="custom">Custom</option>
+            </select>
+          </div>
+          {imageSize === "custom" && (
+            <div>
+              <label>Width × Height (px): </label>
+              {customImageSize.map((value, axis) => (
+                <input
+                  key={axis}
+                  type="number"
+                  value={value}
+                  min={16}
+                  max={8192}
+                  onChange={(e) => {
+                    const next = [...customImageSize];
+                    next[axis] = Math.max(16, Math.round(Number(e.target.value)));
+                    setCustomImageSize(next);
+                  }}
+                  style={{ width: "22%" }}
+                />
+              ))}
+            </div>
+          )}
+          <label style={{ display: "block", margin: "5px 0" }}>
+            <input
+              type="checkbox"
+              checked={transparentImage}
+              onChange={(e) => setTransparentImage(e.target.checked)}
+            />{" "}
+            Transparent background
+          </label>
+          <div style={{ display: "flex", gap: "5px" }}>
+            <button onClick={handleExportImage} disabled={exportingImages} style={{ flex: 1 }}>
+              Export image
+            </button>
+            <button
+              onClick={handleExportStandardViews}
+              disabled={exportingImages || viewMode !== "3D"}
+              title={`Each wall of ${activeRoom.name} and its plan, as a ZIP of PNGs`}
+              style={{ flex: 1 }}
+            >
+              Standard views
+            </button>
+          </div>
+          <button
+            onClick={handleGenerateProposal}
+            disabled={exportingImages || viewMode !== "3D"}
+            title="A printable PDF with the floor plan, 3D views, room specifications and a priced furniture schedule"
+            style={{ width: "100%", marginTop: "5px" }}
+          >
+            {exportingImages ? "Rendering…" : "Generate proposal"}
+          </button>
+          <div>
+            <label>Undo steps: </label>
             <input
               type="number"
-              value={roomLength}
-              onChange={(e) => setRoomLength(Number(e.target.value))}
+              value={historyLimit}
+              onChange={(e) => setHistoryLimit(Math.max(1, Number(e.target.value)))}
+              min={1}
+              max={1000}
               style={{ width: "50%" }}
             />
           </div>
+          <input
+            ref={designFileInput}
+            type="file"
+            accept="application/json,.json"
+            onChange={handleOpenDesignFile}
+            style={{ display: "none" }}
+          />
+          {savedDesigns.length > 0 && (
+            <div style={{ maxHeight: "150px", overflowY: "auto" }}>
+              {savedDesigns.map(({ name, savedAt }) => (
+                <div
+                  key={name}
+                  style={{
+                    display: "flex",
+                    justifyContent: "space-between",
+                    alignItems: "center",
+                    padding: "5px",
+                    margin: "5px 0",
+                    backgroundColor: "#f0f0f0",
+                    borderRadius: "4px"
+                  }}
+                >
+                  <span title={new Date(savedAt).toLocaleString()}>{name}</span>
+                  <span>
+                    <button onClick={() => handleOpenSavedDesign(name)} style={{ padding: "5px 10px" }}>
+                      Open
+                    </button>{" "}
+                    <button
+                      onClick={() => handleDeleteSavedDesign(name)}
+                      style={{ backgroundColor: "#ff4444", padding: "5px 10px" }}
+                    >
+                      Delete
+                    </button>
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <h2 style={{ fontSize: "20px", margin: "10px 0" }}>Rooms</h2>
+          <div style={{ display: "flex", gap: "5px" }}>
+            <select
+              value={activeRoom.id}
+              onChange={(e) => switchRoom(Number(e.target.value))}
+              style={{ flex: 1 }}
+            >
+              {design.rooms.map((entry) => (
+                <option key={entry.id} value={entry.id}>
+                  {entry.name}
+                </option>
+              ))}
+            </select>
+            <button onClick={addRoom}>Add Room</button>
+          </div>
           <div>
-            <label>Height (m): </label>
+            <label>Name: </label>
             <input
-              type="number"
-              value={roomHeight}
-              onChange={(e) => setRoomHeight(Number(e.target.value))}
+              type="text"
+              value={activeRoom.name}
+              onChange={(e) => setRoomName(e.target.value)}
+              style={{ width: "50%" }}
+            />
+          </div>
+          <div>
+            <label>Position X / Z ({unit}): </label>
+            <LengthInput
+              value={roomBounds.minX}
+              unit={unit}
+              onChange={(x) => setRoomPosition([snapLength(x), roomBounds.minZ])}
+              step={snapEnabled ? snapStep : 0.1}
+              style={{ width: "22%" }}
+            />
+            <LengthInput
+              value={roomBounds.minZ}
+              unit={unit}
+              onChange={(z) => setRoomPosition([roomBounds.minX, snapLength(z)])}
+              step={snapEnabled ? snapStep : 0.1}
+              style={{ width: "22%" }}
+            />
+          </div>
+          <p style={{ fontSize: "12px", color: "#666", margin: "5px 0" }}>
+            New rooms are placed against the right-hand wall of the plan and share it. A door on a
+            shared wall connects the two rooms.
+          </p>
+          {design.rooms.length > 1 && (
+            <button
+              onClick={() => removeRoom(activeRoom.id)}
+              style={{ backgroundColor: "#ff4444", width: "100%" }}
+            >
+              Remove {activeRoom.name}
+            </button>
+          )}
+
+          <h2 style={{ fontSize: "20px", margin: "10px 0" }}>Room Properties</h2>
+          <div>
+            <label>Shape: </label>
+            <select value={roomShape} onChange={(e) => setRoomShape(e.target.value)} style={{ width: "50%" }}>
+              {ROOM_SHAPES.map((shape) => (
+                <option key={shape} value={shape}>
+                  {{ rectangle: "Rectangle", L: "L-shape", U: "U-shape", custom: "Custom" }[shape]}
+                </option>
+              ))}
+            </select>
+          </div>
+          {roomShape === "custom" ? (
+            <p style={{ fontSize: "12px", color: "#666", margin: "5px 0" }}>
+              {formatLength(roomWidth, unit)} × {formatLength(roomLength, unit)} overall. In the 2D view, drag the blue
+              corners to reshape the room, click a wall's middle handle to add a corner and double-click
+              a corner to remove it.
+            </p>
+          ) : (
+            <>
+              <div>
+                <label>Width ({unit}): </label>
+                <LengthInput value={roomWidth} unit={unit} onChange={setRoomWidth} style={{ width: "50%" }} />
+              </div>
+              <div>
+                <label>Length ({unit}): </label>
+                <LengthInput value={roomLength} unit={unit} onChange={setRoomLength} style={{ width: "50%" }} />
+              </div>
+            </>
+          )}
+          <div>
+            <label>Height ({unit}): </label>
+            <LengthInput value={roomHeight} unit={unit} onChange={setRoomHeight} style={{ width: "50%" }} />
+          </div>
+          <div>
+            <label>Wall Thickness ({unit}): </label>
+            <LengthInput
+              value={wallThickness}
+              unit={unit}
+              onChange={(thickness) => setWallThickness(Math.max(0.05, thickness))}
+              min={0.05}
+              max={0.5}
+              step={0.05}
               style={{ width: "50%" }}
             />
           </div>
@@ -1231,42 +2962,17 @@ export default function App() {
           {/* Wall Colors Section - Moved here */}
           <h3 style={{ fontSize: "16px", margin: "20px 0 10px 0" }}>Wall Colors</h3>
           <div style={{ display: "grid", gap: "10px", marginBottom: "20px" }}>
-            <div>
-              <label>Front Wall: </label>
-              <input
-                type="color"
-                value={frontWallColor}
-                onChange={(e) => setFrontWallColor(e.target.value)}
-                style={{ width: "50%" }}
-              />
-            </div>
-            <div>
-              <label>Back Wall: </label>
-              <input
-                type="color"
-                value={backWallColor}
-                onChange={(e) => setBackWallColor(e.target.value)}
-                style={{ width: "50%" }}
-              />
-            </div>
-            <div>
-              <label>Left Wall: </label>
-              <input
-                type="color"
-                value={leftWallColor}
-                onChange={(e) => setLeftWallColor(e.target.value)}
-                style={{ width: "50%" }}
-              />
-            </div>
-            <div>
-              <label>Right Wall: </label>
-              <input
-                type="color"
-                value={rightWallColor}
-                onChange={(e) => setRightWallColor(e.target.value)}
-                style={{ width: "50%" }}
-              />
-            </div>
+            {wallColors.map((color, wall) => (
+              <div key={wall}>
+                <label>{getWallLabel(activeRoom.room, wall)} Wall: </label>
+                <input
+                  type="color"
+                  value={color}
+                  onChange={(e) => setWallColor(wall, e.target.value)}
+                  style={{ width: "50%" }}
+                />
+              </div>
+            ))}
           </div>
 
           <div>
@@ -1290,141 +2996,145 @@ export default function App() {
             </div>
           )}
 
-          <h2 style={{ fontSize: "20px", margin: "10px 0" }}>Door Settings</h2>
-          <div>
-            <label>Door Wall: </label>
-            <select 
-              value={doorWall} 
-              onChange={(e) => {
-                setDoorWall(e.target.value);
-                // Reset door offset when changing walls to ensure door is visible
-                setDoorHorizontalOffset(0);
-              }}
-              style={{ width: "50%" }}
-            >
-              <option value="front">Front Wall</option>
-              <option value="back">Back Wall</option>
-              <option value="left">Left Wall</option>
-              <option value="right">Right Wall</option>
-            </select>
-          </div>
-
-          {/* New Door Customization Controls */}
-          <div style={{ marginTop: "10px" }}>
-            <div>
-              <label>Door Width (m): </label>
-              <input
-                type="number"
-                value={doorWidth}
-                onChange={(e) => setDoorWidth(Number(e.target.value))}
-                min={0.6}
-                max={2.0}
-                step={0.1}
-                style={{ width: "50%" }}
-              />
-            </div>
-            <div>
-              <label>Door Height (m): </label>
-              <input
-                type="number"
-                value={doorHeight}
-                onChange={(e) => setDoorHeight(Number(e.target.value))}
-                min={1.8}
-                max={roomHeight * 0.9}
-                step={0.1}
-                style={{ width: "50%" }}
-              />
-            </div>
-            <div>
-              <label>Position on Wall (m): </label>
-              <input
-                type="number"
-                value={doorHorizontalOffset}
-                onChange={(e) => setDoorHorizontalOffset(Number(e.target.value))}
-                min={getDoorOffsetLimits().min}
-                max={getDoorOffsetLimits().max}
-                step={0.1}
-                style={{ width: "50%" }}
-              />
-            </div>
-            <div>
-              <label>Door Color: </label>
-              <input
-                type="color"
-                value={doorColor}
-                onChange={(e) => setDoorColor(e.target.value)}
-                style={{ width: "50%" }}
-              />
-            </div>
-          </div>
-
-          <h2 style={{ fontSize: "20px", margin: "20px 0 10px 0" }}>Window Settings</h2>
-          <div>
-            <label>Window Wall: </label>
-            <select value={windowWall} onChange={(e) => setWindowWall(e.target.value)}>
-              <option value="front">Front</option>
-              <option value="back">Back</option>
-              <option value="left">Left</option>
-              <option value="right">Right</option>
-            </select>
-          </div>
-          <div>
-            <label>Width (m): </label>
-            <input
-              type="number"
-              value={windowWidth}
-              onChange={(e) => setWindowWidth(Number(e.target.value))}
-              min={0.5}
-              max={roomWidth * 0.8}
-              step={0.1}
-              style={{ width: "50%" }}
-            />
-          </div>
-          <div>
-            <label>Height (m): </label>
-            <input
-              type="number"
-              value={windowHeight}
-              onChange={(e) => setWindowHeight(Number(e.target.value))}
-              min={0.5}
-              max={roomHeight * 0.8}
-              step={0.1}
-              style={{ width: "50%" }}
-            />
-          </div>
-          <div>
-            <label>Height from Floor (m): </label>
-            <input
-              type="number"
-              value={windowHeightFromFloor}
-              onChange={(e) => setWindowHeightFromFloor(Number(e.target.value))}
-              min={0.3}
-              max={roomHeight - windowHeight - 0.3}
-              step={0.1}
-              style={{ width: "50%" }}
-            />
-          </div>
-          <div>
-            <label>Horizontal Offset (m): </label>
-            <input
-              type="number"
-              value={windowHorizontalOffset}
-              onChange={(e) => setWindowHorizontalOffset(Number(e.target.value))}
-              min={-roomWidth/2 + windowWidth/2}
-              max={roomWidth/2 - windowWidth/2}
-              step={0.1}
-              style={{ width: "50%" }}
-            />
-          </div>
-          <div>
-            <label>Window Color: </label>
-            <input
-              type="color"
-              value={windowColor}
-              onChange={(e) => setWindowColor(e.target.value)}
-              style={{ width: "50%" }}
-            />
+          <h2 style={{ fontSize: "20px", margin: "10px 0" }}>Doors & Windows</h2>
+          <div style={{ display: "flex", gap: "5px" }}>
+            <button onClick={() => addOpening(createDoor())} style={{ flex: 1 }}>
+              Add Door
+            </button>
+            <button onClick={() => addOpening(createWindow())} style={{ flex: 1 }}>
+              Add Window
+            </button>
           </div>
+          {openings.map((opening, index) => {
+            const wallLength = getWallLength(opening.wall, activeRoom.room);
+            const isDoor = opening.kind === "door";
+            return (
+              <div
+                key={opening.id}
+                style={{
+                  padding: "5px",
+                  margin: "5px 0",
+                  backgroundColor: "#f0f0f0",
+                  borderRadius: "4px"
+                }}
+              >
+                <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+                  <strong>{isDoor ? "Door" : "Window"} {index + 1}</strong>
+                  <button
+                    onClick={() => removeOpening(opening.id)}
+                    style={{ backgroundColor: "#ff4444", padding: "5px 10px" }}
+                  >
+                    Remove
+                  </button>
+                </div>
+                {openingProblems[opening.id] && (
+                  <p style={{ color: "#ff0000", margin: "5px 0" }}>
+                    {isDoor ? "Door" : "Window"} {openingProblems[opening.id].join(" and ")}
+                  </p>
+                )}
+                <div>
+                  <label>Wall: </label>
+                  <select
+                    value={opening.wall}
+                    // Reset the offset when changing walls to ensure the opening is visible
+                    onChange={(e) => updateOpening(opening.id, { wall: Number(e.target.value), offset: 0 })}
+                    style={{ width: "50%" }}
+                  >
+                    {activeRoom.room.outline.map((_, wall) => (
+                      <option key={wall} value={wall}>
+                        {getWallLabel(activeRoom.room, wall)} Wall
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label>Position on Wall ({unit}): </label>
+                  <LengthInput
+                    value={opening.offset}
+                    unit={unit}
+                    onChange={(offset) => updateOpening(opening.id, { offset: snapLength(offset) })}
+                    min={-wallLength / 2 + opening.width / 2}
+                    max={wallLength / 2 - opening.width / 2}
+                    step={snapEnabled ? snapStep : 0.1}
+                    style={{ width: "50%" }}
+                  />
+                </div>
+                <div>
+                  <label>Width ({unit}): </label>
+                  <LengthInput
+                    value={opening.width}
+                    unit={unit}
+                    onChange={(width) => updateOpening(opening.id, { width })}
+                    min={isDoor ? 0.6 : 0.5}
+                    max={isDoor ? 2.0 : wallLength * 0.8}
+                    step={0.1}
+                    style={{ width: "50%" }}
+                  />
+                </div>
+                <div>
+                  <label>Height ({unit}): </label>
+                  <LengthInput
+                    value={opening.height}
+                    unit={unit}
+                    onChange={(height) => updateOpening(opening.id, { height })}
+                    min={isDoor ? 1.8 : 0.5}
+                    max={roomHeight * (isDoor ? 0.9 : 0.8)}
+                    step={0.1}
+                    style={{ width: "50%" }}
+                  />
+                </div>
+                {!isDoor && (
+                  <div>
+                    <label>Height from Floor ({unit}): </label>
+                    <LengthInput
+                      value={opening.sillHeight}
+                      unit={unit}
+                      onChange={(sillHeight) => updateOpening(opening.id, { sillHeight })}
+                      min={0.3}
+                      max={roomHeight - opening.height - 0.3}
+                      step={0.1}
+                      style={{ width: "50%" }}
+                    />
+                  </div>
+                )}
+                {isDoor && (
+                  <>
+                    <div>
+                      <label>Hinge Side: </label>
+                      <select
+                        value={opening.hinge}
+                        onChange={(e) => updateOpening(opening.id, { hinge: e.target.value })}
+                        style={{ width: "50%" }}
+                      >
+                        <option value="left">Left</option>
+                        <option value="right">Right</option>
+                      </select>
+                    </div>
+                    <div>
+                      <label>Opens: </label>
+                      <select
+                        value={opening.swing}
+                        onChange={(e) => updateOpening(opening.id, { swing: e.target.value })}
+                        style={{ width: "50%" }}
+                      >
+                        <option value="in">Into the room</option>
+                        <option value="out">Out of the room</option>
+                      </select>
+                    </div>
+                  </>
+                )}
+                <div>
+                  <label>Color: </label>
+                  <input
+                    type="color"
+                    value={opening.color}
+                    onChange={(e) => updateOpening(opening.id, { color: e.target.value })}
+                    style={{ width: "50%" }}
+                  />
+                </div>
+              </div>
+            );
+          })}
 
           <h2 style={{ fontSize: "20px", margin: "10px 0" }}>Navigation</h2>
           <div>
@@ -1437,6 +3147,10 @@ export default function App() {
                 if (viewMode === "2D" && e.target.value === "walk") {
                   setViewMode("3D");
                 }
+                // Start walking just inside the active room
+                if (e.target.value === "walk" && !isInside) {
+                  handleGoInside();
+                }
               }}
             >
               <option value="orbit">Orbit</option>
@@ -1445,10 +3159,10 @@ export default function App() {
           </div>
 
           {/* Disable room entry in 2D mode */}
-          {navMode === "orbit" && viewMode === "3D" && (
+          {viewMode === "3D" && (
             <div>
               <button onClick={handleGoInside} style={{ width: "100%", marginTop: "10px" }}>
-                Go Inside
+                Go Inside {activeRoom.name}
               </button>
               <button onClick={handleExitRoom} style={{ width: "100%", marginTop: "10px" }}>
                 Exit Room
@@ -1456,30 +3170,115 @@ export default function App() {
             </div>
           )}
 
+          <h2 style={{ fontSize: "20px", margin: "10px 0" }}>Measurements</h2>
+          <p style={{ fontSize: "12px", color: "#666", margin: "5px 0" }}>
+            {!measuring
+              ? "Turn on Measure in the top bar, then click two points on the floor, a wall or an item."
+              : measureStart
+                ? "Click the second point."
+                : "Click the first point. Press Esc to stop measuring."}
+          </p>
+          <label style={{ display: "block", margin: "5px 0" }}>
+            <input
+              type="checkbox"
+              checked={showClearances}
+              onChange={(e) => setShowClearances(e.target.checked)}
+            />{" "}
+            Show clearances around the selected item
+          </label>
+          {measurements.map((measurement, i) => (
+            <div
+              key={measurement.id}
+              style={{
+                display: "flex",
+                justifyContent: "space-between",
+                alignItems: "center",
+                padding: "5px",
+                margin: "5px 0",
+                backgroundColor: "#f0f0f0",
+                borderRadius: "4px"
+              }}
+            >
+              <span>
+                Measurement {i + 1}: {formatLength(getDistance(measurement.from, measurement.to), unit)}
+              </span>
+              <button
+                onClick={() => removeMeasurement(measurement.id)}
+                style={{
+                  backgroundColor: "#ff4444",
+                  color: "white",
+                  border: "none",
+                  padding: "5px 10px",
+                  borderRadius: "4px",
+                  cursor: "pointer"
+                }}
+              >
+                Delete
+              </button>
+            </div>
+          ))}
+
           {/* Display Furniture Details only after entering the room */}
           {isInside && (
             <>
               <h2 style={{ fontSize: "20px", margin: "10px 0" }}>Furniture Details</h2>
-              <div>
-                <label>Type: </label>
-                <select value={furnitureType} onChange={(e) => setFurnitureType(e.target.value)}>
-                  <option value="Sofa">Sofa</option>
-                  <option value="Table">Table</option>
-                  <option value="Cabinet">Cabinet</option>
-                  <option value="Bed">Bed</option>
-                  <option value="Wardrobes">Wardrobes</option>
-                  <option value="Rack">Rack</option>
-                  <option value="Chair">Chair</option>
-                </select>
-              </div>
-              <div>
-                <label>Size: </label>
-                <select value={furnitureSize} onChange={(e) => setFurnitureSize(e.target.value)}>
-                  <option value="Small">Small</option>
-                  <option value="Medium">Medium</option>
-                  <option value="Large">Large</option>
-                </select>
-              </div>
+              <CatalogBrowser
+                catalog={catalog}
+                thumbnails={thumbnails}
+                selected={furnitureType}
+                onSelect={setFurnitureType}
+              />
+              {furnitureModel ? (
+                <div>
+                  <label>Size: </label>
+                  <span style={{ fontSize: "12px", color: "#666" }}>
+                    {formatDimensions(furnitureModel.dimensions, unit)}
+                  </span>
+                </div>
+              ) : (
+                <SizeInput
+                  key={furnitureType}
+                  type={furnitureType}
+                  size={furnitureSize}
+                  dimensions={furnitureDimensions}
+                  unit={unit}
+                  onChange={({ size, dimensions }) => {
+                    setFurnitureSize(size);
+                    if (dimensions) setFurnitureDimensions(dimensions);
+                  }}
+                />
+              )}
+              <button onClick={() => modelFileInput.current.click()} style={{ width: "100%" }}>
+                Import model (.glb, .gltf)
+              </button>
+              <input
+                ref={modelFileInput}
+                type="file"
+                accept=".glb,.gltf,model/gltf-binary,model/gltf+json"
+                onChange={handleImportModel}
+                style={{ display: "none" }}
+              />
+              {design.models.map((model) => (
+                <div key={model.id} style={{ display: "flex", alignItems: "center", gap: "5px", margin: "5px 0" }}>
+                  <span style={{ flex: 1 }}>{model.name}</span>
+                  <select
+                    value={model.unit}
+                    onChange={(e) => changeModelUnit(model.id, e.target.value)}
+                    title="Unit the model was drawn in"
+                  >
+                    {Object.keys(MODEL_UNITS).map((modelUnit) => (
+                      <option key={modelUnit} value={modelUnit}>{modelUnit}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={() => removeModel(model.id)}
+                    disabled={Boolean(modelUses[model.id])}
+                    title={modelUses[model.id] ? "Remove the furniture made from it first" : undefined}
+                  >
+                    Remove
+                  </button>
+                </div>
+              ))}
               <div>
                 <label>Color: </label>
                 <input
@@ -1490,29 +3289,29 @@ export default function App() {
                 />
               </div>
               <div>
-                <label>Pos X (m): </label>
-                <input
-                  type="number"
-                  value={furniturePosX}
-                  onChange={(e) => setFurniturePosX(e.target.value)}
+                <label>Pos X ({unit}): </label>
+                <LengthInput
+                  value={Number(furniturePosX)}
+                  unit={unit}
+                  onChange={setFurniturePosX}
                   style={{ width: "50%" }}
                 />
               </div>
               <div>
-                <label>Pos Y (m): </label>
-                <input
-                  type="number"
-                  value={furniturePosY}
-                  onChange={(e) => setFurniturePosY(e.target.value)}
+                <label>Pos Y ({unit}): </label>
+                <LengthInput
+                  value={Number(furniturePosY)}
+                  unit={unit}
+                  onChange={setFurniturePosY}
                   style={{ width: "50%" }}
                 />
               </div>
               <div>
-                <label>Pos Z (m): </label>
-                <input
-                  type="number"
-                  value={furniturePosZ}
-                  onChange={(e) => setFurniturePosZ(e.target.value)}
+                <label>Pos Z ({unit}): </label>
+                <LengthInput
+                  value={Number(furniturePosZ)}
+                  unit={unit}
+                  onChange={setFurniturePosZ}
                   style={{ width: "50%" }}
                 />
               </div>
@@ -1520,27 +3319,45 @@ export default function App() {
                 Add Furniture
               </button>
 
-              {/* Furniture List with Remove Buttons */}
+              <h3 style={{ fontSize: "16px", margin: "20px 0 10px 0" }}>LUXE Products</h3>
+              <LuxeProductList />
+
+              {/* Furniture List: click a row to select the item */}
               {furnitureItems.length > 0 && (
                 <div style={{ marginTop: "20px" }}>
                   <h3 style={{ fontSize: "16px", margin: "10px 0" }}>Placed Furniture</h3>
+                  <div>
+                    <label>Collisions: </label>
+                    <select value={collisionMode} onChange={(e) => setCollisionMode(e.target.value)}>
+                      <option value="block">Block invalid moves</option>
+                      <option value="highlight">Highlight in red</option>
+                      <option value="off">Off</option>
+                    </select>
+                  </div>
                   <div style={{ maxHeight: "200px", overflowY: "auto" }}>
                     {furnitureItems.map((item) => (
                       <div 
                         key={item.id} 
+                        onClick={() => setSelectedId(item.id)}
                         style={{ 
                           display: "flex", 
                           justifyContent: "space-between", 
                           alignItems: "center",
                           padding: "5px",
                           margin: "5px 0",
-                          backgroundColor: "#f0f0f0",
-                          borderRadius: "4px"
+                          backgroundColor: item.id === selectedId ? "#f7d6e2" : "#f0f0f0",
+                          borderRadius: "4px",
+                          cursor: "pointer"
                         }}
                       >
-                        <span>{item.type}</span>
+                        <span style={{ color: collisions[item.id] ? "#ff0000" : undefined }}>
+                          {item.type} ({item.size || "imported"})
+                        </span>
                         <button 
-                          onClick={() => removeFurniture(item.id)}
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            removeFurniture(item.id);
+                          }}
                           style={{
                             backgroundColor: "#ff4444",
                             color: "white",
@@ -1557,6 +3374,179 @@ export default function App() {
                   </div>
                 </div>
               )}
+
+              {design.rooms.some((entry) => entry.furniture.length > 0) && (
+                <>
+                  <h3 style={{ fontSize: "16px", margin: "20px 0 10px 0" }}>Bill of Materials</h3>
+                  <BillOfMaterials
+                    items={design.rooms.flatMap((entry) => entry.furniture)}
+                    onLinkMatching={linkMatchingProducts}
+                    onBuy={buyDesign}
+                  />
+                </>
+              )}
+            </>
+          )}
+
+          {/* Inspector for the selected furniture item */}
+          {selectedItem && (
+            <>
+              <h2 style={{ fontSize: "20px", margin: "20px 0 10px 0" }}>Selected Item</h2>
+              {collisions[selectedItem.id] && (
+                <p style={{ color: "#ff0000", margin: "5px 0" }}>
+                  Invalid position: {describeProblems(collisions[selectedItem.id], furnitureItems)}
+                </p>
+              )}
+              <div>
+                <label>Type: </label>
+                <select
+                  value={getCatalogKey(selectedItem)}
+                  onChange={(e) => {
+                    const model = findTypeModel(e.target.value);
+                    const fields = model ? getModelItemFields(model) : changeItemType(selectedItem, e.target.value);
+                    const productId = relinkProduct({ ...selectedItem, ...fields });
+                    updateFurniture(selectedItem.id, { ...fields, productId });
+                  }}
+                >
+                  {FURNITURE_CATEGORIES.filter((category) => catalog.some((entry) => entry.category === category)).map((category) => (
+                    <optgroup key={category} label={category}>
+                      {catalog
+                        .filter((entry) => entry.category === category)
+                        .map((entry) => (
+                          <option key={entry.key} value={entry.key}>{entry.type}</option>
+                        ))}
+                    </optgroup>
+                  ))}
+                </select>
+              </div>
+              {selectedItem.model ? (
+                <div>
+                  <label>Size: </label>
+                  <span style={{ fontSize: "12px", color: "#666" }}>
+                    {formatDimensions(getItemDimensions(selectedItem), unit)}
+                  </span>
+                </div>
+              ) : (
+                <SizeInput
+                  key={selectedItem.id}
+                  type={selectedItem.type}
+                  size={selectedItem.size}
+                  dimensions={selectedItem.dimensions}
+                  unit={unit}
+                  onChange={(fields) => {
+                    const productId = relinkProduct({ ...selectedItem, ...fields });
+                    updateFurniture(selectedItem.id, { ...fields, productId });
+                  }}
+                />
+              )}
+              {!selectedItem.model && (
+                <div>
+                  <label>LUXE product: </label>
+                  <select
+                    value={getLinkedProduct(selectedItem) ? selectedItem.productId : ""}
+                    onChange={(e) => {
+                      const product = LUXE_PRODUCTS.find((candidate) => candidate.id === e.target.value);
+                      updateFurniture(
+                        selectedItem.id,
+                        product ? { ...getProductItemFields(product), dimensions: undefined } : { productId: undefined }
+                      );
+                    }}
+                    style={{ width: "60%" }}
+                  >
+                    <option value="">None</option>
+                    {getTypeProducts(selectedItem.type).map((product) => (
+                      <option key={product.id} value={product.id}>
+                        {product.name} ({formatPrice(product.price)})
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
+              {selectedItem.model ? (
+                <div>
+                  <label>Color: </label>
+                  <input
+                    type="color"
+                    value={selectedItem.color}
+                    onChange={(e) =>
+                      updateFurniture(selectedItem.id, { color: e.target.value }, `furniture.${selectedItem.id}.color`)
+                    }
+                    style={{ width: "50%" }}
+                  />
+                </div>
+              ) : (
+                <div>
+                  <label>Materials:</label>
+                  {FURNITURE_CATALOG.find((entry) => entry.type === selectedItem.type).parts.map((part) => (
+                    <PartFinishInput
+                      key={part.name}
+                      label={part.label}
+                      material={getPartMaterials(selectedItem)[part.name]}
+                      preset={selectedItem.parts && selectedItem.parts[part.name] && selectedItem.parts[part.name].preset}
+                      onChange={(change, field) =>
+                        updateFurniture(
+                          selectedItem.id,
+                          changePartFinish(selectedItem, part.name, change),
+                          field && `furniture.${selectedItem.id}.${part.name}.${field}`
+                        )
+                      }
+                    />
+                  ))}
+                </div>
+              )}
+              <Vector3Input
+                label={`Position (${unit})`}
+                value={selectedItem.position}
+                unit={unit}
+                step={0.1}
+                onChange={(position) =>
+                  updateFurniture(selectedItem.id, { position }, `furniture.${selectedItem.id}.position`)
+                }
+              />
+              <Vector3Input
+                label="Rotation (°)"
+                value={selectedItem.rotation}
+                step={15}
+                displayScale={180 / Math.PI}
+                onChange={(rotation) =>
+                  updateFurniture(selectedItem.id, { rotation }, `furniture.${selectedItem.id}.rotation`)
+                }
+              />
+              <Vector3Input
+                label="Scale"
+                value={selectedItem.scale}
+                step={0.1}
+                min={0.1}
+                onChange={(scale) =>
+                  updateFurniture(
+                    selectedItem.id,
+                    { scale: scale.map((v) => Math.max(0.1, v)) },
+                    `furniture.${selectedItem.id}.scale`
+                  )
+                }
+              />
+              <div style={{ display: "flex", gap: "5px" }}>
+                {[
+                  ["translate", "Move (W)"],
+                  ["rotate", "Rotate (E)"],
+                  ["scale", "Scale (R)"]
+                ].map(([mode, text]) => (
+                  <button
+                    key={mode}
+                    onClick={() => setGizmoMode(mode)}
+                    style={{
+                      flex: 1,
+                      padding: "5px",
+                      backgroundColor: gizmoMode === mode ? "#d485a3" : "#E69DB8"
+                    }}
+                  >
+                    {text}
+                  </button>
+                ))}
+              </div>
+              <button onClick={() => setSelectedId(null)} style={{ width: "100%" }}>
+                Deselect
+              </button>
             </>
           )}
 
@@ -1609,13 +3599,4 @@ export default function App() {
       </div>
     </div>
   );
-
-  // Helper function to calculate door offset limits based on wall and door width
-  function getDoorOffsetLimits() {
-    const wallWidth = doorWall === "front" || doorWall === "back" ? roomWidth : roomLength;
-    return {
-      min: -wallWidth/2 + doorWidth/2,
-      max: wallWidth/2 - doorWidth/2
-    };
-  }
 }
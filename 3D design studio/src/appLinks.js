@@ -0,0 +1,54 @@
+/* App Links:
+   - The address of the LUXE store and the deep links between it and the
+     studio.
+   - The store's address comes from, in order: `storeUrl` in
+     window.LUXE_CONFIG (public/config.js, which can be edited after a
+     build), the REACT_APP_STORE_URL build variable, and the store's local
+     dev server.
+   - The store opens the studio as /?product=<id>&design=<id>&return=<path>:
+     a product to place, a saved design to open and the store page to go
+     back to. Each part is optional.
+*/
+export const DEFAULT_STORE_URL = "http://localhost:5173";
+
+/* The store's address without a trailing slash; throws when it is not a web address */
+export function getStoreUrl(config = window.LUXE_CONFIG, env = process.env.REACT_APP_STORE_URL) {
+  const value = (config && config.storeUrl) || env || DEFAULT_STORE_URL;
+  let url;
+  try {
+    url = new URL(value);
+  } catch (err) {
+    throw new Error(`The store's address "${value}" is not a valid URL`);
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw new Error(`The store's address "${value}" is not a web address`);
+  }
+  return url.href.replace(/\/+$/, "");
+}
+
+/* Whether a return path names a page of the store, not another site */
+export function isStorePath(path) {
+  return typeof path === "string" && path.startsWith("/") && !path.startsWith("//");
+}
+
+/* Address of a page of the store, e.g. "/product/sofa-2" */
+export function getStoreLink(path = "/", storeUrl = getStoreUrl()) {
+  if (!isStorePath(path)) {
+    throw new Error(`"${path}" is not a page of the store`);
+  }
+  return `${storeUrl}${path}`;
+}
+
+/* The parts of a deep link from the store; a return path that is not a
+   page of the store is left out and reported in `invalidReturn` */
+export function readDeepLink(search) {
+  const params = new URLSearchParams(search);
+  const returnPath = params.get("return");
+  const valid = returnPath === null || isStorePath(returnPath);
+  return {
+    productId: params.get("product"),
+    designId: params.get("design"),
+    returnPath: valid ? returnPath : null,
+    invalidReturn: valid ? null : returnPath
+  };
+}
@@ -0,0 +1,31 @@
+import { DEFAULT_STORE_URL, getStoreLink, getStoreUrl, readDeepLink } from "./appLinks";
+
+test("takes the store's address from the runtime config, then the build, then the default", () => {
+  expect(getStoreUrl({ storeUrl: "https://shop.example/" }, "https://build.example")).toBe("https://shop.example");
+  expect(getStoreUrl({}, "https://build.example/luxe/")).toBe("https://build.example/luxe");
+  expect(getStoreUrl(undefined, undefined)).toBe(DEFAULT_STORE_URL);
+});
+
+test("rejects store addresses that are not web addresses", () => {
+  expect(() => getStoreUrl({ storeUrl: "shop.example" })).toThrow(/not a valid URL/);
+  expect(() => getStoreUrl({ storeUrl: "ftp://shop.example" })).toThrow(/not a web address/);
+});
+
+test("links to pages of the store only", () => {
+  expect(getStoreLink("/product/sofa-2", "https://shop.example")).toBe("https://shop.example/product/sofa-2");
+  expect(getStoreLink(undefined, "https://shop.example")).toBe("https://shop.example/");
+  expect(() => getStoreLink("//evil.example", "https://shop.example")).toThrow(/not a page of the store/);
+});
+
+test("reads the product, design and return page of a deep link", () => {
+  expect(readDeepLink("?product=sofa-2&design=d-1&return=%2Fproduct%2Fsofa-2")).toEqual({
+    productId: "sofa-2",
+    designId: "d-1",
+    returnPath: "/product/sofa-2",
+    invalidReturn: null
+  });
+  expect(readDeepLink("")).toEqual({ productId: null, designId: null, returnPath: null, invalidReturn: null });
+  expect(readDeepLink("?return=https://evil.example")).toEqual(
+    expect.objectContaining({ returnPath: null, invalidReturn: "https://evil.example" })
+  );
+});
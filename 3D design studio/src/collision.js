@@ -0,0 +1,133 @@
+import * as THREE from "three";
+import { getItemDimensions } from "./furnitureCatalog";
+import { getOpeningFrame } from "./openings";
+import { isInsideOutline } from "./roomShape";
+
+/* Collision Detection:
+   - Furniture is approximated by its world-space axis-aligned bounding box,
+     built from the item's size (its preset, or an imported model's
+     measured size) and its rotation and scale.
+   - An item is invalid when it overlaps another item, a door's swing area,
+     or leaves the room (through a wall, the floor or the ceiling). The
+     footprint must lie inside the room outline with no corner of the
+     outline poking into it.
+   - EPSILON lets items sit flush against each other and the walls.
+*/
+const EPSILON = 1e-3;
+
+/* World-space bounding box of a furniture item */
+export function getFurnitureBounds(item) {
+  const dims = getItemDimensions(item);
+  const box = new THREE.Box3(
+    new THREE.Vector3(-dims.width / 2, 0, -dims.depth / 2),
+    new THREE.Vector3(dims.width / 2, dims.height, dims.depth / 2)
+  );
+  const matrix = new THREE.Matrix4().compose(
+    new THREE.Vector3(...item.position),
+    new THREE.Quaternion().setFromEuler(new THREE.Euler(...(item.rotation || [0, 0, 0]))),
+    new THREE.Vector3(...(item.scale || [1, 1, 1]))
+  );
+  return box.applyMatrix4(matrix);
+}
+
+/* True when a box's floor footprint lies inside the room outline */
+function isFootprintInside(bounds, outline) {
+  const minX = bounds.min.x + EPSILON;
+  const maxX = bounds.max.x - EPSILON;
+  const minZ = bounds.min.z + EPSILON;
+  const maxZ = bounds.max.z - EPSILON;
+  const corners = [[minX, minZ], [maxX, minZ], [maxX, maxZ], [minX, maxZ]];
+  return (
+    corners.every((corner) => isInsideOutline(corner, outline)) &&
+    !outline.some(([x, z]) => x > minX && x < maxX && z > minZ && z < maxZ)
+  );
+}
+
+/* Floor area swept by a door leaf: a door-width square inside the room
+   in front of the opening. Doors swinging out leave the room clear.
+*/
+export function getDoorSwingBounds(door, room) {
+  if (door.swing === "out") return new THREE.Box3();
+  const { position, rotation } = getOpeningFrame(door, room);
+  const half = door.width / 2;
+  const matrix = new THREE.Matrix4().compose(
+    new THREE.Vector3(...position),
+    new THREE.Quaternion().setFromEuler(new THREE.Euler(...rotation)),
+    new THREE.Vector3(1, 1, 1)
+  );
+  return new THREE.Box3(
+    new THREE.Vector3(-half, 0, 0),
+    new THREE.Vector3(half, door.height, door.width)
+  ).applyMatrix4(matrix);
+}
+
+function overlaps(a, b) {
+  return (
+    a.min.x < b.max.x - EPSILON && a.max.x > b.min.x + EPSILON &&
+    a.min.y < b.max.y - EPSILON && a.max.y > b.min.y + EPSILON &&
+    a.min.z < b.max.z - EPSILON && a.max.z > b.min.z + EPSILON
+  );
+}
+
+/* Lists why `item` cannot stand in the room `entry` ({ room, openings,
+   furniture }, see createRoom). Empty array means valid.
+   Each problem is { kind: "floor" | "ceiling" | "wall" | "door" | "item", id? }.
+*/
+export function getPlacementProblems(item, entry) {
+  const problems = [];
+  const bounds = getFurnitureBounds(item);
+
+  if (bounds.min.y < -EPSILON) problems.push({ kind: "floor" });
+  if (bounds.max.y > entry.room.height + EPSILON) problems.push({ kind: "ceiling" });
+  if (!isFootprintInside(bounds, entry.room.outline)) problems.push({ kind: "wall" });
+
+  entry.openings
+    .filter((opening) => opening.kind === "door")
+    .forEach((door) => {
+      if (overlaps(bounds, getDoorSwingBounds(door, entry.room))) {
+        problems.push({ kind: "door", id: door.id });
+      }
+    });
+
+  entry.furniture.forEach((other) => {
+    if (other.id !== item.id && overlaps(bounds, getFurnitureBounds(other))) {
+      problems.push({ kind: "item", id: other.id });
+    }
+  });
+  return problems;
+}
+
+/* Map of item id -> problems for the items of one room entry, only for
+   items that have any */
+export function findCollisions(entry) {
+  const result = {};
+  entry.furniture.forEach((item) => {
+    const problems = getPlacementProblems(item, entry);
+    if (problems.length > 0) result[item.id] = problems;
+  });
+  return result;
+}
+
+/* Human readable summary of a problem list, for alerts and the inspector */
+export function describeProblems(problems, furniture) {
+  return problems
+    .map((problem) => {
+      switch (problem.kind) {
+        case "floor":
+          return "below the floor";
+        case "ceiling":
+          return "through the ceiling";
+        case "wall":
+          return "outside the walls";
+        case "door":
+          return "in the door's swing area";
+        case "item": {
+          const other = furniture.find((item) => item.id === problem.id);
+          return `overlaps ${other ? other.type : "another item"}`;
+        }
+        default:
+          return problem.kind;
+      }
+    })
+    .join(", ");
+}
@@ -0,0 +1,64 @@
+import { createRoom } from "./designSchema";
+import { getPlacementProblems, findCollisions } from "./collision";
+import { createOutline } from "./roomShape";
+
+const chair = (id, position, extra = {}) => ({
+  id,
+  type: "Chair",
+  size: "Medium",
+  color: "#000000",
+  position,
+  rotation: [0, 0, 0],
+  scale: [1, 1, 1],
+  ...extra
+});
+
+test("accepts an item standing inside the room", () => {
+  const entry = createRoom();
+  expect(getPlacementProblems(chair(1, [0, 0, 0]), entry)).toEqual([]);
+});
+
+test("reports walls, floor and the door swing area", () => {
+  const entry = createRoom();
+  const kinds = (item) => getPlacementProblems(item, entry).map((p) => p.kind);
+  expect(kinds(chair(1, [3.9, 0, 0]))).toEqual(["wall"]);
+  expect(kinds(chair(1, [0, -0.2, 0]))).toEqual(["floor"]);
+  // the default door is centred on the front wall
+  expect(kinds(chair(1, [0, 0, 3.5]))).toEqual(["door"]);
+});
+
+test("uses the measured size of imported models", () => {
+  const entry = createRoom();
+  const sofa = (x, height = 0.9) =>
+    chair(1, [x, 0, 0], { type: "Chesterfield", size: undefined, model: 1, dimensions: { width: 3, depth: 1, height } });
+  const kinds = (item) => getPlacementProblems(item, entry).map((p) => p.kind);
+  // 3 m wide: it fits up to 2.5 m from the middle of the 8 m room
+  expect(kinds(sofa(2.4))).toEqual([]);
+  expect(kinds(sofa(2.6))).toEqual(["wall"]);
+  expect(kinds(sofa(0, 4.2))).toEqual(["ceiling"]);
+});
+
+test("finds overlapping items, taking rotation into account", () => {
+  const entry = createRoom();
+  entry.furniture = [
+    { ...chair(1, [0, 0, 0]), type: "Sofa" },
+    chair(2, [1.3, 0, 0]),
+    chair(3, [-2.5, 0, 0])
+  ];
+  expect(Object.keys(findCollisions(entry))).toEqual(["1", "2"]);
+
+  // a sofa turned 90° is only 1 m wide along X
+  entry.furniture[0].rotation = [0, Math.PI / 2, 0];
+  expect(findCollisions(entry)).toEqual({});
+});
+
+test("keeps items inside non-rectangular rooms", () => {
+  const entry = createRoom();
+  entry.room = { ...entry.room, shape: "L", outline: createOutline("L", 8, 8) };
+  const kinds = (item) => getPlacementProblems(item, entry).map((p) => p.kind);
+  expect(kinds(chair(1, [-2, 0, 2]))).toEqual([]);
+  // the front-right quarter of the L is outside the room
+  expect(kinds(chair(1, [2, 0, 2]))).toEqual(["wall"]);
+  // straddling the inner corner
+  expect(kinds(chair(1, [0, 0, 0]))).toEqual(["wall"]);
+});
@@ -0,0 +1,86 @@
+import { serializeDesign, parseDesign } from "./designSchema";
+
+/* Design Library:
+   - Named designs saved in localStorage under a single key.
+   - Entries hold the serialised JSON so they go through the same
+     parse/migrate path as uploaded files when opened, and the design's id
+     so the store can link back to a saved design.
+*/
+const LIBRARY_KEY = "roomDesigner.library";
+
+function readLibrary() {
+  try {
+    return JSON.parse(window.localStorage.getItem(LIBRARY_KEY)) || {};
+  } catch (err) {
+    return {};
+  }
+}
+
+function writeLibrary(library) {
+  window.localStorage.setItem(LIBRARY_KEY, JSON.stringify(library));
+}
+
+/* Lists saved designs, most recently saved first */
+export function listSavedDesigns() {
+  const library = readLibrary();
+  return Object.keys(library)
+    .map((name) => ({ name, savedAt: library[name].savedAt }))
+    .sort((a, b) => b.savedAt - a.savedAt);
+}
+
+export function saveDesignToLibrary(design) {
+  const library = readLibrary();
+  library[design.name] = { savedAt: Date.now(), id: design.id, json: serializeDesign(design) };
+  writeLibrary(library);
+}
+
+export function loadDesignFromLibrary(name) {
+  const entry = readLibrary()[name];
+  if (!entry) {
+    throw new Error(`No saved design named "${name}"`);
+  }
+  return parseDesign(entry.json);
+}
+
+/* Whether saving a design would replace a different design saved under its name */
+export function isDesignNameTaken(design) {
+  const entry = readLibrary()[design.name];
+  return Boolean(entry) && entry.id !== design.id;
+}
+
+/* Name of the saved design with an id, or null */
+export function findSavedDesign(id) {
+  const library = readLibrary();
+  return Object.keys(library).find((name) => library[name].id === id) || null;
+}
+
+export function deleteDesignFromLibrary(name) {
+  const library = readLibrary();
+  delete library[name];
+  writeLibrary(library);
+}
+
+/* File name for something exported from a design, e.g. "Living_room.glb" */
+export function getDesignFileName(design, extension) {
+  return `${design.name.replace(/[^\w-]+/g, "_") || "design"}.${extension}`;
+}
+
+/* Triggers a browser download of a Blob */
+export function downloadFile(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/* Triggers a browser download of the design as a .json file */
+export function downloadDesign(design) {
+  downloadFile(new Blob([serializeDesign(design)], { type: "application/json" }), getDesignFileName(design, "json"));
+}
+
+/* Reads a user-selected File and resolves with the migrated design */
+export function readDesignFile(file) {
+  return file.text().then(parseDesign);
+}
@@ -0,0 +1,19 @@
+import { createDefaultDesign } from "./designSchema";
+import { findSavedDesign, isDesignNameTaken, saveDesignToLibrary } from "./designLibrary";
+
+beforeEach(() => window.localStorage.clear());
+
+test("finds saved designs by id", () => {
+  const design = createDefaultDesign("Flat 2");
+  saveDesignToLibrary(design);
+  expect(findSavedDesign(design.id)).toBe("Flat 2");
+  expect(findSavedDesign("d-unknown")).toBeNull();
+});
+
+test("tells when a name is taken by a different design", () => {
+  const design = createDefaultDesign("Flat 2");
+  expect(isDesignNameTaken(design)).toBe(false);
+  saveDesignToLibrary(design);
+  expect(isDesignNameTaken(design)).toBe(false);
+  expect(isDesignNameTaken(createDefaultDesign("Flat 2"))).toBe(true);
+});
@@ -0,0 +1,210 @@
+import { BACK_WALL, FRONT_WALL, createDoor, createWindow } from "./openings";
+import { createOutline } from "./roomShape";
+
+/* Design Schema:
+   - A design is the single serialisable document describing a floor plan:
+     a list of named rooms, each with its own dimensions, colours, doors and
+     windows and furniture, plus the lighting, the measurements taken and
+     the furniture models imported into it (see modelImport.js).
+   - Every saved document carries a version number. Older versions are
+     upgraded step by step through MIGRATIONS so saved designs keep loading.
+*/
+
+export const DESIGN_VERSION = 6;
+
+/* Migrations keyed by the version they upgrade FROM.
+   Each entry takes a document of version N and returns version N + 1.
+*/
+const MIGRATIONS = {
+  // v2: furniture items gained rotation (Euler radians) and per-axis scale
+  1: (doc) => ({
+    ...doc,
+    version: 2,
+    furniture: (doc.furniture || []).map((item) => ({
+      rotation: [0, 0, 0],
+      scale: [1, 1, 1],
+      ...item
+    }))
+  }),
+  // v3: the single door and window became a list of openings
+  2: ({ door = {}, window: win = {}, ...doc }) => ({
+    ...doc,
+    version: 3,
+    openings: [
+      {
+        id: 1,
+        kind: "door",
+        wall: door.wall || "front",
+        offset: door.offset || 0,
+        width: door.width || 1.2,
+        height: door.height || 2.1,
+        sillHeight: 0,
+        color: door.color || "#654321",
+        hinge: "left",
+        swing: "in"
+      },
+      {
+        id: 2,
+        kind: "window",
+        wall: win.wall || "back",
+        offset: win.offset || 0,
+        width: win.width || 2,
+        height: win.height || 1.5,
+        sillHeight: win.heightFromFloor === undefined ? 1 : win.heightFromFloor,
+        color: win.color || "#ADD8E6"
+      }
+    ]
+  }),
+  // v4: rooms became polygon outlines; walls are referenced by outline index
+  // and opening offsets are measured along the wall's own direction
+  3: (doc) => {
+    const room = doc.room || {};
+    const colors = room.wallColors || {};
+    const order = ["back", "right", "front", "left"];
+    const direction = { back: 1, right: 1, front: -1, left: -1 };
+    return {
+      ...doc,
+      version: 4,
+      room: {
+        ...room,
+        shape: "rectangle",
+        outline: createOutline("rectangle", room.width || 8, room.length || 8),
+        wallColors: order.map((wall) => colors[wall] || "#FFFFFF")
+      },
+      openings: (doc.openings || []).map((opening) => ({
+        ...opening,
+        wall: order.indexOf(opening.wall),
+        offset: direction[opening.wall] * opening.offset
+      }))
+    };
+  },
+  // v5: the single room became the first entry of a list of rooms
+  4: ({ room, openings, furniture, ...doc }) => ({
+    ...doc,
+    version: 5,
+    rooms: [{ id: 1, name: "Room 1", room, openings, furniture }]
+  }),
+  // v6: designs gained an id, so the store can tell which design a purchase came from
+  5: (doc) => ({ ...doc, version: 6, id: createDesignId() })
+};
+
+/* Returns a new design id, e.g. "d-lx2k9c4f-8h3q" */
+export function createDesignId() {
+  return `d-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/* Returns a fresh room entry: an 8 x 8 m rectangle with a door and a
+   window, numbered from firstOpeningId */
+export function createRoom(name = "Room 1", id = 1, firstOpeningId = 1) {
+  return {
+    id,
+    name,
+    room: {
+      width: 8,
+      length: 8,
+      height: 4,
+      shape: "rectangle",
+      outline: createOutline("rectangle", 8, 8),
+      wallThickness: 0.2,
+      floorColor: "#cccccc",
+      ceilingColor: "#eeeeee",
+      wallColors: ["#FFFFFF", "#FFFFFF", "#FFFFFF", "#FFFFFF"]
+    },
+    openings: [
+      createDoor(FRONT_WALL, firstOpeningId),
+      createWindow(BACK_WALL, firstOpeningId + 1)
+    ],
+    furniture: []
+  };
+}
+
+/* Returns a fresh design with the studio's default room */
+export function createDefaultDesign(name = "Untitled design") {
+  return {
+    version: DESIGN_VERSION,
+    id: createDesignId(),
+    name,
+    rooms: [createRoom()],
+    light: {
+      color: "#FFFFFF",
+      intensity: 1,
+      isOn: true
+    },
+    measurements: [],
+    models: []
+  };
+}
+
+/* Upgrades a parsed document to DESIGN_VERSION, one version at a time */
+export function migrateDesign(doc) {
+  if (!doc || typeof doc !== "object") {
+    throw new Error("Design file is not a JSON object");
+  }
+  if (!Number.isInteger(doc.version) || doc.version < 1) {
+    throw new Error("Design file has no valid version");
+  }
+  if (doc.version > DESIGN_VERSION) {
+    throw new Error(
+      `Design was saved by a newer version of the studio (v${doc.version}, this is v${DESIGN_VERSION})`
+    );
+  }
+
+  let migrated = doc;
+  while (migrated.version < DESIGN_VERSION) {
+    const migrate = MIGRATIONS[migrated.version];
+    if (!migrate) {
+      throw new Error(`No migration from design version ${migrated.version}`);
+    }
+    migrated = migrate(migrated);
+  }
+  return normalizeDesign(migrated);
+}
+
+/* Fills in any fields missing from a room entry with defaults */
+function normalizeRoom(entry, index) {
+  const defaults = createRoom(`Room ${index + 1}`, index + 1);
+  const room = { ...defaults.room, ...entry.room };
+  const wallColors = Array.isArray(room.wallColors) ? room.wallColors : [];
+  return {
+    ...defaults,
+    ...entry,
+    room: {
+      ...room,
+      // one colour per wall, white for any the document is missing
+      wallColors: room.outline.map((_, i) => wallColors[i] || "#FFFFFF")
+    },
+    openings: Array.isArray(entry.openings) ? entry.openings : defaults.openings,
+    furniture: Array.isArray(entry.furniture) ? entry.furniture : []
+  };
+}
+
+/* Fills in any fields missing from a (migrated) document with defaults */
+function normalizeDesign(doc) {
+  const defaults = createDefaultDesign(doc.name);
+  const rooms = Array.isArray(doc.rooms) && doc.rooms.length > 0 ? doc.rooms : [{}];
+  return {
+    ...defaults,
+    ...doc,
+    version: DESIGN_VERSION,
+    rooms: rooms.map(normalizeRoom),
+    light: { ...defaults.light, ...doc.light },
+    measurements: Array.isArray(doc.measurements) ? doc.measurements : [],
+    models: Array.isArray(doc.models) ? doc.models : []
+  };
+}
+
+/* Serialises a design to a JSON string ready for download or storage */
+export function serializeDesign(design) {
+  return JSON.stringify({ ...design, version: DESIGN_VERSION }, null, 2);
+}
+
+/* Parses and migrates a JSON string produced by serializeDesign */
+export function parseDesign(text) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (err) {
+    throw new Error("Design file is not valid JSON");
+  }
+  return migrateDesign(doc);
+}
@@ -0,0 +1,91 @@
+import {
+  DESIGN_VERSION,
+  createDefaultDesign,
+  serializeDesign,
+  parseDesign
+} from "./designSchema";
+
+test("round-trips a design through JSON", () => {
+  const design = createDefaultDesign("Living room");
+  design.rooms[0].furniture.push({ id: 1, type: "Sofa", size: "Large", color: "#123456", position: [1, 0, 2] });
+  expect(parseDesign(serializeDesign(design))).toEqual(design);
+});
+
+test("fills in fields missing from older documents", () => {
+  const design = parseDesign(JSON.stringify({ version: 1, name: "Old", room: { width: 5 } }));
+  const [{ room, furniture }] = design.rooms;
+  expect(room.width).toBe(5);
+  expect(room.outline).toEqual([[-2.5, -4], [2.5, -4], [2.5, 4], [-2.5, 4]]);
+  expect(room.wallColors).toEqual(["#FFFFFF", "#FFFFFF", "#FFFFFF", "#FFFFFF"]);
+  expect(furniture).toEqual([]);
+  expect(design.measurements).toEqual([]);
+  expect(design.models).toEqual([]);
+});
+
+test("rejects invalid or newer documents", () => {
+  expect(() => parseDesign("not json")).toThrow(/not valid JSON/);
+  expect(() => parseDesign(JSON.stringify({ name: "x" }))).toThrow(/no valid version/);
+  expect(() => parseDesign(JSON.stringify({ version: DESIGN_VERSION + 1 }))).toThrow(/newer version/);
+});
+
+test("migrates v1 furniture to carry rotation and scale", () => {
+  const v1 = { version: 1, name: "v1", furniture: [{ id: 1, type: "Chair", size: "Small", color: "#fff", position: [0, 0, 0] }] };
+  const [item] = parseDesign(JSON.stringify(v1)).rooms[0].furniture;
+  expect(item.rotation).toEqual([0, 0, 0]);
+  expect(item.scale).toEqual([1, 1, 1]);
+});
+
+test("migrates the v2 single door and window into openings", () => {
+  const v2 = {
+    version: 2,
+    name: "v2",
+    door: { wall: "left", width: 0.9, height: 2, offset: 1, color: "#111111" },
+    window: { wall: "right", width: 1, height: 1, heightFromFloor: 0.8, offset: -1, color: "#222222" }
+  };
+  const design = parseDesign(JSON.stringify(v2));
+  expect(design.door).toBeUndefined();
+  expect(design.rooms[0].openings).toEqual([
+    expect.objectContaining({ kind: "door", width: 0.9, hinge: "left", swing: "in" }),
+    expect.objectContaining({ kind: "window", sillHeight: 0.8 })
+  ]);
+});
+
+test("migrates v3 rectangular rooms to outlines with indexed walls", () => {
+  const v3 = {
+    version: 3,
+    name: "v3",
+    room: { width: 6, length: 4, wallColors: { front: "#111111", back: "#222222", left: "#333333", right: "#444444" } },
+    openings: [
+      { id: 1, kind: "door", wall: "left", offset: 1 },
+      { id: 2, kind: "window", wall: "back", offset: 1 }
+    ]
+  };
+  const [{ room, openings }] = parseDesign(JSON.stringify(v3)).rooms;
+  expect(room.shape).toBe("rectangle");
+  expect(room.outline).toEqual([[-3, -2], [3, -2], [3, 2], [-3, 2]]);
+  // outline order is back, right, front, left
+  expect(room.wallColors).toEqual(["#222222", "#444444", "#111111", "#333333"]);
+  // the left wall runs towards -Z, so offsets along world Z flip sign
+  expect(openings).toEqual([
+    expect.objectContaining({ wall: 3, offset: -1 }),
+    expect.objectContaining({ wall: 0, offset: 1 })
+  ]);
+});
+
+test("migrates the v4 single room into the first entry of the room list", () => {
+  const v4 = { version: 4, name: "v4", room: { width: 5, height: 3 }, openings: [], furniture: [{ id: 7 }] };
+  const design = parseDesign(JSON.stringify(v4));
+  expect(design.room).toBeUndefined();
+  expect(design.rooms).toEqual([
+    expect.objectContaining({ id: 1, name: "Room 1", openings: [], furniture: [{ id: 7 }] })
+  ]);
+  expect(design.rooms[0].room).toEqual(expect.objectContaining({ width: 5, height: 3, shape: "rectangle" }));
+});
+
+test("gives v5 designs an id and keeps the id of newer ones", () => {
+  const v5 = { version: 5, name: "v5", rooms: [] };
+  expect(parseDesign(JSON.stringify(v5)).id).toMatch(/^d-/);
+  const design = createDefaultDesign();
+  expect(parseDesign(serializeDesign(design)).id).toBe(design.id);
+  expect(createDefaultDesign().id).not.toBe(design.id);
+});
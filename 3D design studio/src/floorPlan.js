@@ -0,0 +1,153 @@
+import { getOutlineBounds, getWalls, isInsideOutline, offsetOutline } from "./roomShape";
+
+/* Floor Plan:
+   - A design holds several rooms side by side, each with its own outline in
+     world coordinates.
+   - Two rooms share a wall where a wall of one runs along the outside face
+     of a wall of the other, facing the other way: the gap between the two
+     outlines is the first room's wall thickness.
+   - A shared stretch is built once, by the room listed first (its owner);
+     the other room leaves it out. Doors and windows from either side are cut
+     through the owner's wall, so a door on a shared wall connects the rooms.
+*/
+const TOLERANCE = 0.01;
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1];
+const minus = (a, b) => [a[0] - b[0], a[1] - b[1]];
+
+/* Position of a world point along a wall, in the wall's local X */
+function toWallX(wall, point) {
+  return dot(minus(point, wall.start), wall.direction) - wall.length / 2;
+}
+
+/* World point at a wall's local X */
+function fromWallX(wall, x) {
+  const along = x + wall.length / 2;
+  return [wall.start[0] + wall.direction[0] * along, wall.start[1] + wall.direction[1] * along];
+}
+
+/* Lists every shared stretch of wall:
+   { owner, other } where each side is { roomId, wall, span: [from, to] }
+   with the span in that wall's local X.
+*/
+export function findSharedWalls(rooms) {
+  const shared = [];
+  rooms.forEach((ownerEntry, i) => {
+    const thickness = ownerEntry.room.wallThickness;
+    const ownerWalls = getWalls(ownerEntry.room);
+    rooms.slice(i + 1).forEach((otherEntry) => {
+      const otherWalls = getWalls(otherEntry.room);
+      ownerWalls.forEach((a) => {
+        otherWalls.forEach((b) => {
+          if (dot(a.direction, b.direction) > -1 + TOLERANCE) return;
+          // b must run along a's outside face
+          if (Math.abs(dot(minus(b.start, a.start), a.normal) + thickness) > TOLERANCE) return;
+          const from = Math.max(Math.min(toWallX(a, b.start), toWallX(a, b.end)), -a.length / 2);
+          const to = Math.min(Math.max(toWallX(a, b.start), toWallX(a, b.end)), a.length / 2);
+          if (to - from < TOLERANCE) return;
+          const otherSpan = [toWallX(b, fromWallX(a, to)), toWallX(b, fromWallX(a, from))];
+          shared.push({
+            owner: { roomId: ownerEntry.id, wall: a.index, span: [from, to] },
+            other: { roomId: otherEntry.id, wall: b.index, span: otherSpan }
+          });
+        });
+      });
+    });
+  });
+  return shared;
+}
+
+/* Stretches of a room's walls that a neighbour builds instead:
+   wall index -> list of [from, to] in the wall's local X.
+   A stretch reaching the wall's end also covers its corner extension.
+*/
+export function getWallSkips(rooms, roomId) {
+  const entry = rooms.find((candidate) => candidate.id === roomId);
+  const walls = getWalls(entry.room);
+  const skips = {};
+  findSharedWalls(rooms)
+    .filter(({ other }) => other.roomId === roomId)
+    .forEach(({ other }) => {
+      const { length } = walls[other.wall];
+      const [from, to] = other.span;
+      const end = to >= length / 2 - TOLERANCE ? length / 2 + entry.room.wallThickness : to;
+      skips[other.wall] = [...(skips[other.wall] || []), [from, end]];
+    });
+  return skips;
+}
+
+/* Doors and windows that neighbours have on walls shared with this room,
+   expressed on this room's walls. Seen from this side, hinge and swing are
+   mirrored. Each carries `connects`, the id of the room it belongs to.
+*/
+export function getConnectingOpenings(rooms, roomId) {
+  const byId = Object.fromEntries(rooms.map((entry) => [entry.id, entry]));
+  const result = [];
+  findSharedWalls(rooms).forEach(({ owner, other }) => {
+    [[owner, other], [other, owner]]
+      .filter(([here]) => here.roomId === roomId)
+      .forEach(([here, there]) => {
+        const hereWall = getWalls(byId[here.roomId].room)[here.wall];
+        const thereWall = getWalls(byId[there.roomId].room)[there.wall];
+        byId[there.roomId].openings
+          .filter((opening) => opening.wall === there.wall)
+          .filter((opening) => opening.offset >= there.span[0] && opening.offset <= there.span[1])
+          .forEach((opening) => {
+            const mirrored = {
+              ...opening,
+              wall: here.wall,
+              offset: toWallX(hereWall, fromWallX(thereWall, opening.offset)),
+              connects: there.roomId
+            };
+            if (opening.kind === "door") {
+              mirrored.hinge = opening.hinge === "left" ? "right" : "left";
+              mirrored.swing = opening.swing === "in" ? "out" : "in";
+            }
+            result.push(mirrored);
+          });
+      });
+  });
+  return result;
+}
+
+/* Whether someone `radius` wide can stand at a floor point: inside a room,
+   clear of its walls, or in the passage of a door.
+*/
+export function canWalkTo(rooms, point, radius = 0.25) {
+  return rooms.some(({ room, openings }) => {
+    if (isInsideOutline(point, offsetOutline(room.outline, -radius))) return true;
+    const walls = getWalls(room);
+    return openings
+      .filter((opening) => opening.kind === "door" && walls[opening.wall])
+      .some((door) => {
+        const wall = walls[door.wall];
+        const along = toWallX(wall, point) - door.offset;
+        const depth = dot(minus(point, wall.start), wall.normal);
+        return (
+          Math.abs(along) <= door.width / 2 - radius &&
+          depth >= -(room.wallThickness + radius) &&
+          depth <= radius
+        );
+      });
+  });
+}
+
+/* Moves an outline so the back-left corner of its extent lands on `corner` */
+export function moveOutline(outline, [x, z]) {
+  const { minX, minZ } = getOutlineBounds(outline);
+  return outline.map(([px, pz]) => [px - minX + x, pz - minZ + z]);
+}
+
+/* Places a new room entry to the right of the existing rooms, sharing the
+   wall of the rightmost one and aligned with its back wall.
+*/
+export function placeNextTo(rooms, entry) {
+  const rightmost = rooms.reduce((best, candidate) =>
+    getOutlineBounds(candidate.room.outline).maxX > getOutlineBounds(best.room.outline).maxX
+      ? candidate
+      : best
+  );
+  const { maxX, minZ } = getOutlineBounds(rightmost.room.outline);
+  const corner = [maxX + rightmost.room.wallThickness, minZ];
+  return { ...entry, room: { ...entry.room, outline: moveOutline(entry.room.outline, corner) } };
+}
@@ -0,0 +1,59 @@
+import { createRoom } from "./designSchema";
+import { createOutline } from "./roomShape";
+import {
+  canWalkTo,
+  findSharedWalls,
+  getConnectingOpenings,
+  getWallSkips,
+  placeNextTo
+} from "./floorPlan";
+
+const LEFT = 3;
+const RIGHT = 1;
+
+function squareRoom(id, name) {
+  const entry = createRoom(name, id);
+  return { ...entry, room: { ...entry.room, outline: createOutline("rectangle", 4, 4) }, openings: [] };
+}
+
+// Two 4 x 4 m rooms side by side; the second has a door in its left wall
+function twoRooms() {
+  const first = squareRoom(1, "Living");
+  const second = placeNextTo([first], squareRoom(2, "Kitchen"));
+  second.openings = [
+    { id: 10, kind: "door", wall: LEFT, offset: 0.5, width: 1.2, height: 2.1, sillHeight: 0, hinge: "left", swing: "in" }
+  ];
+  return [first, second];
+}
+
+test("places a new room against the rightmost wall", () => {
+  const [, second] = twoRooms();
+  expect(second.room.outline).toEqual([[2.2, -2], [6.2, -2], [6.2, 2], [2.2, 2]]);
+});
+
+test("finds the shared wall and leaves it to the first room", () => {
+  const rooms = twoRooms();
+  expect(findSharedWalls(rooms)).toEqual([
+    {
+      owner: { roomId: 1, wall: RIGHT, span: [-2, 2] },
+      other: { roomId: 2, wall: LEFT, span: [-2, 2] }
+    }
+  ]);
+  expect(getWallSkips(rooms, 1)).toEqual({});
+  expect(getWallSkips(rooms, 2)).toEqual({ [LEFT]: [[-2, 2.2]] });
+});
+
+test("mirrors a door on the shared wall into the neighbouring room", () => {
+  const [door] = getConnectingOpenings(twoRooms(), 1);
+  // the kitchen's left wall runs towards -Z, the living room's right wall towards +Z
+  expect(door).toEqual(expect.objectContaining({ id: 10, wall: RIGHT, hinge: "right", swing: "out", connects: 2 }));
+  expect(door.offset).toBeCloseTo(-0.5);
+});
+
+test("lets you walk through doors but not walls", () => {
+  const rooms = twoRooms();
+  expect(canWalkTo(rooms, [0, 0])).toBe(true);
+  expect(canWalkTo(rooms, [2.1, -0.5])).toBe(true); // in the doorway
+  expect(canWalkTo(rooms, [2.1, 1.5])).toBe(false); // inside the wall
+  expect(canWalkTo(rooms, [1.9, 1.5])).toBe(false); // too close to the wall
+});
@@ -0,0 +1,74 @@
+import { FURNITURE_CATALOG, FURNITURE_SIZES } from "luxe-catalog";
+
+/* Furniture Catalog:
+   - The registry of furniture types: the built-in types, shared with the
+     LUXE store (catalog/furniture.js), and the models imported into a
+     design, which join the catalogue as entries of their own (see
+     getCatalog).
+   - An item has a preset `size` ("Small", "Medium", "Large"), or size
+     "Custom" with its own `dimensions` within the type's limits.
+   - Its parts take their default finish from the type's entry (see
+     materials.js).
+*/
+export { FURNITURE_CATALOG, FURNITURE_SIZES };
+
+export const FURNITURE_CATEGORIES = ["Living room", "Dining", "Bedroom", "Storage", "Imported"];
+
+/* The catalogue of a design: the built-in types plus its imported models.
+   Entries are keyed by type name, or "model:<id>" for models. */
+export function getCatalog(models = []) {
+  return [
+    ...FURNITURE_CATALOG.map((entry) => ({ key: entry.type, ...entry })),
+    ...models.map((model) => ({
+      key: `model:${model.id}`,
+      type: model.name,
+      category: "Imported",
+      keywords: ["model", "imported"],
+      model,
+      parts: []
+    }))
+  ];
+}
+
+/* Catalogue entry an item is made from */
+export function getCatalogKey(item) {
+  return item.model ? `model:${item.model}` : item.type;
+}
+
+/* Entries whose name, category or keywords contain every word searched for */
+export function searchCatalog(catalog, query = "", category = null) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return catalog.filter((entry) => {
+    if (category && entry.category !== category) return false;
+    const text = [entry.type, entry.category, ...entry.keywords].join(" ").toLowerCase();
+    return words.every((word) => text.includes(word));
+  });
+}
+
+/* Size of a furniture item before its scale: imported models and custom
+   sizes carry their own dimensions, the rest use their size preset */
+export function getItemDimensions(item) {
+  return item.dimensions || FURNITURE_SIZES[item.type][item.size];
+}
+
+/* Dimensions brought within a type's limits */
+export function clampDimensions(type, dimensions) {
+  const { limits } = FURNITURE_CATALOG.find((entry) => entry.type === type);
+  return Object.fromEntries(
+    ["width", "depth", "height"].map((axis) => {
+      const [min, max] = limits[axis];
+      return [axis, Math.min(max, Math.max(min, dimensions[axis]))];
+    })
+  );
+}
+
+/* Item fields for a change of built-in type: a preset size is kept, a
+   custom size is fitted to the new type's limits, and the part finishes,
+   which belong to the old type's parts, are dropped */
+export function changeItemType(item, type) {
+  if (item.size === "Custom") {
+    const dimensions = clampDimensions(type, item.dimensions);
+    return { type, size: "Custom", dimensions, model: undefined, parts: undefined };
+  }
+  return { type, size: item.size || "Medium", dimensions: undefined, model: undefined, parts: undefined };
+}
@@ -0,0 +1,117 @@
+import { getCushionCount, getDoorCount, getFurnitureShapes, getSeatHeight, getShelfCount } from "luxe-catalog";
+import {
+  FURNITURE_CATALOG,
+  FURNITURE_CATEGORIES,
+  FURNITURE_SIZES,
+  changeItemType,
+  clampDimensions,
+  getCatalog,
+  getCatalogKey,
+  getItemDimensions,
+  searchCatalog
+} from "./furnitureCatalog";
+
+test("describes every type completely", () => {
+  FURNITURE_CATALOG.forEach((entry) => {
+    expect(FURNITURE_CATEGORIES).toContain(entry.category);
+    expect(Object.keys(entry.sizes)).toEqual(["Small", "Medium", "Large"]);
+    expect(entry.parts.length).toBeGreaterThan(0);
+    entry.parts.forEach((part) => expect(part).toEqual({
+      name: expect.any(String),
+      label: expect.any(String),
+      color: expect.stringMatching(/^#[0-9a-f]{6}$/i),
+      roughness: expect.any(Number),
+      metalness: expect.any(Number)
+    }));
+    // Every preset is also a size that could be typed in
+    Object.values(entry.sizes).forEach((dimensions) =>
+      expect(clampDimensions(entry.type, dimensions)).toEqual(dimensions)
+    );
+  });
+  expect(FURNITURE_SIZES.Sofa.Large).toEqual({ width: 2.8, depth: 1.2, height: 1.0 });
+});
+
+test("adds a design's imported models to the catalogue", () => {
+  const model = { id: 2, name: "Chesterfield", dimensions: { width: 2, depth: 0.9, height: 0.8 } };
+  const catalog = getCatalog([model]);
+  expect(catalog.map((entry) => entry.key)).toEqual([...FURNITURE_CATALOG.map((entry) => entry.type), "model:2"]);
+  expect(catalog[catalog.length - 1]).toMatchObject({ type: "Chesterfield", category: "Imported", model });
+  expect(getCatalogKey({ type: "Chesterfield", model: 2 })).toBe("model:2");
+  expect(getCatalogKey({ type: "Sofa", size: "Small" })).toBe("Sofa");
+});
+
+test("searches names, categories and keywords", () => {
+  const catalog = getCatalog([{ id: 1, name: "Oak Bookcase" }]);
+  const types = (query, category) => searchCatalog(catalog, query, category).map((entry) => entry.type);
+  expect(types("couch")).toEqual(["Sofa"]);
+  expect(types("BEDROOM")).toEqual(["Bed", "Wardrobes"]);
+  expect(types("king")).toEqual(["Bed"]);
+  expect(types("dining")).toEqual(["Table", "Chair"]);
+  expect(types("dining chair")).toEqual(["Chair"]);
+  expect(types("oak")).toEqual(["Oak Bookcase"]);
+  expect(types("", "Storage")).toEqual(["Cabinet", "Rack"]);
+  expect(types("lamp")).toEqual([]);
+});
+
+test("sizes items from their preset or their model", () => {
+  expect(getItemDimensions({ type: "Table", size: "Small" })).toEqual({ width: 1.2, depth: 0.6, height: 0.7 });
+  const dimensions = { width: 2, depth: 0.9, height: 0.8 };
+  expect(getItemDimensions({ type: "Chesterfield", model: 1, dimensions })).toBe(dimensions);
+});
+
+test("keeps custom sizes within the type's limits", () => {
+  const custom = { type: "Rack", size: "Custom", dimensions: { width: 1.5, depth: 0.45, height: 1.8 } };
+  expect(getItemDimensions(custom)).toBe(custom.dimensions);
+  expect(clampDimensions("Rack", { width: 5, depth: 0.1, height: 1.8 })).toEqual({ width: 3, depth: 0.25, height: 1.8 });
+
+  // A custom size is refitted to a new type; a preset carries over as it is
+  expect(changeItemType(custom, "Cabinet")).toEqual({
+    type: "Cabinet",
+    size: "Custom",
+    dimensions: { width: 1.5, depth: 0.45, height: 1.8 },
+    model: undefined,
+    parts: undefined
+  });
+  expect(changeItemType(custom, "Bed").dimensions).toEqual({ width: 1.5, depth: 1.8, height: 0.8 });
+  expect(changeItemType({ type: "Sofa", size: "Large" }, "Bed")).toEqual({
+    type: "Bed",
+    size: "Large",
+    dimensions: undefined,
+    model: undefined,
+    parts: undefined
+  });
+});
+
+test("fits the parametric details to the size", () => {
+  const presets = (type) => Object.values(FURNITURE_SIZES[type]);
+  expect(presets("Sofa").map(getCushionCount)).toEqual([2, 3, 4]);
+  expect(presets("Wardrobes").map(getDoorCount)).toEqual([2, 3, 4]);
+  expect(presets("Rack").map(getShelfCount)).toEqual([2, 3, 4]);
+  expect(presets("Chair").map(getSeatHeight)).toEqual([0.4, 0.45, 0.5]);
+
+  expect(getCushionCount({ width: 1.2 })).toBe(1);
+  expect(getCushionCount({ width: 4 })).toBe(6);
+  expect(getDoorCount({ width: 0.8 })).toBe(1);
+  expect(getShelfCount({ height: 0.8 })).toBe(2);
+  expect(getSeatHeight({ height: 1.3 })).toBe(0.55);
+});
+
+test("builds every type from shapes of its own parts", () => {
+  FURNITURE_CATALOG.forEach((entry) => {
+    const partNames = entry.parts.map((part) => part.name);
+    Object.values(entry.sizes).forEach((dims) => {
+      const shapes = getFurnitureShapes(entry.builder, dims);
+      expect(shapes.length).toBeGreaterThan(0);
+      shapes.forEach(({ part, geometry, args, position }) => {
+        expect(partNames).toContain(part);
+        expect(["box", "cylinder"]).toContain(geometry);
+        expect(args).toHaveLength(3);
+        expect(position).toHaveLength(3);
+      });
+    });
+  });
+  // a base, three seat cushions and a backrest
+  const sofa = getFurnitureShapes("Sofa", FURNITURE_SIZES.Sofa.Medium);
+  expect(sofa.map((shape) => shape.part)).toEqual(["base", "upholstery", "upholstery", "upholstery", "upholstery"]);
+  expect(getFurnitureShapes("Lamp", { width: 1, depth: 1, height: 1 })).toEqual([]);
+});
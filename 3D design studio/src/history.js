@@ -0,0 +1,87 @@
+import { useState, useCallback } from "react";
+
+/* Undo/Redo History:
+   - past/present/future stacks of immutable snapshots.
+   - Consecutive changes sharing a mergeKey within MERGE_WINDOW_MS collapse
+     into one step, so dragging a colour picker or typing a number is undone
+     in one go rather than value by value.
+   - The past stack is capped at `limit` entries; the oldest steps drop off.
+*/
+export const DEFAULT_HISTORY_LIMIT = 100;
+const MERGE_WINDOW_MS = 1000;
+
+export function createHistory(present) {
+  return { past: [], present, future: [], lastMergeKey: null, lastChangeAt: 0 };
+}
+
+export function pushHistory(history, next, { mergeKey = null, limit = DEFAULT_HISTORY_LIMIT, now = Date.now() } = {}) {
+  if (next === history.present) return history;
+
+  const merge =
+    mergeKey !== null &&
+    mergeKey === history.lastMergeKey &&
+    now - history.lastChangeAt < MERGE_WINDOW_MS &&
+    history.past.length > 0;
+
+  const past = merge ? history.past : [...history.past, history.present];
+  return {
+    past: past.slice(Math.max(0, past.length - limit)),
+    present: next,
+    future: [],
+    lastMergeKey: mergeKey,
+    lastChangeAt: now
+  };
+}
+
+export function undoHistory(history) {
+  if (history.past.length === 0) return history;
+  return {
+    past: history.past.slice(0, -1),
+    present: history.past[history.past.length - 1],
+    future: [history.present, ...history.future],
+    lastMergeKey: null,
+    lastChangeAt: 0
+  };
+}
+
+export function redoHistory(history) {
+  if (history.future.length === 0) return history;
+  return {
+    past: [...history.past, history.present],
+    present: history.future[0],
+    future: history.future.slice(1),
+    lastMergeKey: null,
+    lastChangeAt: 0
+  };
+}
+
+/* useUndoableState:
+   - Drop-in replacement for useState that records every change.
+   - setState(update, mergeKey) accepts a value or an updater function.
+*/
+export function useUndoableState(initial, limit = DEFAULT_HISTORY_LIMIT) {
+  const [history, setHistory] = useState(() =>
+    createHistory(typeof initial === "function" ? initial() : initial)
+  );
+
+  const setState = useCallback(
+    (update, mergeKey = null) =>
+      setHistory((prev) =>
+        pushHistory(prev, typeof update === "function" ? update(prev.present) : update, {
+          mergeKey,
+          limit
+        })
+      ),
+    [limit]
+  );
+
+  const controls = {
+    undo: useCallback(() => setHistory(undoHistory), []),
+    redo: useCallback(() => setHistory(redoHistory), []),
+    reset: useCallback((present) => setHistory(createHistory(present)), []),
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0
+  };
+
+  return [history.present, setState, controls];
+}
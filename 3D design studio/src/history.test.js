@@ -0,0 +1,29 @@
+import { createHistory, pushHistory, undoHistory, redoHistory } from "./history";
+
+test("undoes and redoes single steps", () => {
+  let history = createHistory(1);
+  history = pushHistory(history, 2, { now: 0 });
+  history = pushHistory(history, 3, { now: 5000 });
+  history = undoHistory(history);
+  expect(history.present).toBe(2);
+  history = redoHistory(history);
+  expect(history.present).toBe(3);
+  expect(history.future).toEqual([]);
+});
+
+test("merges continuous edits with the same key", () => {
+  let history = createHistory("#000000");
+  history = pushHistory(history, "#111111", { mergeKey: "room.floorColor", now: 0 });
+  history = pushHistory(history, "#222222", { mergeKey: "room.floorColor", now: 200 });
+  history = pushHistory(history, "#333333", { mergeKey: "room.floorColor", now: 400 });
+  expect(history.past).toEqual(["#000000"]);
+  expect(undoHistory(history).present).toBe("#000000");
+});
+
+test("caps the history at the configured depth", () => {
+  let history = createHistory(0);
+  for (let i = 1; i <= 10; i++) {
+    history = pushHistory(history, i, { limit: 3, now: i * 5000 });
+  }
+  expect(history.past).toEqual([7, 8, 9]);
+});
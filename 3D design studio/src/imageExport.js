@@ -0,0 +1,191 @@
+import * as THREE from "three";
+import { isHelper } from "./sceneExport";
+import { getOutlineBounds, getWallLabel, getWalls } from "./roomShape";
+
+/* Image Export:
+   - Renders the scene offscreen to PNG (or JPEG) at any size, with its own renderer
+     set up like the studio's, so the picture matches what is on screen but
+     does not depend on the size of the canvas.
+   - Editing helpers are hidden while rendering. What stays is decided by
+     tags the studio puts on the scene (see getHiddenObjects):
+     `userData.export` (rooms and furniture, minus grids and lines inside
+     them), `userData.render` (drawings kept whole, e.g. the 2D plan) and
+     `userData.backdrop` (sky and ground, dropped for a transparent
+     background). Lights stay; everything else untagged is hidden.
+   - Standard views are orthographic: one elevation per wall, seen from
+     inside the room, and a top plan without the ceiling. Perspective views
+     look down into the room from two front corners, also without the
+     ceiling, like a dollhouse. Single objects, such as catalogue
+     thumbnails, are seen from the front right and above (getObjectView).
+*/
+export const IMAGE_SIZES = {
+  "1080p": [1920, 1080],
+  "1440p": [2560, 1440],
+  "4K": [3840, 2160]
+};
+
+/* Objects to hide for a clean render */
+export function getHiddenObjects(scene, { transparent = false, hideNames = [] } = {}) {
+  const hidden = [];
+  const visit = (object, exported) => {
+    if (!object.visible) return;
+    const { userData } = object;
+    if (hideNames.includes(object.name) || (userData.backdrop && transparent)) {
+      hidden.push(object);
+      return;
+    }
+    if (userData.render || userData.backdrop || object.isLight) return;
+    const inExport = exported || Boolean(userData.export);
+    const drawn = object.isMesh || object.isLine || object.isPoints || object.isSprite;
+    if (inExport ? isHelper(object) : drawn) {
+      hidden.push(object);
+      return;
+    }
+    object.children.forEach((child) => visit(child, inExport));
+  };
+  visit(scene, false);
+  return hidden;
+}
+
+/* A copy of the camera with the aspect ratio of the image, keeping its
+   vertical field of view (or extent, for orthographic cameras) */
+function fitCamera(camera, aspect) {
+  const fitted = camera.clone();
+  if (fitted.isPerspectiveCamera) {
+    fitted.aspect = aspect;
+  } else {
+    const halfHeight = (fitted.top - fitted.bottom) / 2;
+    const middle = (fitted.left + fitted.right) / 2;
+    fitted.left = middle - halfHeight * aspect;
+    fitted.right = middle + halfHeight * aspect;
+  }
+  fitted.updateProjectionMatrix();
+  return fitted;
+}
+
+/* Renders shots of a scene to image blobs (PNG unless `type` says
+   otherwise), one after the other. `gl` is the studio's renderer, whose
+   output settings are copied; each shot is { camera, width, height, hideNames }. */
+export async function renderImages(gl, scene, shots, { transparent = false, type = "image/png" } = {}) {
+  const renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true, preserveDrawingBuffer: true });
+  renderer.setPixelRatio(1);
+  renderer.outputColorSpace = gl.outputColorSpace;
+  renderer.toneMapping = gl.toneMapping;
+  renderer.toneMappingExposure = gl.toneMappingExposure;
+  renderer.shadowMap.enabled = gl.shadowMap.enabled;
+  renderer.shadowMap.type = gl.shadowMap.type;
+  renderer.setClearColor("#ffffff", transparent ? 0 : 1);
+
+  try {
+    const blobs = [];
+    for (const { camera, width, height, hideNames } of shots) {
+      renderer.setSize(width, height, false);
+      const drawn = renderer.getDrawingBufferSize(new THREE.Vector2());
+      if (drawn.x < width || drawn.y < height) {
+        throw new Error(`this browser can render images up to ${drawn.x} × ${drawn.y} pixels`);
+      }
+
+      const hidden = getHiddenObjects(scene, { transparent, hideNames });
+      const background = scene.background;
+      hidden.forEach((object) => (object.visible = false));
+      if (transparent) scene.background = null;
+      try {
+        renderer.render(scene, fitCamera(camera, width / height));
+      } finally {
+        hidden.forEach((object) => (object.visible = true));
+        scene.background = background;
+      }
+      blobs.push(await new Promise((resolve) => renderer.domElement.toBlob(resolve, type, 0.92)));
+    }
+    return blobs;
+  } finally {
+    renderer.dispose();
+    renderer.forceContextLoss();
+  }
+}
+
+/* Standard views of one room: [{ name, camera, aspect, hideNames }] with
+   an elevation of every wall and a top plan */
+export function getStandardViews(entry, margin = 0.5) {
+  const { room } = entry;
+  const { width, length, center } = getOutlineBounds(room.outline);
+  const thickness = room.wallThickness;
+  // Cameras stand this far from what they look at, outside the building
+  const distance = Math.hypot(width, length) + thickness + 1;
+
+  const elevations = getWalls(room).map((wall) => {
+    // Clip everything deeper in the room than its farthest corner from this wall,
+    // so the wall opposite does not block the view
+    const depth = Math.max(
+      ...room.outline.map(([x, z]) => (x - wall.start[0]) * wall.normal[0] + (z - wall.start[1]) * wall.normal[1])
+    );
+    const halfWidth = wall.length / 2 + margin;
+    const camera = new THREE.OrthographicCamera(
+      -halfWidth,
+      halfWidth,
+      room.height + margin,
+      -margin,
+      distance - depth + 0.01,
+      distance + thickness + margin
+    );
+    const [x, , z] = wall.position;
+    camera.position.set(x + wall.normal[0] * distance, 0, z + wall.normal[1] * distance);
+    camera.lookAt(x, 0, z);
+    camera.updateMatrixWorld();
+    return {
+      name: `${getWallLabel(room, wall.index)} wall`,
+      camera,
+      aspect: (2 * halfWidth) / (room.height + 2 * margin),
+      hideNames: []
+    };
+  });
+
+  const halfWidth = width / 2 + thickness + margin;
+  const halfLength = length / 2 + thickness + margin;
+  const plan = new THREE.OrthographicCamera(-halfWidth, halfWidth, halfLength, -halfLength, 0.1, distance * 2);
+  plan.position.set(center[0], distance, center[1]);
+  // Back wall at the top of the picture, as in the 2D view
+  plan.up.set(0, 0, -1);
+  plan.lookAt(center[0], 0, center[1]);
+  plan.updateMatrixWorld();
+
+  return [
+    ...elevations,
+    { name: "Plan", camera: plan, aspect: halfWidth / halfLength, hideNames: ["Ceiling"] }
+  ];
+}
+
+/* Perspective views of one room from above its two front corners,
+   looking down at the middle of the floor: [{ name, camera, aspect, hideNames }] */
+export function getPerspectiveViews(entry, aspect = 4 / 3) {
+  const { room } = entry;
+  const { minX, maxX, maxZ, width, length, center } = getOutlineBounds(room.outline);
+  const reach = Math.max(width, length);
+  return [
+    ["Front left", minX],
+    ["Front right", maxX]
+  ].map(([name, x]) => {
+    const camera = new THREE.PerspectiveCamera(50, aspect, 0.1, reach * 10);
+    // Back off from the corner along the diagonal so the whole floor fits
+    camera.position.set(x + Math.sign(x - center[0]) * reach * 0.3, room.height + reach * 0.9, maxZ + reach * 0.5);
+    camera.lookAt(center[0], 0, center[1]);
+    camera.updateMatrixWorld();
+    return { name, camera, aspect, hideNames: ["Ceiling"] };
+  });
+}
+
+/* A perspective camera seeing a box from the front right and above, as
+   close as it can while the whole box stays in the picture */
+export function getObjectView(box, aspect = 1, fov = 30) {
+  const center = box.getCenter(new THREE.Vector3());
+  const { radius } = box.getBoundingSphere(new THREE.Sphere());
+  const halfAngle = THREE.MathUtils.degToRad(fov / 2);
+  // The narrower of the vertical and horizontal fields of view decides
+  const fit = Math.min(halfAngle, Math.atan(Math.tan(halfAngle) * aspect));
+  const distance = radius / Math.sin(fit);
+  const camera = new THREE.PerspectiveCamera(fov, aspect, distance / 100, distance + radius * 2);
+  camera.position.copy(center).addScaledVector(new THREE.Vector3(1, 0.8, 1.6).normalize(), distance);
+  camera.lookAt(center);
+  camera.updateMatrixWorld();
+  return camera;
+}
@@ -0,0 +1,93 @@
+import * as THREE from "three";
+import { createRoom } from "./designSchema";
+import { getHiddenObjects, getObjectView, getPerspectiveViews, getStandardViews } from "./imageExport";
+
+const mesh = (name, material = new THREE.MeshStandardMaterial()) => {
+  const object = new THREE.Mesh(new THREE.BoxGeometry(), material);
+  object.name = name;
+  return object;
+};
+
+function createScene() {
+  const scene = new THREE.Scene();
+  const room = new THREE.Group();
+  room.userData.export = true;
+  room.add(mesh("Floor"), mesh("Ceiling"), mesh("RoomGrid", new THREE.ShaderMaterial()));
+  const sky = mesh("Sky");
+  sky.userData.backdrop = true;
+  const plan = new THREE.Group();
+  plan.userData.render = true;
+  plan.add(new THREE.Line());
+  const tools = new THREE.Group(); // e.g. a gizmo or the measuring lines
+  tools.add(mesh("Gizmo"), new THREE.BoxHelper(room));
+  scene.add(room, sky, plan, tools, new THREE.AmbientLight());
+  return scene;
+}
+
+const names = (objects) => objects.map((object) => object.name || object.type);
+
+test("hides editing helpers but keeps the design, drawings and lights", () => {
+  expect(names(getHiddenObjects(createScene()))).toEqual(["RoomGrid", "Gizmo", "BoxHelper"]);
+});
+
+test("drops the backdrop for a transparent background and hides named parts", () => {
+  const hidden = getHiddenObjects(createScene(), { transparent: true, hideNames: ["Ceiling"] });
+  expect(names(hidden)).toEqual(["Ceiling", "RoomGrid", "Sky", "Gizmo", "BoxHelper"]);
+});
+
+test("frames an elevation of every wall and a top plan", () => {
+  const entry = createRoom();
+  const views = getStandardViews(entry);
+  expect(views.map((view) => view.name)).toEqual(["Back wall", "Right wall", "Front wall", "Left wall", "Plan"]);
+
+  // The back wall (z = -4) is seen from inside the room, looking towards -Z
+  const back = views[0].camera;
+  const direction = back.getWorldDirection(new THREE.Vector3());
+  expect(direction.z).toBeCloseTo(-1);
+  expect(back.right - back.left).toBeCloseTo(9);
+  // The front wall, 8 m away, is clipped; the back wall's 0.2 m thickness is not
+  const toWall = back.position.z + 4;
+  expect(back.near).toBeGreaterThan(toWall - 8);
+  expect(back.far).toBeGreaterThan(toWall + 0.2);
+
+  const plan = views[4];
+  expect(plan.camera.getWorldDirection(new THREE.Vector3()).y).toBeCloseTo(-1);
+  expect(plan.hideNames).toEqual(["Ceiling"]);
+  expect(plan.aspect).toBeCloseTo(1);
+});
+
+test("looks into the room from its front corners without the ceiling", () => {
+  const views = getPerspectiveViews(createRoom());
+  expect(views.map((view) => view.name)).toEqual(["Front left", "Front right"]);
+  views.forEach(({ camera, hideNames }) => {
+    expect(hideNames).toEqual(["Ceiling"]);
+    expect(camera.position.y).toBeGreaterThan(4);
+    expect(camera.position.z).toBeGreaterThan(4);
+    // The middle of the floor is straight ahead
+    const direction = camera.getWorldDirection(new THREE.Vector3());
+    const toCenter = camera.position.clone().negate().normalize();
+    expect(direction.dot(toCenter)).toBeCloseTo(1);
+  });
+  expect(views[0].camera.position.x).toBeLessThan(0);
+  expect(views[1].camera.position.x).toBeGreaterThan(0);
+});
+
+test("fits a whole object in a picture of any shape", () => {
+  const box = new THREE.Box3(new THREE.Vector3(-1.1, 0, -0.5), new THREE.Vector3(1.1, 1, 0.5));
+  [1, 0.5, 2].forEach((aspect) => {
+    const camera = getObjectView(box, aspect);
+    expect(camera.position.x).toBeGreaterThan(0);
+    expect(camera.position.y).toBeGreaterThan(1);
+    expect(camera.position.z).toBeGreaterThan(0.5);
+    camera.updateProjectionMatrix();
+    [0, 1].forEach((x) =>
+      [0, 1].forEach((y) =>
+        [0, 1].forEach((z) => {
+          const corner = new THREE.Vector3(x ? 1.1 : -1.1, y, z ? 0.5 : -0.5).project(camera);
+          expect(Math.abs(corner.x)).toBeLessThanOrEqual(1);
+          expect(Math.abs(corner.y)).toBeLessThanOrEqual(1);
+        })
+      )
+    );
+  });
+});
@@ -0,0 +1,96 @@
+import { PRODUCTS, getProductItemFields, getProductRange, getProductSize, getProductType } from "luxe-catalog";
+import { FURNITURE_CATALOG } from "./furnitureCatalog";
+
+/* LUXE Catalog:
+   - The products of the LUXE store, from the catalogue the store uses too
+     (catalog/products.js), so furniture can be linked to what the store
+     sells and a design priced.
+   - An item may name the product it is in `productId`, and is placed as
+     the product's type and size (getProductItemFields).
+   - Items without a link can still be matched to their type's usual
+     product line, the catalogue entry's `productLine`, whose ids run
+     "<line>-1" to "<line>-3" from small to large.
+   - A design's linked furniture can be bought in one go: the store's cart
+     page takes the products and quantities in its address.
+*/
+export const LUXE_PRODUCTS = PRODUCTS;
+
+const SIZE_NUMBERS = { Small: 1, Medium: 2, Large: 3 };
+
+/* The store product an item's type and size match, or null when none does */
+export function findLuxeProduct(item) {
+  const entry = !item.model && FURNITURE_CATALOG.find((candidate) => candidate.type === item.type);
+  const number = SIZE_NUMBERS[item.size];
+  if (!entry || !entry.productLine || !number) return null;
+  return LUXE_PRODUCTS.find((product) => product.id === `${entry.productLine}-${number}`) || null;
+}
+
+/* The product an item is linked to, or null */
+export function getLinkedProduct(item) {
+  return (item.productId && LUXE_PRODUCTS.find((product) => product.id === item.productId)) || null;
+}
+
+/* A new item of a product, standing at a floor point [x, z] in its type's colours */
+export function createProductItem(product, [x, z], id = Date.now()) {
+  const fields = getProductItemFields(product);
+  const entry = FURNITURE_CATALOG.find((candidate) => candidate.type === fields.type);
+  return { id, color: entry.parts[0].color, ...fields, position: [x, 0, z], rotation: [0, 0, 0], scale: [1, 1, 1] };
+}
+
+/* Products an item of a type can be linked to */
+export function getTypeProducts(type) {
+  return LUXE_PRODUCTS.filter((product) => getProductType(product) === type);
+}
+
+/* The link of an item whose type or size has changed: moved to the same
+   product in the new size, kept for a product sold in one size, and
+   dropped when the store has no such product or the size is custom */
+export function relinkProduct(item) {
+  const product = getLinkedProduct(item);
+  if (!product || getProductType(product) !== item.type || !SIZE_NUMBERS[item.size]) {
+    return undefined;
+  }
+  const range = getProductRange(product);
+  if (!range) return product.id;
+  const sibling = LUXE_PRODUCTS.find(
+    (candidate) => getProductRange(candidate) === range && getProductSize(candidate) === item.size
+  );
+  return sibling ? sibling.id : undefined;
+}
+
+/* The bill of materials of some furniture items: a line per linked product
+   with its quantity and cost, their total, and how many items are not
+   linked to any product */
+export function getBillOfMaterials(items) {
+  const lines = [];
+  items.forEach((item) => {
+    const product = getLinkedProduct(item);
+    if (!product) return;
+    const line = lines.find((candidate) => candidate.product === product);
+    if (line) {
+      line.quantity += 1;
+      line.cost += product.price;
+    } else {
+      lines.push({ product, quantity: 1, cost: product.price });
+    }
+  });
+  const linked = lines.reduce((sum, line) => sum + line.quantity, 0);
+  return { lines, total: lines.reduce((sum, line) => sum + line.cost, 0), unlinked: items.length - linked };
+}
+
+/* The store's cart page with the linked furniture of every room of a design
+   added to it, e.g. /cart?design=d-…&name=Flat&items=sofa-2:1,dining-chair-1:4 */
+export function getCartPath(design) {
+  const { lines } = getBillOfMaterials(design.rooms.flatMap((entry) => entry.furniture));
+  const params = new URLSearchParams({
+    design: design.id,
+    name: design.name,
+    items: lines.map(({ product, quantity }) => `${product.id}:${quantity}`).join(",")
+  });
+  return `/cart?${params}`;
+}
+
+/* Prices as the store shows them, e.g. "$3,499" */
+export function formatPrice(price) {
+  return `$${price.toLocaleString("en-US")}`;
+}
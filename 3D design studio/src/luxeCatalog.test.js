@@ -0,0 +1,108 @@
+import { getProductItemFields } from "luxe-catalog";
+import {
+  LUXE_PRODUCTS,
+  createProductItem,
+  findLuxeProduct,
+  formatPrice,
+  getBillOfMaterials,
+  getCartPath,
+  getLinkedProduct,
+  getTypeProducts,
+  relinkProduct
+} from "./luxeCatalog";
+import { FURNITURE_SIZES } from "./furnitureCatalog";
+
+test("matches furniture to the store product of the same size", () => {
+  expect(findLuxeProduct({ type: "Sofa", size: "Medium" })).toEqual(
+    expect.objectContaining({ id: "sofa-2", name: "Luxe Leather Sofa - M", price: 3499, subCategory: "sofa" })
+  );
+  expect(findLuxeProduct({ type: "Table", size: "Large" }).id).toBe("dining-table-3");
+  expect(findLuxeProduct({ type: "Wardrobes", size: "Small" }).name).toBe("Timber Wardrobe - S");
+  expect(findLuxeProduct({ type: "Lamp", size: "Small" })).toBeNull();
+});
+
+test("places every product as a studio type and size", () => {
+  LUXE_PRODUCTS.forEach((product) => {
+    const { type, size } = getProductItemFields(product);
+    expect(FURNITURE_SIZES[type][size]).toBeDefined();
+  });
+  const find = (id) => LUXE_PRODUCTS.find((product) => product.id === id);
+  expect(getProductItemFields(find("rack-3"))).toEqual({ type: "Rack", size: "Large", productId: "rack-3" });
+  expect(getProductItemFields(find("living-table-1"))).toEqual({
+    type: "Table",
+    size: "Small",
+    productId: "living-table-1"
+  });
+  expect(getProductItemFields(find("dining-cabinet-2"))).toEqual({
+    type: "Cabinet",
+    size: "Medium",
+    productId: "dining-cabinet-2"
+  });
+  expect(getTypeProducts("Cabinet").map((product) => product.id)).toEqual([
+    "cabinet-1",
+    "cabinet-2",
+    "cabinet-3",
+    "dining-cabinet-1",
+    "dining-cabinet-2",
+    "dining-cabinet-3"
+  ]);
+  expect(getLinkedProduct({ type: "Sofa", size: "Small", productId: "sofa-1" }).price).toBe(2999);
+  expect(getLinkedProduct({ type: "Sofa", size: "Small" })).toBeNull();
+});
+
+test("creates an item of a product on the floor", () => {
+  expect(createProductItem(LUXE_PRODUCTS[1], [1, -2], 7)).toEqual({
+    id: 7,
+    type: "Sofa",
+    size: "Medium",
+    productId: "sofa-2",
+    color: "#6b7b8c",
+    position: [1, 0, -2],
+    rotation: [0, 0, 0],
+    scale: [1, 1, 1]
+  });
+});
+
+test("follows a linked item's changes of size and type", () => {
+  expect(relinkProduct({ type: "Table", size: "Large", productId: "living-table-1" })).toBe("living-table-3");
+  expect(relinkProduct({ type: "Cabinet", size: "Small", productId: "dining-cabinet-1" })).toBe("dining-cabinet-1");
+  expect(relinkProduct({ type: "Table", size: "Custom", productId: "living-table-1" })).toBeUndefined();
+  expect(relinkProduct({ type: "Chair", size: "Small", productId: "living-table-1" })).toBeUndefined();
+  expect(relinkProduct({ type: "Chair", size: "Small" })).toBeUndefined();
+});
+
+test("adds up the linked items", () => {
+  const bill = getBillOfMaterials([
+    { type: "Chair", size: "Medium", productId: "dining-chair-2" },
+    { type: "Table", size: "Large", productId: "dining-table-3" },
+    { type: "Chair", size: "Medium", productId: "dining-chair-2" },
+    { type: "Sofa", size: "Medium" }
+  ]);
+  expect(bill.lines.map(({ product, quantity, cost }) => [product.id, quantity, cost])).toEqual([
+    ["dining-chair-2", 2, 798],
+    ["dining-table-3", 1, 2299]
+  ]);
+  expect(bill.total).toBe(3097);
+  expect(bill.unlinked).toBe(1);
+});
+
+test("puts the linked furniture of every room in the store's cart path", () => {
+  const design = {
+    id: "d-1",
+    name: "Flat 2",
+    rooms: [
+      { furniture: [{ productId: "dining-chair-2" }, { type: "Sofa", size: "Medium" }] },
+      { furniture: [{ productId: "dining-chair-2" }, { productId: "bed-3" }] }
+    ]
+  };
+  const url = new URL(getCartPath(design), "https://shop.example");
+  expect(url.pathname).toBe("/cart");
+  expect(url.searchParams.get("design")).toBe("d-1");
+  expect(url.searchParams.get("name")).toBe("Flat 2");
+  expect(url.searchParams.get("items")).toBe("dining-chair-2:2,bed-3:1");
+});
+
+test("formats prices as the store does", () => {
+  expect(formatPrice(3499)).toBe("$3,499");
+  expect(formatPrice(299)).toBe("$299");
+});
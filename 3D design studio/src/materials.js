@@ -0,0 +1,144 @@
+import * as THREE from "three";
+import { FURNITURE_CATALOG } from "./furnitureCatalog";
+
+/* Materials:
+   - Every part of a built-in furniture type (see the catalogue's `parts`)
+     has a finish: a colour, roughness and metalness, and possibly a
+     texture pattern or some transparency.
+   - A part starts from the finish the catalogue gives it, or from a
+     material preset chosen for it; its colour, roughness and metalness can
+     then be adjusted. An item keeps these choices by part name in `parts`,
+     e.g. { legs: { preset: "brushed-steel", roughness: 0.5 } }.
+   - The first part's colour is the item's own `color`, as it was before
+     parts could be finished one by one.
+   - Textures are generated, greyscale and tileable, so the part's colour
+     tints them.
+*/
+export const MATERIAL_PRESETS = {
+  oak: { label: "Oak", color: "#c49a6c", roughness: 0.65, metalness: 0, pattern: "wood" },
+  walnut: { label: "Walnut", color: "#6b4a32", roughness: 0.55, metalness: 0, pattern: "wood" },
+  leather: { label: "Leather", color: "#7a4a2e", roughness: 0.5, metalness: 0, pattern: "leather" },
+  linen: { label: "Linen", color: "#d9d0bf", roughness: 0.95, metalness: 0, pattern: "weave" },
+  "brushed-steel": { label: "Brushed steel", color: "#c4c8cc", roughness: 0.35, metalness: 1, pattern: "brushed" },
+  glass: { label: "Glass", color: "#e6f2f5", roughness: 0.05, metalness: 0, opacity: 0.3 }
+};
+
+const TEXTURE_SIZE = 128;
+
+// Repeatable pseudo-random value in [0, 1) for a lattice point, wrapping every period
+function lattice(x, y, periodX, periodY) {
+  const wrappedX = ((x % periodX) + periodX) % periodX;
+  const wrappedY = ((y % periodY) + periodY) % periodY;
+  const value = Math.sin(wrappedX * 127.1 + wrappedY * 311.7) * 43758.5453;
+  return value - Math.floor(value);
+}
+
+// Smooth value noise over [0, periodX) × [0, periodY) that tiles
+function noise(x, y, periodX, periodY = periodX) {
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const fx = x - x0;
+  const fy = y - y0;
+  const sx = fx * fx * (3 - 2 * fx);
+  const sy = fy * fy * (3 - 2 * fy);
+  const a = lattice(x0, y0, periodX, periodY);
+  const b = lattice(x0 + 1, y0, periodX, periodY);
+  const c = lattice(x0, y0 + 1, periodX, periodY);
+  const d = lattice(x0 + 1, y0 + 1, periodX, periodY);
+  return a + (b - a) * sx + (c - a) * sy + (a - b - c + d) * sx * sy;
+}
+
+// Brightness (0–1) of each pattern at (u, v) in [0, 1)
+const PATTERNS = {
+  // Growth rings across the texture, wavering, with fine grain along it
+  wood: (u, v) => {
+    const ring = 0.5 + 0.5 * Math.sin((v * 12 + noise(u * 4, v * 4, 4) * 2) * 2 * Math.PI);
+    return 0.7 + 0.2 * ring * ring + 0.1 * noise(u * 4, v * 64, 4, 64);
+  },
+  leather: (u, v) => 0.78 + 0.14 * noise(u * 48, v * 48, 48) + 0.08 * noise(u * 12, v * 12, 12),
+  // Threads passing over and under each other
+  weave: (u, v) => {
+    const threads = 48;
+    const over = (Math.floor(u * threads) + Math.floor(v * threads)) % 2 === 0;
+    const across = over ? (v * threads) % 1 : (u * threads) % 1;
+    return 0.7 + 0.25 * Math.sin(Math.PI * across) + 0.05 * noise(u * 16, v * 16, 16);
+  },
+  // Fine streaks along the texture
+  brushed: (u, v) => 0.82 + 0.18 * noise(u * 2, v * 192, 2, 192)
+};
+
+/* RGBA pixels of a pattern, `size` pixels square */
+export function createPattern(pattern, size = TEXTURE_SIZE) {
+  const shade = PATTERNS[pattern];
+  const data = new Uint8Array(size * size * 4);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const value = Math.round(Math.min(1, Math.max(0, shade(x / size, y / size))) * 255);
+      data.set([value, value, value, 255], (y * size + x) * 4);
+    }
+  }
+  return data;
+}
+
+// Textures by pattern, shared by every part that uses one
+const textures = new Map();
+
+/* The texture of a pattern, made the first time it is needed */
+export function getPatternTexture(pattern) {
+  if (!textures.has(pattern)) {
+    const texture = new THREE.DataTexture(createPattern(pattern), TEXTURE_SIZE, TEXTURE_SIZE, THREE.RGBAFormat);
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
+    texture.magFilter = THREE.LinearFilter;
+    texture.minFilter = THREE.LinearMipmapLinearFilter;
+    texture.generateMipmaps = true;
+    texture.colorSpace = THREE.SRGBColorSpace;
+    texture.needsUpdate = true;
+    textures.set(pattern, texture);
+  }
+  return textures.get(pattern);
+}
+
+/* Finish of every part of an item, by part name: { color, roughness,
+   metalness, pattern, opacity }; imported models keep their own materials */
+export function getPartMaterials(item) {
+  const entry = !item.model && FURNITURE_CATALOG.find((candidate) => candidate.type === item.type);
+  if (!entry) return {};
+  return Object.fromEntries(
+    entry.parts.map((part, i) => {
+      const finish = (item.parts && item.parts[part.name]) || {};
+      const preset = MATERIAL_PRESETS[finish.preset] || {};
+      const pick = (key) => (finish[key] !== undefined ? finish[key] : preset[key] !== undefined ? preset[key] : part[key]);
+      return [
+        part.name,
+        {
+          color: i === 0 && item.color ? item.color : pick("color"),
+          roughness: pick("roughness"),
+          metalness: pick("metalness"),
+          pattern: preset.pattern || null,
+          opacity: preset.opacity !== undefined ? preset.opacity : 1
+        }
+      ];
+    })
+  );
+}
+
+/* Item fields for a change to one part's finish. Choosing a preset, or
+   none, starts the part afresh from it; a colour, roughness or metalness
+   is kept on top of the preset. */
+export function changePartFinish(item, partName, change) {
+  const entry = FURNITURE_CATALOG.find((candidate) => candidate.type === item.type);
+  const isFirst = entry.parts[0].name === partName;
+  const { color, ...rest } = change;
+  const fields = {};
+  let finish;
+  if ("preset" in change) {
+    finish = change.preset ? { preset: change.preset } : {};
+    if (isFirst) fields.color = change.preset ? MATERIAL_PRESETS[change.preset].color : entry.parts[0].color;
+  } else {
+    finish = { ...(item.parts && item.parts[partName]), ...rest };
+    if (color !== undefined && isFirst) fields.color = color;
+    if (color !== undefined && !isFirst) finish.color = color;
+  }
+  return { ...fields, parts: { ...item.parts, [partName]: finish } };
+}
@@ -0,0 +1,74 @@
+import { MATERIAL_PRESETS, changePartFinish, createPattern, getPartMaterials } from "./materials";
+
+const colors = (item) =>
+  Object.fromEntries(Object.entries(getPartMaterials(item)).map(([name, material]) => [name, material.color]));
+
+test("colours the first part with the item's colour", () => {
+  expect(colors({ type: "Bed", size: "Small", color: "#123456" })).toEqual({
+    mattress: "#123456",
+    frame: "#8B4513",
+    pillows: "#FFFFFF"
+  });
+  expect(getPartMaterials({ type: "Sofa", model: 1 })).toEqual({});
+});
+
+test("finishes parts from the catalogue, a preset and their own adjustments", () => {
+  const item = {
+    type: "Table",
+    size: "Medium",
+    color: "#a0522d",
+    parts: { top: { preset: "glass" }, legs: { preset: "brushed-steel", roughness: 0.6, color: "#222222" } }
+  };
+  const materials = getPartMaterials(item);
+  expect(materials.top).toEqual({ color: "#a0522d", roughness: 0.05, metalness: 0, pattern: null, opacity: 0.3 });
+  expect(materials.legs).toEqual({ color: "#222222", roughness: 0.6, metalness: 1, pattern: "brushed", opacity: 1 });
+  expect(getPartMaterials({ type: "Table", size: "Medium", color: "#a0522d" }).legs).toEqual({
+    color: "#A0A0A0",
+    roughness: 0.2,
+    metalness: 0.8,
+    pattern: null,
+    opacity: 1
+  });
+});
+
+test("changes one part's finish at a time", () => {
+  const chair = { type: "Chair", size: "Medium", color: "#8b4513", parts: { legs: { preset: "oak" } } };
+
+  // A preset starts the part afresh; the first part's colour is the item's
+  expect(changePartFinish(chair, "upholstery", { preset: "leather" })).toEqual({
+    color: MATERIAL_PRESETS.leather.color,
+    parts: { legs: { preset: "oak" }, upholstery: { preset: "leather" } }
+  });
+  expect(changePartFinish(chair, "legs", { preset: undefined })).toEqual({ parts: { legs: {} } });
+
+  // Adjustments are kept on top of the preset
+  expect(changePartFinish(chair, "legs", { color: "#333333" })).toEqual({
+    parts: { legs: { preset: "oak", color: "#333333" } }
+  });
+  expect(changePartFinish(chair, "upholstery", { color: "#ffffff" })).toEqual({
+    color: "#ffffff",
+    parts: { legs: { preset: "oak" }, upholstery: {} }
+  });
+  expect(changePartFinish(chair, "legs", { metalness: 0.4 }).parts.legs).toEqual({ preset: "oak", metalness: 0.4 });
+});
+
+test("generates textures that tile", () => {
+  const patterns = [...new Set(Object.values(MATERIAL_PRESETS).map((preset) => preset.pattern).filter(Boolean))];
+  expect(patterns).toEqual(["wood", "leather", "weave", "brushed"]);
+  patterns.forEach((pattern) => {
+    const size = 32;
+    const data = createPattern(pattern, size);
+    expect(data.length).toBe(size * size * 4);
+    const shades = new Set();
+    for (let i = 0; i < data.length; i += 4) {
+      expect(data[i + 1]).toBe(data[i]);
+      expect(data[i + 3]).toBe(255);
+      shades.add(data[i]);
+    }
+    expect(shades.size).toBeGreaterThan(4);
+    // The row past the last is the first again, so the edges meet without a seam
+    const row = (y) => Array.from(data.subarray(y * size * 4, (y + 1) * size * 4));
+    const jump = row(size - 1).reduce((sum, value, i) => Math.max(sum, Math.abs(value - row(0)[i])), 0);
+    expect(jump).toBeLessThan(80);
+  });
+});
@@ -0,0 +1,16 @@
+/* Measurement:
+   - A measurement is a straight line between two points picked in the
+     scene: { id, from: [x, y, z], to: [x, y, z] } in metres. They are part
+     of the design, so they are saved and undone with it.
+   - Distances are shown in the chosen unit (see units.js).
+*/
+export function getDistance(from, to) {
+  return Math.hypot(to[0] - from[0], to[1] - from[1], to[2] - from[2]);
+}
+
+/* Adds a measurement between two picked points, rounded to the millimetre */
+export function addMeasurement(measurements, from, to) {
+  const round = (point) => point.map((value) => Number(value.toFixed(3)) + 0);
+  const id = measurements.reduce((max, measurement) => Math.max(max, measurement.id), 0) + 1;
+  return [...measurements, { id, from: round(from), to: round(to) }];
+}
@@ -0,0 +1,13 @@
+import { addMeasurement, getDistance } from "./measurement";
+
+test("measures straight-line distances between picked points", () => {
+  expect(getDistance([0, 0, 0], [3, 0, 4])).toBe(5);
+  expect(getDistance([1, 2, 1], [1, 0, 1])).toBe(2);
+});
+
+test("adds measurements with increasing ids and rounded points", () => {
+  const first = addMeasurement([], [0.12345, 0, -1], [2, 1.5, -1]);
+  expect(first).toEqual([{ id: 1, from: [0.123, 0, -1], to: [2, 1.5, -1] }]);
+  const second = addMeasurement(first, [0, 0, 0], [1, 0, 0]);
+  expect(second.map((measurement) => measurement.id)).toEqual([1, 2]);
+});
@@ -0,0 +1,109 @@
+import * as THREE from "three";
+import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
+
+/* Model Import:
+   - Custom furniture types come from glTF models: .glb files, or .gltf
+     files with their buffers and textures embedded.
+   - glTF lengths are metres, but supplier models are often drawn in
+     centimetres or millimetres. The unit is guessed from the model's size
+     (see guessModelUnit) and can be changed afterwards.
+   - A model is stored in the design's `models` list with the file itself
+     (base64), so the same model loads again with a saved design, plus the
+     scale and offset that stand it on the floor centred on its origin, as
+     the built-in furniture is, and the size that gives it.
+   - Items of a model carry that size as `dimensions`, which collisions,
+     snapping and the plan read like a size preset (see getItemDimensions).
+*/
+export const MODEL_UNITS = { m: 1, cm: 0.01, mm: 0.001, in: 0.0254 };
+
+// No piece of furniture is bigger than this; a model that would be was not drawn in metres
+const LARGEST_FURNITURE = 6;
+
+export function toBase64(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return window.btoa(binary);
+}
+
+export function fromBase64(text) {
+  return Uint8Array.from(window.atob(text), (char) => char.charCodeAt(0));
+}
+
+/* Unit a model was most likely drawn in, from its size in file units */
+export function guessModelUnit(size) {
+  const largest = Math.max(size.x, size.y, size.z);
+  return ["m", "cm"].find((unit) => largest * MODEL_UNITS[unit] <= LARGEST_FURNITURE) || "mm";
+}
+
+/* Scale, offset and resulting real-world size that put a model drawn in
+   `unit` on the floor at the origin */
+export function fitModel(object, unit) {
+  const box = new THREE.Box3().setFromObject(object);
+  const scale = MODEL_UNITS[unit];
+  const size = box.getSize(new THREE.Vector3()).multiplyScalar(scale);
+  const center = box.getCenter(new THREE.Vector3());
+  const round = (value) => Number(value.toFixed(4)) + 0; // + 0 turns -0 into 0
+  return {
+    unit,
+    scale,
+    offset: [-center.x * scale, -box.min.y * scale, -center.z * scale].map(round),
+    dimensions: { width: round(size.x), depth: round(size.z), height: round(size.y) }
+  };
+}
+
+/* The same model measured in another unit */
+export function setModelUnit(model, unit) {
+  const ratio = MODEL_UNITS[unit] / model.scale;
+  const round = (value) => Number((value * ratio).toFixed(4));
+  const { width, depth, height } = model.dimensions;
+  return {
+    ...model,
+    unit,
+    scale: MODEL_UNITS[unit],
+    offset: model.offset.map(round),
+    dimensions: { width: round(width), depth: round(depth), height: round(height) }
+  };
+}
+
+function parseModel(bytes) {
+  return new GLTFLoader().parseAsync(bytes.buffer, "").then((gltf) => gltf.scene);
+}
+
+/* Reads a user-selected .glb/.gltf File into a new model entry */
+export function importModel(file, models) {
+  return file.arrayBuffer().then((buffer) => {
+    const bytes = new Uint8Array(buffer);
+    return parseModel(bytes)
+      .catch((err) => {
+        throw new Error(`${file.name} is not a self-contained glTF model (${err.message})`);
+      })
+      .then((scene) => {
+        const size = new THREE.Box3().setFromObject(scene).getSize(new THREE.Vector3());
+        if (size.x === 0 && size.y === 0 && size.z === 0) {
+          throw new Error(`${file.name} has nothing to show`);
+        }
+        return {
+          id: Math.max(0, ...models.map((model) => model.id)) + 1,
+          name: file.name.replace(/\.(glb|gltf)$/i, ""),
+          data: toBase64(bytes),
+          ...fitModel(scene, guessModelUnit(size))
+        };
+      });
+  });
+}
+
+// Parsed models by their data, so each file is parsed once however many items use it
+const loaded = new Map();
+
+/* The model's scene, as drawn in its file; clone it before adding it to a scene */
+export function loadModel(model) {
+  if (!loaded.has(model.data)) loaded.set(model.data, parseModel(fromBase64(model.data)));
+  return loaded.get(model.data);
+}
+
+/* Item fields that make an item an instance of a model */
+export function getModelItemFields(model) {
+  return { type: model.name, model: model.id, dimensions: model.dimensions, size: undefined };
+}
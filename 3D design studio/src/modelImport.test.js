@@ -0,0 +1,62 @@
+import * as THREE from "three";
+import { TextDecoder, TextEncoder } from "util";
+import { GLTFExporter } from "three/examples/jsm/exporters/GLTFExporter.js";
+import { fromBase64, guessModelUnit, importModel, loadModel, setModelUnit, toBase64 } from "./modelImport";
+
+// jsdom leaves out the text codecs glTF files are read and written with
+global.TextEncoder = global.TextEncoder || TextEncoder;
+global.TextDecoder = global.TextDecoder || TextDecoder;
+
+// A 200 x 90 x 80 cm sofa-sized box drawn in centimetres, off-centre and above the floor
+function createFile(name) {
+  const mesh = new THREE.Mesh(new THREE.BoxGeometry(200, 90, 80), new THREE.MeshStandardMaterial());
+  mesh.position.set(50, 100, -20);
+  return new GLTFExporter().parseAsync(mesh, { binary: true }).then((glb) => ({
+    name,
+    arrayBuffer: () => Promise.resolve(glb)
+  }));
+}
+
+test("round-trips bytes through base64", () => {
+  const bytes = Uint8Array.from({ length: 70000 }, (_, i) => i % 256);
+  expect(Array.from(fromBase64(toBase64(bytes)))).toEqual(Array.from(bytes));
+});
+
+test("guesses the unit a model was drawn in from its size", () => {
+  expect(guessModelUnit(new THREE.Vector3(2, 0.9, 0.8))).toBe("m");
+  expect(guessModelUnit(new THREE.Vector3(200, 90, 80))).toBe("cm");
+  expect(guessModelUnit(new THREE.Vector3(2000, 900, 800))).toBe("mm");
+});
+
+test("imports a model at real-world scale, standing on the floor at the origin", async () => {
+  const model = await importModel(await createFile("Chesterfield.glb"), [{ id: 3 }]);
+  expect(model).toMatchObject({
+    id: 4,
+    name: "Chesterfield",
+    unit: "cm",
+    scale: 0.01,
+    offset: [-0.5, -0.55, 0.2],
+    dimensions: { width: 2, depth: 0.8, height: 0.9 }
+  });
+
+  // The stored file loads again, as drawn
+  const scene = await loadModel(model);
+  const box = new THREE.Box3().setFromObject(scene);
+  expect(box.min.y).toBeCloseTo(55);
+  expect(box.max.x).toBeCloseTo(150);
+});
+
+test("rescales a model when its unit is changed", () => {
+  const model = { unit: "cm", scale: 0.01, offset: [-0.5, -0.55, 0.2], dimensions: { width: 2, depth: 0.8, height: 0.9 } };
+  expect(setModelUnit(model, "in")).toMatchObject({
+    unit: "in",
+    scale: 0.0254,
+    offset: [-1.27, -1.397, 0.508],
+    dimensions: { width: 5.08, depth: 2.032, height: 2.286 }
+  });
+});
+
+test("rejects files that are not glTF models", async () => {
+  const file = { name: "notes.glb", arrayBuffer: () => Promise.resolve(new TextEncoder().encode("hello").buffer) };
+  await expect(importModel(file, [])).rejects.toThrow("notes.glb is not a self-contained glTF model");
+});
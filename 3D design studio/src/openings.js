@@ -0,0 +1,111 @@
+import { getWalls } from "./roomShape";
+
+/* Openings (doors and windows):
+   - Each opening sits on one wall, `wall` being the wall's index in the room
+     outline; `offset` is the position of its centre along that wall,
+     measured from the wall's midpoint in the wall's local +X direction.
+   - Doors carry a hinge side ("left"/"right" as seen from inside the room)
+     and a swing direction ("in"/"out").
+*/
+export const FRONT_WALL = 2;
+export const BACK_WALL = 0;
+
+/* Id for a new opening: one more than the highest in any room, since a
+   room also shows the doors of its neighbours (see getConnectingOpenings) */
+export function getNextOpeningId(rooms) {
+  return Math.max(0, ...rooms.flatMap((entry) => entry.openings.map((opening) => opening.id))) + 1;
+}
+
+export function createDoor(wall = FRONT_WALL, id = 1) {
+  return {
+    id,
+    kind: "door",
+    wall,
+    offset: 0,
+    width: 1.2,
+    height: 2.1,
+    sillHeight: 0,
+    color: "#654321",
+    hinge: "left",
+    swing: "in"
+  };
+}
+
+export function createWindow(wall = BACK_WALL, id = 1) {
+  return {
+    id,
+    kind: "window",
+    wall,
+    offset: 0,
+    width: 2,
+    height: 1.5,
+    sillHeight: 1,
+    color: "#ADD8E6"
+  };
+}
+
+/* Horizontal length of a wall, 0 for walls the room does not have */
+export function getWallLength(wall, room) {
+  const found = getWalls(room)[wall];
+  return found ? found.length : 0;
+}
+
+/* Local frame of a wall for placing an opening:
+   origin at the opening's centre on the floor, local +X along the wall
+   and local +Z pointing into the room.
+*/
+export function getOpeningFrame(opening, room) {
+  const wall = getWalls(room)[opening.wall];
+  if (!wall) return { position: [0, 0, 0], rotation: [0, 0, 0] };
+  const [x, , z] = wall.position;
+  return {
+    position: [x + wall.direction[0] * opening.offset, 0, z + wall.direction[1] * opening.offset],
+    rotation: wall.rotation
+  };
+}
+
+/* Local frame of a whole wall: origin at the middle of its base */
+export function getWallFrame(wall, room) {
+  return getOpeningFrame({ wall, offset: 0 }, room);
+}
+
+/* Checks every opening against its wall and its neighbours.
+   Returns a map of opening id -> list of messages, only for invalid ones.
+*/
+export function validateOpenings(openings, room) {
+  const result = {};
+  const report = (id, message) => {
+    result[id] = [...(result[id] || []), message];
+  };
+
+  openings.forEach((opening) => {
+    if (!getWalls(room)[opening.wall]) {
+      report(opening.id, "is on a wall the room no longer has");
+      return;
+    }
+    const halfWall = getWallLength(opening.wall, room) / 2;
+    if (
+      opening.offset - opening.width / 2 < -halfWall ||
+      opening.offset + opening.width / 2 > halfWall
+    ) {
+      report(opening.id, "runs past the end of the wall");
+    }
+    if (opening.sillHeight + opening.height > room.height) {
+      report(opening.id, "is taller than the wall");
+    }
+  });
+
+  openings.forEach((a, i) => {
+    openings.slice(i + 1).forEach((b) => {
+      if (a.wall !== b.wall) return;
+      const apart = Math.abs(a.offset - b.offset) >= (a.width + b.width) / 2;
+      const stacked =
+        a.sillHeight >= b.sillHeight + b.height || b.sillHeight >= a.sillHeight + a.height;
+      if (!apart && !stacked) {
+        report(a.id, `overlaps ${b.kind} on the same wall`);
+        report(b.id, `overlaps ${a.kind} on the same wall`);
+      }
+    });
+  });
+  return result;
+}
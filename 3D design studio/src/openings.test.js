@@ -0,0 +1,44 @@
+import { createDoor, createWindow, getNextOpeningId, getOpeningFrame, validateOpenings } from "./openings";
+import { createRoom } from "./designSchema";
+import { createOutline } from "./roomShape";
+
+const room = { shape: "rectangle", outline: createOutline("rectangle", 8, 6), height: 3 };
+const LEFT = 3;
+
+test("accepts openings that fit their walls", () => {
+  const openings = [
+    { ...createDoor(), id: 1, offset: -2 },
+    { ...createWindow(2), id: 2, offset: 2 }
+  ];
+  expect(validateOpenings(openings, room)).toEqual({});
+});
+
+test("reports openings past the wall ends and overlapping neighbours", () => {
+  const openings = [
+    { ...createDoor(LEFT), id: 1, offset: 2.6 },
+    { ...createWindow(LEFT), id: 2, offset: 1.5 },
+    { ...createWindow(), id: 3, sillHeight: 2 },
+    { ...createWindow(7), id: 4 }
+  ];
+  expect(validateOpenings(openings, room)).toEqual({
+    1: ["runs past the end of the wall", "overlaps window on the same wall"],
+    2: ["overlaps door on the same wall"],
+    3: ["is taller than the wall"],
+    4: ["is on a wall the room no longer has"]
+  });
+});
+
+test("places openings in their wall's frame, facing into the room", () => {
+  const frame = getOpeningFrame({ ...createDoor(), offset: 1 }, room);
+  // the front wall runs from +X to -X, so a positive offset moves towards -X
+  expect(frame.position).toEqual([-1, 0, 3]);
+  expect(frame.rotation[1]).toBeCloseTo(Math.PI);
+});
+
+test("numbers new openings after the highest in any room", () => {
+  const first = createRoom("Room 1", 1);
+  const second = createRoom("Room 2", 2, getNextOpeningId([first]));
+  expect(second.openings.map((opening) => opening.id)).toEqual([3, 4]);
+  expect(getNextOpeningId([first, second])).toBe(5);
+  expect(getNextOpeningId([{ openings: [] }])).toBe(1);
+});
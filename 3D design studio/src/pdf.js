@@ -0,0 +1,166 @@
+/* PDF:
+   - A small PDF writer for printable documents: A4 pages with text in the
+     standard Helvetica fonts, lines, filled shapes and JPEG images.
+   - Coordinates are in points (1/72 inch) from the bottom-left corner of
+     the page; colours are "#rrggbb" strings.
+   - Text is written in the WinAnsi encoding, so characters such as × ² °
+     and – print; anything outside it prints as "?".
+*/
+export const A4 = [595.28, 841.89];
+
+// Helvetica advance widths (per 1000 units of font size) for ASCII 32–126
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const BOLD_WIDTH = 1.06; // Helvetica-Bold runs about this much wider
+
+// Characters WinAnsi places in 0x80–0x9F instead of the Latin-1 controls
+const WIN_ANSI = { "€": 0x80, "‘": 0x91, "’": 0x92, "“": 0x93, "”": 0x94, "•": 0x95, "–": 0x96, "—": 0x97 };
+
+function toWinAnsi(text) {
+  return Array.from(String(text))
+    .map((char) => {
+      const code = char.codePointAt(0);
+      if (WIN_ANSI[char]) return String.fromCharCode(WIN_ANSI[char]);
+      return code < 0x80 || (code >= 0xa0 && code <= 0xff) ? char : "?";
+    })
+    .join("");
+}
+
+/* Width of a line of text in points */
+export function textWidth(text, size, bold = false) {
+  const units = Array.from(String(text)).reduce((sum, char) => {
+    const code = char.codePointAt(0);
+    return sum + (code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556);
+  }, 0);
+  return (units * size * (bold ? BOLD_WIDTH : 1)) / 1000;
+}
+
+const num = (value) => String(Number(value.toFixed(2)));
+
+function rgb(color) {
+  const hex = color.replace("#", "");
+  return [0, 2, 4].map((i) => num(parseInt(hex.slice(i, i + 2), 16) / 255)).join(" ");
+}
+
+function path(points, close) {
+  const [first, ...rest] = points;
+  return [
+    `${num(first[0])} ${num(first[1])} m`,
+    ...rest.map(([x, y]) => `${num(x)} ${num(y)} l`),
+    ...(close ? ["h"] : [])
+  ].join(" ");
+}
+
+/* Starts an empty document; add a page before drawing */
+export function createPdf() {
+  const pages = [];
+  const images = [];
+  let ops = null;
+
+  return {
+    addPage() {
+      ops = [];
+      pages.push(ops);
+    },
+
+    /* One line of text at a baseline point; align is "left", "center" or "right" */
+    text(value, x, y, { size = 10, bold = false, color = "#000000", align = "left" } = {}) {
+      const width = textWidth(value, size, bold);
+      const left = align === "right" ? x - width : align === "center" ? x - width / 2 : x;
+      const escaped = toWinAnsi(value).replace(/[\\()]/g, (char) => `\\${char}`);
+      ops.push(`BT /${bold ? "F2" : "F1"} ${size} Tf ${rgb(color)} rg ${num(left)} ${num(y)} Td (${escaped}) Tj ET`);
+    },
+
+    /* Open polyline through [x, y] points; dash is [on, off] */
+    line(points, { width = 0.5, color = "#000000", dash = null } = {}) {
+      const pattern = dash ? `[${dash.map(num).join(" ")}] 0 d` : "[] 0 d";
+      ops.push(`q ${rgb(color)} RG ${num(width)} w ${pattern} ${path(points, false)} S Q`);
+    },
+
+    /* Closed shape of one or more rings; rings inside others are holes */
+    shape(rings, { fill = null, stroke = null, width = 0.5 } = {}) {
+      const paint = fill && stroke ? "B*" : fill ? "f*" : "S";
+      const colors = [fill && `${rgb(fill)} rg`, stroke && `${rgb(stroke)} RG`].filter(Boolean).join(" ");
+      ops.push(`q ${colors} ${num(width)} w ${rings.map((ring) => path(ring, true)).join(" ")} ${paint} Q`);
+    },
+
+    rect(x, y, width, height, options) {
+      this.shape([[[x, y], [x + width, y], [x + width, y + height], [x, y + height]]], options);
+    },
+
+    /* JPEG image (bytes, pixel size) drawn into a box */
+    image(jpeg, pixelWidth, pixelHeight, x, y, width, height) {
+      images.push({ jpeg, pixelWidth, pixelHeight });
+      ops.push(`q ${num(width)} 0 0 ${num(height)} ${num(x)} ${num(y)} cm /Im${images.length} Do Q`);
+    },
+
+    get pageCount() {
+      return pages.length;
+    },
+
+    /* The finished file */
+    toBytes() {
+      // 1 catalog, 2 page tree, 3–4 fonts, then the images, then a page and its contents per page
+      const firstPage = 5 + images.length;
+      const pageIds = pages.map((_, i) => firstPage + i * 2);
+      const imageRefs = images.map((_, i) => `/Im${i + 1} ${5 + i} 0 R`).join(" ");
+      const objects = [
+        ["<< /Type /Catalog /Pages 2 0 R >>"],
+        [`<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pages.length} >>`],
+        ["<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>"],
+        ["<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>"],
+        ...images.map(({ jpeg, pixelWidth, pixelHeight }) => [
+          `<< /Type /XObject /Subtype /Image /Width ${pixelWidth} /Height ${pixelHeight} ` +
+            `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\nstream\n`,
+          jpeg,
+          "\nendstream"
+        ]),
+        ...pages.flatMap((pageOps, i) => {
+          const content = pageOps.join("\n");
+          return [
+            [
+              `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${A4.join(" ")}] ` +
+                `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> /XObject << ${imageRefs} >> >> ` +
+                `/Contents ${pageIds[i] + 1} 0 R >>`
+            ],
+            [`<< /Length ${content.length} >>\nstream\n${content}\nendstream`]
+          ];
+        })
+      ];
+
+      const chunks = [];
+      let length = 0;
+      const write = (chunk) => {
+        const bytes = typeof chunk === "string" ? Uint8Array.from(chunk, (char) => char.charCodeAt(0)) : chunk;
+        chunks.push(bytes);
+        length += bytes.length;
+      };
+      write("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n");
+      const offsets = objects.map((parts, i) => {
+        const offset = length;
+        write(`${i + 1} 0 obj\n`);
+        parts.forEach(write);
+        write("\nendobj\n");
+        return offset;
+      });
+      const xref = length;
+      write(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+      offsets.forEach((offset) => write(`${String(offset).padStart(10, "0")} 00000 n \n`));
+      write(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+
+      const pdf = new Uint8Array(length);
+      let position = 0;
+      chunks.forEach((bytes) => {
+        pdf.set(bytes, position);
+        position += bytes.length;
+      });
+      return pdf;
+    }
+  };
+}
@@ -0,0 +1,41 @@
+import { createPdf, textWidth } from "./pdf";
+
+// PDF files are bytes; every byte here is one Latin-1 character
+const read = (bytes) => Array.from(bytes, (byte) => String.fromCharCode(byte)).join("");
+
+test("measures text in Helvetica", () => {
+  expect(textWidth("Hello", 10)).toBeCloseTo(22.78);
+  expect(textWidth("Hello", 10, true)).toBeGreaterThan(textWidth("Hello", 10));
+});
+
+test("writes pages with an accurate cross-reference table", () => {
+  const pdf = createPdf();
+  pdf.addPage();
+  pdf.text("Room (main) 4 × 3 m²", 40, 800, { bold: true });
+  pdf.rect(40, 700, 100, 50, { fill: "#ff0000", stroke: "#000000" });
+  pdf.addPage();
+  pdf.line([[0, 0], [10, 10]], { dash: [2, 1] });
+  pdf.image(new Uint8Array([0xff, 0xd8, 0xff, 0xd9]), 2, 1, 40, 40, 200, 100);
+  expect(pdf.pageCount).toBe(2);
+
+  const text = read(pdf.toBytes());
+  expect(text.startsWith("%PDF-1.4")).toBe(true);
+  expect(text.endsWith("%%EOF\n")).toBe(true);
+  // Brackets are escaped and × and ² are WinAnsi bytes
+  expect(text).toContain("(Room \\(main\\) 4 \xd7 3 m\xb2) Tj");
+  expect(text).toContain("/F2 10 Tf");
+  expect(text).toContain("1 0 0 rg 0 0 0 RG 0.5 w 40 700 m 140 700 l 140 750 l 40 750 l h B* Q");
+  expect(text).toContain("[2 1] 0 d 0 0 m 10 10 l S");
+  expect(text).toContain("/Subtype /Image /Width 2 /Height 1");
+  expect(text).toContain("/Count 2");
+
+  // startxref points at the table, whose entries point at their objects
+  const xref = Number(text.match(/startxref\n(\d+)/)[1]);
+  expect(text.slice(xref, xref + 4)).toBe("xref");
+  const entries = text.slice(xref).match(/\d{10} 00000 n/g);
+  expect(entries).toHaveLength(9);
+  entries.forEach((entry, i) => {
+    const offset = Number(entry.slice(0, 10));
+    expect(text.slice(offset, offset + `${i + 1} 0 obj`.length)).toBe(`${i + 1} 0 obj`);
+  });
+});
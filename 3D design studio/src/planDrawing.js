@@ -0,0 +1,150 @@
+import { getFurnitureBounds } from "./collision";
+import { getItemDimensions } from "./furnitureCatalog";
+import { getWalls } from "./roomShape";
+
+/* Plan Drawing:
+   - Geometry for the orthographic 2D floor plan, as [x, z] floor points.
+   - Doors and windows are drawn in their wall's local frame (+X along the
+     wall, +Z into the room, the wall's thickness towards -Z) and converted
+     to floor points with the wall's start, direction and normal.
+   - Doors use the standard symbol: the leaf drawn open at 90° and a quarter
+     arc traced by its free edge. Windows are three lines across the wall.
+*/
+const ARC_SEGMENTS = 16;
+const DIMENSION_INSET = 0.35; // wall dimension lines sit this far inside the room
+
+function toFloor(wall, [x, z]) {
+  const along = x + wall.length / 2;
+  return [
+    wall.start[0] + wall.direction[0] * along + wall.normal[0] * z,
+    wall.start[1] + wall.direction[1] * along + wall.normal[1] * z
+  ];
+}
+
+/* Rectangle of wall an opening takes out, as four floor points */
+function getOpeningGap(wall, opening, thickness) {
+  const left = opening.offset - opening.width / 2;
+  const right = opening.offset + opening.width / 2;
+  return [[left, 0], [right, 0], [right, -thickness], [left, -thickness]].map((point) => toFloor(wall, point));
+}
+
+/* Door symbol: { gap, leaf: [hinge, tip], arc: points from the closed
+   position to the open tip } */
+export function getDoorSymbol(door, room) {
+  const wall = getWalls(room)[door.wall];
+  const thickness = room.wallThickness;
+  const hingeX = door.offset + (door.hinge === "left" ? -1 : 1) * (door.width / 2);
+  // Inward doors hinge on the room side of the wall, outward ones on the far side
+  const hingeZ = door.swing === "in" ? 0 : -thickness;
+  const openZ = door.swing === "in" ? door.width : -door.width;
+  const closedX = door.hinge === "left" ? door.width : -door.width;
+
+  const start = Math.atan2(0, closedX);
+  const end = Math.atan2(openZ, 0);
+  let sweep = end - start;
+  if (sweep > Math.PI) sweep -= 2 * Math.PI;
+  if (sweep < -Math.PI) sweep += 2 * Math.PI;
+  const arc = Array.from({ length: ARC_SEGMENTS + 1 }, (_, i) => {
+    const angle = start + (sweep * i) / ARC_SEGMENTS;
+    return toFloor(wall, [hingeX + Math.cos(angle) * door.width, hingeZ + Math.sin(angle) * door.width]);
+  });
+
+  return {
+    gap: getOpeningGap(wall, door, thickness),
+    leaf: [toFloor(wall, [hingeX, hingeZ]), toFloor(wall, [hingeX, hingeZ + openZ])],
+    arc
+  };
+}
+
+/* Window symbol: { gap, lines } with lines on both faces of the wall and
+   the glazing in the middle */
+export function getWindowSymbol(win, room) {
+  const wall = getWalls(room)[win.wall];
+  const thickness = room.wallThickness;
+  const left = win.offset - win.width / 2;
+  const right = win.offset + win.width / 2;
+  return {
+    gap: getOpeningGap(wall, win, thickness),
+    lines: [0, -thickness / 2, -thickness].map((z) => [toFloor(wall, [left, z]), toFloor(wall, [right, z])])
+  };
+}
+
+/* Outline of an item's footprint on the floor (rotated rectangle) */
+export function getFootprint(item) {
+  const dims = getItemDimensions(item);
+  const [sx, , sz] = item.scale || [1, 1, 1];
+  const angle = (item.rotation || [0, 0, 0])[1];
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const w = (dims.width * sx) / 2;
+  const d = (dims.depth * sz) / 2;
+  return [[-w, -d], [w, -d], [w, d], [-w, d]].map(([x, z]) => [
+    item.position[0] + x * cos + z * sin,
+    item.position[2] - x * sin + z * cos
+  ]);
+}
+
+/* One dimension line per wall, just inside the room:
+   { wall, from, to, length } */
+export function getWallDimensions(room) {
+  return getWalls(room).map((wall) => ({
+    wall: wall.index,
+    from: toFloor(wall, [-wall.length / 2, DIMENSION_INSET]),
+    to: toFloor(wall, [wall.length / 2, DIMENSION_INSET]),
+    length: wall.length
+  }));
+}
+
+/* Distance along `direction` from `origin` to the segment a-b, or Infinity */
+function rayToSegment(origin, direction, [a, b]) {
+  const edge = [b[0] - a[0], b[1] - a[1]];
+  const denominator = direction[0] * edge[1] - direction[1] * edge[0];
+  if (Math.abs(denominator) < 1e-9) return Infinity;
+  const offset = [a[0] - origin[0], a[1] - origin[1]];
+  const t = (offset[0] * edge[1] - offset[1] * edge[0]) / denominator;
+  const s = (offset[0] * direction[1] - offset[1] * direction[0]) / denominator;
+  return t >= 0 && s >= 0 && s <= 1 ? t : Infinity;
+}
+
+function boxEdges(box) {
+  const corners = [
+    [box.min.x, box.min.z],
+    [box.max.x, box.min.z],
+    [box.max.x, box.max.z],
+    [box.min.x, box.max.z]
+  ];
+  return corners.map((corner, i) => [corner, corners[(i + 1) % 4]]);
+}
+
+/* Clear floor distance from each side of an item to the nearest wall or
+   other item of its room, straight out along X and Z.
+   Returns [{ from, to, distance }] for the four sides.
+*/
+export function getClearances(item, entry) {
+  const bounds = getFurnitureBounds(item);
+  const { outline } = entry.room;
+  const obstacles = [
+    ...outline.map((corner, i) => [corner, outline[(i + 1) % outline.length]]),
+    ...entry.furniture
+      .filter((other) => other.id !== item.id)
+      .flatMap((other) => boxEdges(getFurnitureBounds(other)))
+  ];
+  const midX = (bounds.min.x + bounds.max.x) / 2;
+  const midZ = (bounds.min.z + bounds.max.z) / 2;
+  const sides = [
+    { origin: [bounds.max.x, midZ], direction: [1, 0] },
+    { origin: [bounds.min.x, midZ], direction: [-1, 0] },
+    { origin: [midX, bounds.max.z], direction: [0, 1] },
+    { origin: [midX, bounds.min.z], direction: [0, -1] }
+  ];
+  return sides
+    .map(({ origin, direction }) => {
+      const distance = Math.min(...obstacles.map((segment) => rayToSegment(origin, direction, segment)));
+      return {
+        from: origin,
+        to: [origin[0] + direction[0] * distance, origin[1] + direction[1] * distance],
+        distance
+      };
+    })
+    .filter((clearance) => Number.isFinite(clearance.distance));
+}
@@ -0,0 +1,43 @@
+import { createRoom } from "./designSchema";
+import { getClearances, getDoorSymbol, getFootprint, getWallDimensions, getWindowSymbol } from "./planDrawing";
+
+const round = (points) => points.map(([x, z]) => [Number(x.toFixed(3)) + 0, Number(z.toFixed(3)) + 0]);
+const sofa = { id: 1, type: "Sofa", size: "Medium", position: [0, 0, 0], rotation: [0, 0, 0], scale: [1, 1, 1] };
+
+test("draws an inward door open into the room with its swing arc", () => {
+  const { room, openings } = createRoom();
+  const door = openings.find((opening) => opening.kind === "door");
+  // default door: 1.2 m wide, centred on the front wall (z = 4), hinged on the left seen from inside
+  const symbol = getDoorSymbol(door, room);
+  expect(round(symbol.leaf)).toEqual([[0.6, 4], [0.6, 2.8]]);
+  expect(round([symbol.arc[0], symbol.arc[symbol.arc.length - 1]])).toEqual([[-0.6, 4], [0.6, 2.8]]);
+
+  const outward = getDoorSymbol({ ...door, swing: "out" }, room);
+  expect(round(outward.leaf)).toEqual([[0.6, 4.2], [0.6, 5.4]]);
+});
+
+test("draws windows as three lines across the wall", () => {
+  const { room, openings } = createRoom();
+  const win = openings.find((opening) => opening.kind === "window");
+  expect(getWindowSymbol(win, room).lines.map(round)).toEqual([
+    [[-1, -4], [1, -4]],
+    [[-1, -4.1], [1, -4.1]],
+    [[-1, -4.2], [1, -4.2]]
+  ]);
+});
+
+test("outlines rotated footprints and dimensions every wall", () => {
+  expect(round(getFootprint({ ...sofa, rotation: [0, Math.PI / 2, 0] }))).toEqual([
+    [-0.5, 1.1], [-0.5, -1.1], [0.5, -1.1], [0.5, 1.1]
+  ]);
+  const dimensions = getWallDimensions(createRoom().room);
+  expect(dimensions.map((dimension) => dimension.length)).toEqual([8, 8, 8, 8]);
+  expect(round([dimensions[0].from, dimensions[0].to])).toEqual([[-4, -3.65], [4, -3.65]]);
+});
+
+test("measures clearances to the walls and the nearest item", () => {
+  const entry = { ...createRoom(), furniture: [sofa, { ...sofa, id: 2, type: "Chair", position: [2.5, 0, 0] }] };
+  const distances = getClearances(sofa, entry).map((clearance) => Number(clearance.distance.toFixed(3)));
+  // right: up to the chair (2.5 - 0.3 - 1.1), left: the wall, front and back: the walls
+  expect(distances).toEqual([1.1, 2.9, 3.5, 3.5]);
+});
@@ -0,0 +1,346 @@
+import { getWallSkips } from "./floorPlan";
+import { getItemDimensions } from "./furnitureCatalog";
+import { findLuxeProduct, formatPrice, getLinkedProduct } from "./luxeCatalog";
+import { A4, createPdf, textWidth } from "./pdf";
+import { getDoorSymbol, getFootprint, getWallDimensions, getWindowSymbol } from "./planDrawing";
+import { getOutlineArea, getOutlineBounds, getWallLabel, getWalls, offsetOutline } from "./roomShape";
+import { formatArea, formatDimensions, formatLength } from "./units";
+
+/* Proposal:
+   - Builds the printable design proposal, an A4 PDF:
+     a cover with a summary, the floor plan with dimensions, 3D renders,
+     a specification of every room (size, surface colours, openings) and a
+     furniture schedule priced against the LUXE store (see luxeCatalog.js):
+     items linked to a product at its price, the others at the price of
+     the product their type and size match.
+   - The plan is drawn as vectors from the same geometry as the 2D view;
+     renders are JPEGs the studio takes beforehand (see getPerspectiveViews),
+     passed in as [{ title, jpeg, width, height }].
+   - Lengths are written in the unit the user works in.
+*/
+const [PAGE_WIDTH, PAGE_HEIGHT] = A4;
+const MARGIN = 40;
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN;
+const GREY = "#666666";
+const RULE = "#cccccc";
+const HEADER_FILL = "#eeeeee";
+const POINTS_PER_MM = 72 / 25.4;
+
+const SHAPE_NAMES = { rectangle: "Rectangle", L: "L-shaped", U: "U-shaped", custom: "Custom" };
+
+/* Splits text into lines no wider than `width` points, at spaces */
+function wrapText(text, width, size, bold) {
+  const lines = [];
+  String(text)
+    .split(" ")
+    .forEach((word) => {
+      const last = lines[lines.length - 1];
+      if (last !== undefined && textWidth(`${last} ${word}`, size, bold) <= width) {
+        lines[lines.length - 1] = `${last} ${word}`;
+      } else {
+        lines.push(word);
+      }
+    });
+  return lines;
+}
+
+function getScaledDimensions(item) {
+  const dims = getItemDimensions(item);
+  const [sx, sy, sz] = item.scale || [1, 1, 1];
+  return { width: dims.width * sx, depth: dims.depth * sz, height: dims.height * sy };
+}
+
+/* Draws every room of the floor plan, fitted and centred in a box given by
+   its top-left corner and size. Returns the drawing's scale in points per metre. */
+function drawPlan(pdf, rooms, { left, top, width, height }, unit) {
+  const outers = rooms.map((entry) => {
+    const skips = getWallSkips(rooms, entry.id);
+    const { outline, wallThickness } = entry.room;
+    return offsetOutline(outline, outline.map((_, wall) => (skips[wall] ? 0 : wallThickness)));
+  });
+  const bounds = getOutlineBounds(outers.flat());
+  const scale = Math.min(width / bounds.width, height / bounds.length);
+  const x0 = left + (width - bounds.width * scale) / 2;
+  const y0 = top - (height - bounds.length * scale) / 2;
+  // The back of the plan (-Z) is at the top of the page, as in the 2D view
+  const toPage = ([x, z]) => [x0 + (x - bounds.minX) * scale, y0 - (z - bounds.minZ) * scale];
+  const ring = (points) => points.map(toPage);
+
+  rooms.forEach((entry, i) => {
+    const { room, openings } = entry;
+    pdf.shape([ring(room.outline)], { fill: "#f7f7f7" });
+    pdf.shape([ring(outers[i]), ring(room.outline)], { fill: "#333333" });
+    openings
+      .filter((opening) => room.outline[opening.wall])
+      .forEach((opening) => {
+        if (opening.kind === "door") {
+          const { gap, leaf, arc } = getDoorSymbol(opening, room);
+          pdf.shape([ring(gap)], { fill: "#ffffff" });
+          pdf.line(ring(leaf), { width: 1.2, color: "#333333" });
+          pdf.line(ring(arc), { color: "#333333", dash: [2, 1.5] });
+        } else {
+          const { gap, lines } = getWindowSymbol(opening, room);
+          pdf.shape([ring(gap)], { fill: "#ffffff" });
+          lines.forEach((line) => pdf.line(ring(line), { color: "#1e88e5" }));
+        }
+      });
+  });
+
+  rooms.forEach((entry) => {
+    entry.furniture.forEach((item) => {
+      pdf.shape([ring(getFootprint(item))], { fill: "#ffffff", stroke: "#555555" });
+      const [x, y] = toPage([item.position[0], item.position[2]]);
+      pdf.text(item.type, x, y - 2, { size: 6, color: "#333333", align: "center" });
+    });
+    getWallDimensions(entry.room).forEach(({ from, to, length }) => {
+      pdf.line([toPage(from), toPage(to)], { color: "#888888" });
+      const [x, y] = toPage([(from[0] + to[0]) / 2, (from[1] + to[1]) / 2]);
+      pdf.text(formatLength(length, unit), x, y + 2, { size: 6.5, color: GREY, align: "center" });
+    });
+    const [x, y] = toPage(getOutlineBounds(entry.room.outline).center);
+    pdf.text(entry.name, x, y + 10, { size: 9, bold: true, align: "center" });
+  });
+  return scale;
+}
+
+/* The proposal as PDF bytes */
+export function buildProposal({ design, unit = "m", renders = [], date = new Date() }) {
+  const pdf = createPdf();
+  const dateText = date.toLocaleDateString("en-GB", { day: "numeric", month: "long", year: "numeric" });
+  const items = design.rooms.flatMap((entry) =>
+    entry.furniture.map((item) => ({ entry, item, product: getLinkedProduct(item) || findLuxeProduct(item) }))
+  );
+  const priced = items.filter(({ product }) => product);
+  const total = priced.reduce((sum, { product }) => sum + product.price, 0);
+  const floorArea = design.rooms.reduce((sum, entry) => sum + getOutlineArea(entry.room.outline), 0);
+
+  // Text flows down the page from `y`, starting new pages as it runs out
+  let y = 0;
+  const newPage = (title) => {
+    pdf.addPage();
+    pdf.text(`${design.name} · Design proposal · ${dateText}`, MARGIN, MARGIN / 2, { size: 8, color: GREY });
+    pdf.text(`Page ${pdf.pageCount}`, PAGE_WIDTH - MARGIN, MARGIN / 2, { size: 8, color: GREY, align: "right" });
+    y = PAGE_HEIGHT - MARGIN;
+    if (title) {
+      y -= 18;
+      pdf.text(title, MARGIN, y, { size: 18, bold: true });
+      y -= 16;
+    }
+  };
+  const ensureSpace = (height) => {
+    if (y - height < MARGIN) newPage();
+  };
+  const heading = (text) => {
+    ensureSpace(60);
+    y -= 18;
+    pdf.text(text, MARGIN, y, { size: 12, bold: true });
+    y -= 8;
+  };
+
+  /* Columns are { title, width, align }; cells are text or { text, swatch } */
+  const table = (columns, rows, { size = 9, footer = null } = {}) => {
+    const padding = 4;
+    const lineHeight = size * 1.25;
+    const layout = (cells, bold) => {
+      const lines = cells.map((cell, i) => {
+        const swatch = cell && cell.swatch ? size + 3 : 0;
+        const text = cell && typeof cell === "object" ? cell.text : cell;
+        return wrapText(text, columns[i].width - 2 * padding - swatch, size, bold);
+      });
+      return { lines, height: Math.max(...lines.map((cellLines) => cellLines.length)) * lineHeight + 2 * padding };
+    };
+    const drawRow = (cells, { bold = false, fill = null } = {}) => {
+      const { lines, height } = layout(cells, bold);
+      if (fill) pdf.rect(MARGIN, y - height, CONTENT_WIDTH, height, { fill });
+      let x = MARGIN;
+      cells.forEach((cell, i) => {
+        const { width, align = "left" } = columns[i];
+        let left = x + padding;
+        if (cell && cell.swatch) {
+          pdf.rect(left, y - padding - size * 0.9, size * 0.9, size * 0.9, { fill: cell.swatch, stroke: "#999999" });
+          left += size + 3;
+        }
+        lines[i].filter(Boolean).forEach((line, n) => {
+          const baseline = y - padding - size * 0.8 - n * lineHeight;
+          pdf.text(line, align === "right" ? x + width - padding : left, baseline, { size, bold, align });
+        });
+        x += width;
+      });
+      y -= height;
+      pdf.line([[MARGIN, y], [MARGIN + CONTENT_WIDTH, y]], { color: RULE });
+    };
+    const header = columns.map((column) => column.title);
+    const drawHeader = () => drawRow(header, { bold: true, fill: HEADER_FILL });
+
+    ensureSpace(layout(header, true).height + (rows.length ? layout(rows[0]).height : 0));
+    drawHeader();
+    rows.forEach((cells) => {
+      if (y - layout(cells).height < MARGIN) {
+        newPage();
+        drawHeader();
+      }
+      drawRow(cells);
+    });
+    if (footer) {
+      ensureSpace(layout(footer, true).height);
+      drawRow(footer, { bold: true });
+    }
+    y -= 6;
+  };
+
+  /* ----- Cover ----- */
+  newPage();
+  y -= 60;
+  pdf.text("Design proposal", MARGIN, y, { size: 28, bold: true });
+  y -= 30;
+  pdf.text(design.name, MARGIN, y, { size: 16 });
+  y -= 18;
+  pdf.text(dateText, MARGIN, y, { size: 11, color: GREY });
+  y -= 30;
+  [
+    ["Rooms", String(design.rooms.length)],
+    ["Total floor area", formatArea(floorArea, unit)],
+    ["Furniture items", String(items.length)],
+    ["Estimated LUXE furniture cost", priced.length ? formatPrice(total) : "—"]
+  ].forEach(([label, value]) => {
+    pdf.text(label, MARGIN, y, { size: 11, color: GREY });
+    pdf.text(value, MARGIN + 200, y, { size: 11, bold: true });
+    y -= 18;
+  });
+  if (renders.length > 0) {
+    const [cover] = renders;
+    const width = CONTENT_WIDTH;
+    const height = Math.min((width * cover.height) / cover.width, y - MARGIN - 20);
+    pdf.image(cover.jpeg, cover.width, cover.height, MARGIN, y - 20 - height, (height * cover.width) / cover.height, height);
+  }
+
+  /* ----- Floor plan ----- */
+  newPage("Floor plan");
+  const box = { left: MARGIN, top: y, width: CONTENT_WIDTH, height: y - MARGIN - 30 };
+  const scale = drawPlan(pdf, design.rooms, box, unit);
+  pdf.text(
+    `Scale 1:${Math.round(1000 / (scale / POINTS_PER_MM))} on A4 · dimensions are inside faces of the walls`,
+    MARGIN,
+    MARGIN + 8,
+    { size: 8, color: GREY }
+  );
+
+  /* ----- 3D views, two to a page ----- */
+  renders.forEach((render, i) => {
+    if (i % 2 === 0) newPage(i === 0 ? "3D views" : null);
+    const slot = (PAGE_HEIGHT - 2 * MARGIN - 40) / 2;
+    const height = Math.min(slot - 24, (CONTENT_WIDTH * render.height) / render.width);
+    const width = (height * render.width) / render.height;
+    pdf.image(render.jpeg, render.width, render.height, MARGIN + (CONTENT_WIDTH - width) / 2, y - height, width, height);
+    pdf.text(render.title, MARGIN, y - height - 14, { size: 9, color: GREY });
+    y -= slot;
+  });
+
+  /* ----- Rooms ----- */
+  newPage("Room specification");
+  design.rooms.forEach((entry) => {
+    const { room, openings } = entry;
+    const walls = getWalls(room);
+    const { width, length } = getOutlineBounds(room.outline);
+    heading(entry.name);
+    table(
+      [
+        { title: "Property", width: 160 },
+        { title: "Value", width: CONTENT_WIDTH - 160 }
+      ],
+      [
+        ["Shape", SHAPE_NAMES[room.shape] || room.shape],
+        ["Overall size (width × length)", `${formatLength(width, unit)} × ${formatLength(length, unit)}`],
+        ["Floor area", formatArea(getOutlineArea(room.outline), unit)],
+        ["Ceiling height", formatLength(room.height, unit)],
+        ["Wall thickness", formatLength(room.wallThickness, unit)]
+      ]
+    );
+    table(
+      [
+        { title: "Surface", width: 160 },
+        { title: "Size", width: 180 },
+        { title: "Colour", width: CONTENT_WIDTH - 340 }
+      ],
+      [
+        ["Floor", formatArea(getOutlineArea(room.outline), unit), { text: room.floorColor, swatch: room.floorColor }],
+        ["Ceiling", `${formatLength(room.height, unit)} high`, { text: room.ceilingColor, swatch: room.ceilingColor }],
+        ...walls.map((wall) => {
+          const color = room.wallColors[wall.index];
+          return [`${getWallLabel(room, wall.index)} wall`, formatLength(wall.length, unit), { text: color, swatch: color }];
+        })
+      ]
+    );
+    const counts = { door: 0, window: 0 };
+    const rows = openings
+      .filter((opening) => walls[opening.wall])
+      .map((opening) => {
+        counts[opening.kind] += 1;
+        const isDoor = opening.kind === "door";
+        return [
+          `${isDoor ? "Door" : "Window"} ${counts[opening.kind]}`,
+          getWallLabel(room, opening.wall),
+          `${formatLength(opening.width, unit)} × ${formatLength(opening.height, unit)}`,
+          isDoor ? "—" : formatLength(opening.sillHeight, unit),
+          formatLength(opening.offset, unit),
+          isDoor ? `${opening.hinge} hinge, opens ${opening.swing}` : "—",
+          { text: opening.color, swatch: opening.color }
+        ];
+      });
+    if (rows.length > 0) {
+      table(
+        [
+          { title: "Opening", width: 60 },
+          { title: "Wall", width: 55 },
+          { title: "Width × height", width: 105 },
+          { title: "Sill", width: 55 },
+          { title: "From wall centre", width: 75 },
+          { title: "Door swing", width: 95 },
+          { title: "Colour", width: CONTENT_WIDTH - 445 }
+        ],
+        rows
+      );
+    }
+  });
+
+  /* ----- Furniture schedule ----- */
+  newPage("Furniture schedule");
+  if (items.length === 0) {
+    pdf.text("No furniture has been placed yet.", MARGIN, y - 12, { size: 10, color: GREY });
+  } else {
+    table(
+      [
+        { title: "#", width: 20 },
+        { title: "Room", width: 55 },
+        { title: "Item", width: 50 },
+        { title: "Size", width: 42 },
+        { title: "Dimensions (w × d × h)", width: 82 },
+        { title: "Colour", width: 56 },
+        { title: "Position (x, z)", width: 68 },
+        { title: "LUXE product", width: 95 },
+        { title: "Price", width: CONTENT_WIDTH - 468, align: "right" }
+      ],
+      items.map(({ entry, item, product }, i) => [
+        String(i + 1),
+        entry.name,
+        item.type,
+        item.size || "—",
+        formatDimensions(getScaledDimensions(item), unit),
+        { text: item.color, swatch: item.color },
+        `${formatLength(item.position[0], unit)}, ${formatLength(item.position[2], unit)}`,
+        product ? product.name : "No matching product",
+        product ? formatPrice(product.price) : "—"
+      ]),
+      {
+        size: 8,
+        footer: [
+          ...Array(7).fill(""),
+          `Estimated total (${priced.length} of ${items.length} items priced)`,
+          formatPrice(total)
+        ]
+      }
+    );
+  }
+
+  return pdf.toBytes();
+}
@@ -0,0 +1,60 @@
+import { createDefaultDesign, createRoom } from "./designSchema";
+import { buildProposal } from "./proposal";
+
+const read = (bytes) => Array.from(bytes, (byte) => String.fromCharCode(byte)).join("");
+
+function createDesign() {
+  const design = createDefaultDesign("Flat 2");
+  const [entry] = design.rooms;
+  entry.name = "Living";
+  entry.furniture = [
+    { id: 1, type: "Sofa", size: "Medium", color: "#8B4513", position: [0, 0, -2], rotation: [0, 0, 0], scale: [1, 1, 1] },
+    { id: 2, type: "Table", size: "Small", color: "#deb887", position: [1.5, 0, 1], rotation: [0, 0, 0], scale: [1, 1, 1] }
+  ];
+  return { ...design, rooms: [entry, { ...createRoom("Bedroom", 2), furniture: [] }] };
+}
+
+test("writes the plan, room specification and a priced furniture schedule", () => {
+  const text = read(buildProposal({ design: createDesign(), date: new Date(2026, 9, 19) }));
+  expect(text).toContain("(Design proposal) Tj");
+  expect(text).toContain("(19 October 2026) Tj");
+  // Plan: room names and wall dimensions
+  expect(text).toContain("(Living) Tj");
+  expect(text).toContain("(8.00 m) Tj");
+  // Room specification
+  expect(text).toContain("(Bedroom) Tj");
+  expect(text).toContain("(64.00 m\xb2) Tj");
+  expect(text).toContain("(#cccccc) Tj");
+  expect(text).toContain("(left hinge, opens in) Tj");
+  // Furniture schedule, priced from the LUXE store
+  expect(text).toContain("(2.20 \xd7 1.00 \xd7 1.00 m) Tj");
+  expect(text).toContain("(Luxe Leather Sofa - M) Tj");
+  expect(text).toContain("($3,499) Tj");
+  expect(text).toContain("($1,699) Tj");
+  expect(text).toContain("($5,198) Tj");
+});
+
+test("prices linked items at their own product", () => {
+  const design = createDesign();
+  design.rooms[0].furniture[1].productId = "living-table-1";
+  const text = read(buildProposal({ design }));
+  expect(text).toContain("($599) Tj");
+  expect(text).toContain("($4,098) Tj");
+});
+
+test("writes lengths in the chosen unit and places the renders", () => {
+  const jpeg = new Uint8Array([0xff, 0xd8, 0xff, 0xd9]);
+  const renders = [
+    { title: "Living: Front left", jpeg, width: 4, height: 3 },
+    { title: "Living: Front right", jpeg, width: 4, height: 3 },
+    { title: "Bedroom: Front left", jpeg, width: 4, height: 3 }
+  ];
+  const text = read(buildProposal({ design: createDesign(), unit: "ft-in", renders }));
+  expect(text).toContain("(26' 3\") Tj");
+  expect(text).toContain("(688.9 sq ft) Tj");
+  expect(text).toContain("(Bedroom: Front left) Tj");
+  // The cover shows the first render again
+  expect(text.match(/\/Subtype \/Image/g)).toHaveLength(4);
+  // Cover, plan, two pages of renders, rooms and the schedule
+  expect(Number(text.match(/\/Count (\d+)/)[1])).toBeGreaterThanOrEqual(6);
+});
@@ -0,0 +1,241 @@
+/* Room Shape:
+   - A room's floor plan is a polygon `outline` of [x, z] corners.
+   - The outline is kept counter-clockwise in the sense that, walking from
+     corner i to corner i + 1, the room lies on the left (positive signed
+     area below). Wall i is the edge from corner i to corner i + 1.
+   - Rectangle, L and U presets are generated from the overall width and
+     length; "custom" outlines are edited corner by corner.
+*/
+export const ROOM_SHAPES = ["rectangle", "L", "U", "custom"];
+
+/* Labels for the walls of the rectangle preset, in outline order */
+const RECTANGLE_WALL_NAMES = ["Back", "Right", "Front", "Left"];
+
+function signedArea(outline) {
+  let sum = 0;
+  outline.forEach(([x1, z1], i) => {
+    const [x2, z2] = outline[(i + 1) % outline.length];
+    sum += x1 * z2 - x2 * z1;
+  });
+  return sum / 2;
+}
+
+/* Returns the outline in the winding the rest of the studio expects */
+export function normalizeOutline(outline) {
+  return signedArea(outline) < 0 ? [...outline].reverse() : outline;
+}
+
+/* Corner list for a preset shape centred on the origin */
+export function createOutline(shape, width, length) {
+  const w = width / 2;
+  const l = length / 2;
+  switch (shape) {
+    case "L":
+      // the front-right quarter is cut away
+      return [[-w, -l], [w, -l], [w, 0], [0, 0], [0, l], [-w, l]];
+    case "U":
+      // a notch a third of the width wide runs from the front wall to the middle
+      return [
+        [-w, -l], [w, -l], [w, l], [w / 3, l],
+        [w / 3, 0], [-w / 3, 0], [-w / 3, l], [-w, l]
+      ];
+    default:
+      return [[-w, -l], [w, -l], [w, l], [-w, l]];
+  }
+}
+
+export function getWallLabel(room, index) {
+  return room.shape === "rectangle" ? RECTANGLE_WALL_NAMES[index] : `Wall ${index + 1}`;
+}
+
+/* Floor area enclosed by the outline, in square metres */
+export function getOutlineArea(outline) {
+  return Math.abs(signedArea(outline));
+}
+
+/* Axis-aligned extent of the floor plan */
+export function getOutlineBounds(outline) {
+  const xs = outline.map(([x]) => x);
+  const zs = outline.map(([, z]) => z);
+  const minX = Math.min(...xs);
+  const maxX = Math.max(...xs);
+  const minZ = Math.min(...zs);
+  const maxZ = Math.max(...zs);
+  return {
+    minX,
+    maxX,
+    minZ,
+    maxZ,
+    width: maxX - minX,
+    length: maxZ - minZ,
+    center: [(minX + maxX) / 2, (minZ + maxZ) / 2]
+  };
+}
+
+/* Describes every wall of the room:
+   start/end corners, length, unit direction, inward normal, whether its end
+   corner is convex, and the local frame (origin at the middle of its base,
+   +X along the wall, +Z into the room) as a position/rotation pair.
+*/
+export function getWalls(room) {
+  const { outline } = room;
+  return outline.map((start, index) => {
+    const end = outline[(index + 1) % outline.length];
+    const next = outline[(index + 2) % outline.length];
+    const dx = end[0] - start[0];
+    const dz = end[1] - start[1];
+    const length = Math.hypot(dx, dz);
+    const direction = [dx / length, dz / length];
+    const normal = [-direction[1], direction[0]];
+    // the room turns left at a convex corner
+    const turn = direction[0] * (next[1] - end[1]) - direction[1] * (next[0] - end[0]);
+    // `0 -` avoids -0, which would turn the angle of an X-aligned wall into -0 or -π
+    const angle = Math.atan2(0 - direction[1], direction[0]);
+    return {
+      index,
+      start,
+      end,
+      length,
+      direction,
+      normal,
+      convexEnd: turn > 0,
+      position: [(start[0] + end[0]) / 2, 0, (start[1] + end[1]) / 2],
+      rotation: [0, angle, 0]
+    };
+  });
+}
+
+/* Moves every wall outwards by `distance` (one number, or one per wall),
+   mitring the corners. Used for the outside face of the walls, e.g. the
+   ceiling's overhang; a negative distance shrinks the outline.
+*/
+export function offsetOutline(outline, distance) {
+  const walls = getWalls({ outline });
+  const distances = walls.map((wall) => (Array.isArray(distance) ? distance[wall.index] : distance));
+  return outline.map(([x, z], i) => {
+    const before = (i - 1 + walls.length) % walls.length;
+    const n1 = walls[before].normal;
+    const n2 = walls[i].normal;
+    const d1 = distances[before];
+    const d2 = distances[i];
+    // solve n1 . v = -d1 and n2 . v = -d2 for the corner's shift v
+    const det = n1[0] * n2[1] - n1[1] * n2[0];
+    if (Math.abs(det) < 1e-6) return [x - n2[0] * d2, z - n2[1] * d2];
+    return [x + (-d1 * n2[1] + d2 * n1[1]) / det, z + (-d2 * n1[0] + d1 * n2[0]) / det];
+  });
+}
+
+/* Point-in-polygon test (ray casting) for a floor position */
+export function isInsideOutline([x, z], outline) {
+  let inside = false;
+  outline.forEach(([x1, z1], i) => {
+    const [x2, z2] = outline[(i + 1) % outline.length];
+    if ((z1 > z) !== (z2 > z) && x < ((x2 - x1) * (z - z1)) / (z2 - z1) + x1) {
+      inside = !inside;
+    }
+  });
+  return inside;
+}
+
+function getCentroid(outline) {
+  let x = 0;
+  let z = 0;
+  outline.forEach(([x1, z1], i) => {
+    const [x2, z2] = outline[(i + 1) % outline.length];
+    const cross = x1 * z2 - x2 * z1;
+    x += (x1 + x2) * cross;
+    z += (z1 + z2) * cross;
+  });
+  const area = signedArea(outline);
+  return [x / (6 * area), z / (6 * area)];
+}
+
+/* Where a room's ceiling lights hang, as floor points: a fill light in from
+   each corner, and a main light at the middle of the floor, or at the fill
+   light nearest it when the middle is outside the room (e.g. in a deep
+   notch).
+*/
+export function getLightPoints(outline) {
+  const inset = Math.min(...getWalls({ outline }).map((wall) => wall.length)) / 4;
+  const corners = offsetOutline(outline, -inset);
+  const centroid = getCentroid(outline);
+  const distance = ([x, z]) => Math.hypot(x - centroid[0], z - centroid[1]);
+  const main = isInsideOutline(centroid, outline)
+    ? centroid
+    : corners.reduce((best, corner) => (distance(corner) < distance(best) ? corner : best));
+  return { main, corners };
+}
+
+function segmentsCross([a, b], [c, d]) {
+  const cross = (p, q, r) => (q[0] - p[0]) * (r[1] - p[1]) - (q[1] - p[1]) * (r[0] - p[0]);
+  const d1 = cross(c, d, a);
+  const d2 = cross(c, d, b);
+  const d3 = cross(a, b, c);
+  const d4 = cross(a, b, d);
+  return d1 * d2 < 0 && d3 * d4 < 0;
+}
+
+/* True when no two non-adjacent walls cross and the outline has an area */
+export function isValidOutline(outline) {
+  if (outline.length < 3 || Math.abs(signedArea(outline)) < 1e-6) return false;
+  const edges = outline.map((point, i) => [point, outline[(i + 1) % outline.length]]);
+  return edges.every((a, i) =>
+    edges.every((b, j) => {
+      const adjacent = Math.abs(i - j) <= 1 || Math.abs(i - j) === edges.length - 1;
+      return adjacent || !segmentsCross(a, b);
+    })
+  );
+}
+
+/* Inserts a corner in the middle of wall `index`, splitting it in two.
+   Openings and wall colours after the split move along with their walls.
+   Openings on the split wall stay where they are: those past its middle
+   move to the second half, and each is re-measured from the middle of its
+   half.
+*/
+export function insertCorner(room, openings, index) {
+  const { outline } = room;
+  const [x1, z1] = outline[index];
+  const [x2, z2] = outline[(index + 1) % outline.length];
+  const nextOutline = [...outline];
+  nextOutline.splice(index + 1, 0, [(x1 + x2) / 2, (z1 + z2) / 2]);
+  const wallColors = [...room.wallColors];
+  wallColors.splice(index + 1, 0, room.wallColors[index]);
+  // the middle of each half is a quarter of the wall from the old middle
+  const quarter = Math.hypot(x2 - x1, z2 - z1) / 4;
+  return {
+    room: { ...room, shape: "custom", outline: nextOutline, wallColors },
+    openings: openings.map((opening) => {
+      if (opening.wall > index) return { ...opening, wall: opening.wall + 1 };
+      if (opening.wall < index) return opening;
+      return opening.offset > 0
+        ? { ...opening, wall: index + 1, offset: opening.offset - quarter }
+        : { ...opening, offset: opening.offset + quarter };
+    })
+  };
+}
+
+/* Removes corner `index`, merging its two walls into one.
+   Openings on the removed wall are dropped; later ones shift down.
+   Openings on the wall before it keep their distance from its start
+   corner, re-measured from the middle of the merged wall.
+*/
+export function removeCorner(room, openings, index) {
+  const { outline } = room;
+  if (outline.length <= 3) return { room, openings };
+  const nextOutline = outline.filter((_, i) => i !== index);
+  if (!isValidOutline(nextOutline)) return { room, openings };
+  const wallColors = room.wallColors.filter((_, i) => i !== index);
+  const merged = (index - 1 + outline.length) % outline.length;
+  const [x1, z1] = outline[merged];
+  const [x2, z2] = outline[index];
+  const [x3, z3] = outline[(index + 1) % outline.length];
+  const shift = (Math.hypot(x2 - x1, z2 - z1) - Math.hypot(x3 - x1, z3 - z1)) / 2;
+  return {
+    room: { ...room, shape: "custom", outline: nextOutline, wallColors },
+    openings: openings
+      .filter((opening) => opening.wall !== index)
+      .map((opening) => (opening.wall === merged ? { ...opening, offset: opening.offset + shift } : opening))
+      .map((opening) => (opening.wall > index ? { ...opening, wall: opening.wall - 1 } : opening))
+  };
+}
@@ -0,0 +1,117 @@
+import { getOpeningFrame } from "./openings";
+import {
+  createOutline,
+  getLightPoints,
+  getOutlineArea,
+  getWalls,
+  insertCorner,
+  isInsideOutline,
+  isValidOutline,
+  normalizeOutline,
+  offsetOutline,
+  removeCorner
+} from "./roomShape";
+
+test("builds presets wound so every wall's normal faces into the room", () => {
+  ["rectangle", "L", "U"].forEach((shape) => {
+    const outline = createOutline(shape, 6, 6);
+    expect(normalizeOutline(outline)).toBe(outline);
+    getWalls({ outline }).forEach((wall) => {
+      const probe = [
+        (wall.start[0] + wall.end[0]) / 2 + wall.normal[0] * 0.1,
+        (wall.start[1] + wall.end[1]) / 2 + wall.normal[1] * 0.1
+      ];
+      expect(isInsideOutline(probe, outline)).toBe(true);
+    });
+  });
+});
+
+test("measures the floor area of any outline", () => {
+  expect(getOutlineArea(createOutline("rectangle", 6, 4))).toBeCloseTo(24);
+  expect(getOutlineArea(createOutline("L", 6, 6))).toBeCloseTo(27);
+  expect(getOutlineArea([...createOutline("rectangle", 6, 4)].reverse())).toBeCloseTo(24);
+});
+
+test("marks concave corners", () => {
+  const walls = getWalls({ outline: createOutline("L", 6, 6) });
+  expect(walls.map((wall) => wall.convexEnd)).toEqual([true, true, false, true, true, true]);
+});
+
+test("offsets the outline outwards at convex and concave corners", () => {
+  const offset = offsetOutline(createOutline("L", 4, 4), 0.5);
+  expect(offset.map(([x, z]) => [x + 0, z + 0])).toEqual([
+    [-2.5, -2.5], [2.5, -2.5], [2.5, 0.5], [0.5, 0.5], [0.5, 2.5], [-2.5, 2.5]
+  ]);
+});
+
+test("hangs every light inside the room, whatever its shape", () => {
+  ["rectangle", "L", "U"].forEach((shape) => {
+    const outline = createOutline(shape, 6, 6);
+    const { main, corners } = getLightPoints(outline);
+    expect(corners).toHaveLength(outline.length);
+    [main, ...corners].forEach((point) => expect(isInsideOutline(point, outline)).toBe(true));
+  });
+  expect(getLightPoints(createOutline("rectangle", 6, 4)).main).toEqual([0, 0]);
+  // a C whose middle is the open notch
+  const c = [[0, 0], [6, 0], [6, 1], [1, 1], [1, 5], [6, 5], [6, 6], [0, 6]];
+  expect(isInsideOutline(getLightPoints(c).main, c)).toBe(true);
+});
+
+test("rejects self-intersecting outlines", () => {
+  expect(isValidOutline(createOutline("U", 6, 6))).toBe(true);
+  expect(isValidOutline([[0, 0], [2, 0], [0, 2], [2, 2]])).toBe(false);
+});
+
+test("keeps openings and colours on their walls when corners change", () => {
+  const room = { shape: "rectangle", outline: createOutline("rectangle", 4, 4), wallColors: ["a", "b", "c", "d"] };
+  const openings = [{ id: 1, wall: 1, offset: 0 }, { id: 2, wall: 2, offset: 0 }];
+
+  const inserted = insertCorner(room, openings, 1);
+  expect(inserted.room.outline).toHaveLength(5);
+  expect(inserted.room.shape).toBe("custom");
+  expect(inserted.room.wallColors).toEqual(["a", "b", "b", "c", "d"]);
+  expect(inserted.openings.map((o) => o.wall)).toEqual([1, 3]);
+
+  const removed = removeCorner(room, openings, 2);
+  expect(removed.room.outline).toHaveLength(3);
+  expect(removed.room.wallColors).toEqual(["a", "b", "d"]);
+  expect(removed.openings.map((o) => [o.id, o.wall])).toEqual([[1, 1]]);
+});
+
+const getPositions = ({ room, openings }) => openings.map((opening) => getOpeningFrame(opening, room).position);
+
+const expectSamePositions = (before, after) => {
+  const positions = getPositions(after);
+  getPositions(before).forEach((position, i) =>
+    position.forEach((value, axis) => expect(positions[i][axis]).toBeCloseTo(value))
+  );
+};
+
+test("keeps openings where they are when their wall is split", () => {
+  const room = { shape: "rectangle", outline: createOutline("rectangle", 6, 4), wallColors: ["a", "b", "c", "d"] };
+  const openings = [
+    { id: 1, wall: 0, offset: -1.5 },
+    { id: 2, wall: 0, offset: 0 },
+    { id: 3, wall: 0, offset: 2 },
+    { id: 4, wall: 2, offset: 1 }
+  ];
+  const inserted = insertCorner(room, openings, 0);
+  expect(inserted.openings.map((o) => [o.wall, o.offset])).toEqual([[0, 0], [0, 1.5], [1, 0.5], [3, 1]]);
+  expectSamePositions({ room, openings }, inserted);
+});
+
+test("keeps openings where they are when their wall absorbs the next one", () => {
+  const outlines = [
+    [[-3, -2], [0, -2], [3, -2], [3, 2], [-3, 2]],
+    // the merged wall wraps around to the last one
+    [[0, -2], [3, -2], [3, 2], [-3, 2], [-3, -2]]
+  ];
+  outlines.forEach((outline) => {
+    const room = { shape: "custom", outline, wallColors: ["a", "b", "c", "d", "e"] };
+    const before = outline[0][0] === 0 ? 4 : 0;
+    const openings = [{ id: 1, wall: before, offset: 0.5 }, { id: 2, wall: 3, offset: -1 }];
+    const removed = removeCorner(room, openings, (before + 1) % 5);
+    expect(removed.openings.find((o) => o.id === 1).offset).toBeCloseTo(-1);
+    expectSamePositions({ room, openings }, removed);
+  });
+});
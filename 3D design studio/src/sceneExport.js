@@ -0,0 +1,118 @@
+import * as THREE from "three";
+import { GLTFExporter } from "three/examples/jsm/exporters/GLTFExporter.js";
+import { OBJExporter } from "three/examples/jsm/exporters/OBJExporter.js";
+
+/* Scene Export:
+   - Writes the built rooms (walls with their openings cut out, floors,
+     ceilings, doors and windows) and the furniture, with their colours and
+     transforms, as binary glTF (GLB) or as OBJ with an MTL material library.
+   - Only the parts of a scene tagged with `userData.export` are written; the
+     studio tags every room and furniture item and names them after what
+     they are, e.g. "Room-1" or "Sofa-12". Helpers inside them (grids, lines,
+     labels, hidden or shader-drawn objects) are left out, as is everything
+     untagged: gizmos, lights and the light-bulb fixture, the sky and ground.
+   - Works on any Object3D, so it runs the same in the browser and in tests.
+*/
+
+/* Drawing aids rather than part of the design: hidden objects, lights,
+   cameras, lines and shader-drawn objects such as grids */
+export function isHelper(object) {
+  return (
+    !object.visible ||
+    object.isLight ||
+    object.isCamera ||
+    object.isLine ||
+    object.isPoints ||
+    object.isLineSegments2 ||
+    Boolean(object.material && object.material.isShaderMaterial)
+  );
+}
+
+/* Materials are copied once each and named after their colour, so the
+   OBJ can refer to them from its MTL library */
+function exportMaterial(material, materials) {
+  if (!materials.has(material)) {
+    const copy = material.clone();
+    const color = material.color ? material.color.getHexString() : "ffffff";
+    const alpha = material.transparent ? `_${Math.round(material.opacity * 100)}` : "";
+    copy.name = material.name || `color_${color}${alpha}`;
+    materials.set(material, copy);
+  }
+  return materials.get(material);
+}
+
+/* Copies a node and its non-helper children; unnamed nodes are named
+   after their nearest named ancestor */
+function copyNode(object, name, materials) {
+  if (isHelper(object)) return null;
+  const copy = object.isMesh
+    ? new THREE.Mesh(
+        object.geometry,
+        Array.isArray(object.material)
+          ? object.material.map((material) => exportMaterial(material, materials))
+          : exportMaterial(object.material, materials)
+      )
+    : new THREE.Group();
+  copy.name = name;
+  copy.position.copy(object.position);
+  copy.quaternion.copy(object.quaternion);
+  copy.scale.copy(object.scale);
+  object.children.forEach((child, i) => {
+    const childCopy = copyNode(child, child.name || `${name}_${i + 1}`, materials);
+    if (childCopy) copy.add(childCopy);
+  });
+  return copy.isMesh || copy.children.length > 0 ? copy : null;
+}
+
+/* Collects the tagged parts of a scene into a new scene graph, placed
+   where they are in the world */
+export function buildExportScene(scene) {
+  scene.updateMatrixWorld(true);
+  const root = new THREE.Group();
+  root.name = "Design";
+  const materials = new Map();
+  scene.traverse((object) => {
+    if (!object.userData.export) return;
+    const copy = copyNode(object, object.name || object.type, materials);
+    if (!copy) return;
+    object.matrixWorld.decompose(copy.position, copy.quaternion, copy.scale);
+    root.add(copy);
+  });
+  root.updateMatrixWorld(true);
+  return root;
+}
+
+/* Binary glTF of an export scene, as an ArrayBuffer */
+export function exportGLB(root) {
+  return new GLTFExporter().parseAsync(root, { binary: true });
+}
+
+/* Wavefront MTL library for the materials of an export scene */
+function writeMTL(root) {
+  const materials = new Map();
+  root.traverse((object) => {
+    if (object.isMesh) [].concat(object.material).forEach((material) => materials.set(material.name, material));
+  });
+  return [...materials.values()]
+    .map((material) => {
+      const rgb = { r: 1, g: 1, b: 1 };
+      if (material.color) material.color.getRGB(rgb, THREE.SRGBColorSpace);
+      return [
+        `newmtl ${material.name}`,
+        `Kd ${rgb.r.toFixed(4)} ${rgb.g.toFixed(4)} ${rgb.b.toFixed(4)}`,
+        `d ${material.transparent ? material.opacity : 1}`,
+        "illum 1"
+      ].join("\n");
+    })
+    .join("\n\n")
+    .concat("\n");
+}
+
+/* OBJ of an export scene plus its MTL library: { obj, mtl }.
+   `mtlFileName` is the name the OBJ uses to refer to the library. */
+export function exportOBJ(root, mtlFileName = "design.mtl") {
+  return {
+    obj: `mtllib ${mtlFileName}\n${new OBJExporter().parse(root)}`,
+    mtl: writeMTL(root)
+  };
+}
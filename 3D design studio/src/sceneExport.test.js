@@ -0,0 +1,64 @@
+import * as THREE from "three";
+import { TextDecoder, TextEncoder } from "util";
+import { buildExportScene, exportGLB, exportOBJ } from "./sceneExport";
+
+// jsdom leaves out the text codecs GLTFExporter writes its JSON chunk with
+global.TextEncoder = global.TextEncoder || TextEncoder;
+global.TextDecoder = global.TextDecoder || TextDecoder;
+
+function createScene() {
+  const scene = new THREE.Scene();
+
+  const room = new THREE.Group();
+  room.name = "Room-1";
+  room.userData.export = true;
+  const floor = new THREE.Mesh(new THREE.PlaneGeometry(4, 4), new THREE.MeshStandardMaterial({ color: "#cccccc" }));
+  floor.name = "Floor";
+  const grid = new THREE.Mesh(new THREE.PlaneGeometry(4, 4), new THREE.ShaderMaterial());
+  const outline = new THREE.Line(new THREE.BufferGeometry(), new THREE.LineBasicMaterial());
+  room.add(floor, grid, outline);
+
+  const sofa = new THREE.Group();
+  sofa.name = "Sofa-12";
+  sofa.userData.export = true;
+  sofa.position.set(1, 0, 2);
+  sofa.rotation.y = Math.PI / 2;
+  sofa.add(new THREE.Mesh(new THREE.BoxGeometry(2, 1, 1), new THREE.MeshStandardMaterial({ color: "#8b4513" })));
+
+  // Untagged: selection box, light and bulb fixture
+  const bulb = new THREE.Mesh(new THREE.SphereGeometry(0.1), new THREE.MeshStandardMaterial());
+  scene.add(room, sofa, new THREE.BoxHelper(sofa), new THREE.PointLight(), bulb);
+  return scene;
+}
+
+test("collects rooms and furniture without helpers", () => {
+  const root = buildExportScene(createScene());
+  expect(root.children.map((node) => node.name)).toEqual(["Room-1", "Sofa-12"]);
+  expect(root.children[0].children.map((node) => node.name)).toEqual(["Floor"]);
+
+  const [, sofa] = root.children;
+  expect(sofa.position.toArray()).toEqual([1, 0, 2]);
+  expect(sofa.rotation.y).toBeCloseTo(Math.PI / 2);
+  expect(sofa.children[0].name).toBe("Sofa-12_1");
+});
+
+test("writes OBJ with a material library", () => {
+  const { obj, mtl } = exportOBJ(buildExportScene(createScene()), "room.mtl");
+  expect(obj.startsWith("mtllib room.mtl\n")).toBe(true);
+  expect(obj).toContain("o Sofa-12_1\nusemtl color_8b4513\n");
+  expect(obj.match(/^o /gm)).toHaveLength(2);
+  expect(mtl).toContain("newmtl color_8b4513\nKd 0.5451 0.2706 0.0745\nd 1");
+  expect(mtl).toContain("newmtl color_cccccc");
+});
+
+test("writes binary glTF with named nodes", async () => {
+  const glb = await exportGLB(buildExportScene(createScene()));
+  const view = new DataView(glb);
+  expect(new TextDecoder().decode(new Uint8Array(glb, 0, 4))).toBe("glTF");
+  // The JSON chunk follows the 12-byte header and its own 8-byte header
+  const json = JSON.parse(new TextDecoder().decode(new Uint8Array(glb, 20, view.getUint32(12, true))));
+  expect(json.nodes.map((node) => node.name)).toEqual(
+    expect.arrayContaining(["Design", "Room-1", "Floor", "Sofa-12", "Sofa-12_1"])
+  );
+  expect(json.materials).toHaveLength(2);
+});
@@ -0,0 +1,73 @@
+import { getFurnitureBounds } from "./collision";
+import { getItemDimensions } from "./furnitureCatalog";
+import { getWalls } from "./roomShape";
+
+/* Snapping:
+   - Grid snapping rounds lengths to a step (5/10/25/50 cm, or 1"/3"/6"/1'
+     when working in feet and inches).
+   - Angle snapping rounds rotations to 15° steps.
+   - Wall snapping is magnetic: an item dropped close to a wall is turned so
+     its back (local -Z, where chairs and sofas have their backrest) faces
+     the wall, pushed flush against it and set down on the floor.
+*/
+export const SNAP_STEPS = [0.05, 0.1, 0.25, 0.5];
+export const IMPERIAL_SNAP_STEPS = [0.0254, 0.0762, 0.1524, 0.3048];
+export const ANGLE_STEP = Math.PI / 12;
+export const WALL_SNAP_DISTANCE = 0.3;
+
+export function snapValue(value, step) {
+  return Number((Math.round(value / step) * step).toFixed(4));
+}
+
+/* Finds the wall closest to an item, with the gap between them.
+   Only walls the item stands in front of (its centre projects onto the
+   wall) are considered.
+*/
+function nearestWall(item, room) {
+  const box = getFurnitureBounds(item);
+  const corners = [
+    [box.min.x, box.min.z],
+    [box.max.x, box.min.z],
+    [box.max.x, box.max.z],
+    [box.min.x, box.max.z]
+  ];
+  const [x, , z] = item.position;
+  let best = null;
+  getWalls(room).forEach((wall) => {
+    const along = (x - wall.start[0]) * wall.direction[0] + (z - wall.start[1]) * wall.direction[1];
+    if (along < 0 || along > wall.length) return;
+    const gap = Math.min(
+      ...corners.map(
+        ([cx, cz]) => (cx - wall.start[0]) * wall.normal[0] + (cz - wall.start[1]) * wall.normal[1]
+      )
+    );
+    if (!best || Math.abs(gap) < Math.abs(best.gap)) best = { wall, gap, along };
+  });
+  return best;
+}
+
+/* Applies grid, angle and magnetic wall snapping to a transform.
+   Returns the snapped { position, rotation, scale }.
+*/
+export function snapTransform(item, transform, room, step) {
+  const position = transform.position.map((v) => snapValue(v, step));
+  const rotation = transform.rotation.map((v) => snapValue(v, ANGLE_STEP));
+
+  const nearest = nearestWall({ ...item, ...transform, position, rotation }, room);
+  if (!nearest || Math.abs(nearest.gap) > WALL_SNAP_DISTANCE) {
+    return { ...transform, position, rotation };
+  }
+
+  // a wall's frame already has local +Z facing into the room, so an item
+  // turned the same way has its back to the wall
+  const { wall, along } = nearest;
+  const depth = getItemDimensions(item).depth * transform.scale[2];
+  const flush = [0, 1].map(
+    (axis) => wall.start[axis] + wall.direction[axis] * along + wall.normal[axis] * (depth / 2)
+  );
+  return {
+    ...transform,
+    position: [Number(flush[0].toFixed(4)), 0, Number(flush[1].toFixed(4))],
+    rotation: wall.rotation
+  };
+}
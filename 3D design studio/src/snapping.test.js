@@ -0,0 +1,33 @@
+import { createRoom } from "./designSchema";
+import { snapValue, snapTransform } from "./snapping";
+import { createOutline } from "./roomShape";
+
+const sofa = { id: 1, type: "Sofa", size: "Medium", color: "#000000", position: [0, 0, 0], rotation: [0, 0, 0], scale: [1, 1, 1] };
+
+test("rounds lengths to the grid step", () => {
+  expect(snapValue(1.234, 0.05)).toBe(1.25);
+  expect(snapValue(-0.26, 0.25)).toBe(-0.25);
+});
+
+test("snaps position and angle away from walls", () => {
+  const { room } = createRoom();
+  const snapped = snapTransform(sofa, { position: [1.04, 0.3, -0.96], rotation: [0, 0.3, 0], scale: [1, 1, 1] }, room, 0.1);
+  expect(snapped.position).toEqual([1, 0.3, -1]);
+  expect(snapped.rotation[1]).toBeCloseTo(Math.PI / 12);
+});
+
+test("pushes an item's back flush against a nearby wall", () => {
+  const { room } = createRoom();
+  // Medium sofa is 1 m deep; back wall is at z = -4
+  const snapped = snapTransform(sofa, { position: [0.5, 0.2, -3.3], rotation: [0, 0.4, 0], scale: [1, 1, 1] }, room, 0.1);
+  expect(snapped.position).toEqual([0.5, 0, -3.5]);
+  expect(snapped.rotation).toEqual([0, 0, 0]);
+});
+
+test("snaps against the inner walls of an L-shaped room", () => {
+  const room = { ...createRoom().room, shape: "L", outline: createOutline("L", 8, 8) };
+  // the inner wall of the L runs along x = 0 for z between 0 and 4, facing -X
+  const snapped = snapTransform(sofa, { position: [-0.6, 0, 2], rotation: [0, -1.5, 0], scale: [1, 1, 1] }, room, 0.1);
+  expect(snapped.position).toEqual([-0.5, 0, 2]);
+  expect(snapped.rotation[1]).toBeCloseTo(-Math.PI / 2);
+});
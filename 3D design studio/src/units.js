@@ -0,0 +1,92 @@
+/* Units:
+   - Every length is stored in metres: designs, furniture sizes and
+     measurements never depend on the unit the user works in.
+   - The unit preference only changes how lengths are shown and typed:
+     metres, centimetres, or feet and inches (e.g. 7' 9.5"); areas are
+     shown in square metres or square feet.
+   - Typed values may name their own unit ("230 cm", "7 ft 9 in", "9\"");
+     a bare number is read in the current unit (feet for "ft-in").
+*/
+export const LENGTH_UNITS = {
+  m: "Metres",
+  cm: "Centimetres",
+  "ft-in": "Feet & inches"
+};
+
+const UNIT_KEY = "roomDesigner.unit";
+const METRES_PER_UNIT = { mm: 0.001, cm: 0.01, m: 1, in: 0.0254, ft: 0.3048 };
+const DECIMALS = { m: 2, cm: 0 };
+const SQUARE_METRES_PER_SQUARE_FOOT = 0.09290304;
+
+const FEET_AND_INCHES = /^(\d*\.?\d+)\s*(?:'|ft|feet)\s*(?:(\d*\.?\d+)\s*(?:"|in|inches)?)?$/;
+const INCHES = /^(\d*\.?\d+)\s*(?:"|in|inches)$/;
+const DECIMAL = /^(\d*\.?\d+)\s*(mm|cm|m)?$/;
+
+/* Value of a length in a decimal unit ("m" or "cm"), and back */
+export function toUnit(metres, unit) {
+  return metres / METRES_PER_UNIT[unit];
+}
+
+export function fromUnit(value, unit) {
+  return value * METRES_PER_UNIT[unit];
+}
+
+/* Formats a length in metres for display, e.g. "2.35 m", "235 cm" or "7' 9"" */
+export function formatLength(metres, unit = "m") {
+  if (unit === "ft-in") {
+    const sign = metres < 0 ? "-" : "";
+    const tenths = Math.round((Math.abs(metres) / METRES_PER_UNIT.in) * 10);
+    const feet = Math.floor(tenths / 120);
+    const inches = (tenths - feet * 120) / 10;
+    return feet > 0 ? `${sign}${feet}' ${inches}"` : `${sign}${inches}"`;
+  }
+  return `${toUnit(metres, unit).toFixed(DECIMALS[unit])} ${unit}`;
+}
+
+/* Formats width × depth × height, e.g. "160 × 80 × 73 cm" */
+export function formatDimensions({ width, depth, height }, unit = "m") {
+  const values = [width, depth, height];
+  if (unit === "ft-in") return values.map((value) => formatLength(value, unit)).join(" × ");
+  return `${values.map((value) => toUnit(value, unit).toFixed(DECIMALS[unit])).join(" × ")} ${unit}`;
+}
+
+/* Formats an area in square metres: square feet when working in feet and
+   inches, square metres otherwise (e.g. "64.00 m²", "688.9 sq ft") */
+export function formatArea(squareMetres, unit = "m") {
+  if (unit === "ft-in") return `${(squareMetres / SQUARE_METRES_PER_SQUARE_FOOT).toFixed(1)} sq ft`;
+  return `${squareMetres.toFixed(2)} m²`;
+}
+
+/* Reads a typed length into metres; null when the text is not a length */
+export function parseLength(text, unit = "m") {
+  const value = String(text).trim().toLowerCase();
+  const sign = value.startsWith("-") ? -1 : 1;
+  const body = value.replace(/^[-+]\s*/, "");
+
+  const decimal = body.match(DECIMAL);
+  if (decimal) {
+    const named = decimal[2] || (unit === "ft-in" ? "ft" : unit);
+    return sign * Number(decimal[1]) * METRES_PER_UNIT[named];
+  }
+  const imperial = body.match(FEET_AND_INCHES);
+  if (imperial) {
+    return sign * (Number(imperial[1]) * METRES_PER_UNIT.ft + Number(imperial[2] || 0) * METRES_PER_UNIT.in);
+  }
+  const inches = body.match(INCHES);
+  if (inches) return sign * Number(inches[1]) * METRES_PER_UNIT.in;
+  return null;
+}
+
+/* The unit preference is kept per browser, not per design */
+export function loadUnitPreference() {
+  try {
+    const unit = window.localStorage.getItem(UNIT_KEY);
+    return LENGTH_UNITS[unit] ? unit : "m";
+  } catch (err) {
+    return "m";
+  }
+}
+
+export function saveUnitPreference(unit) {
+  window.localStorage.setItem(UNIT_KEY, unit);
+}
@@ -0,0 +1,39 @@
+import { formatArea, formatDimensions, formatLength, loadUnitPreference, parseLength, saveUnitPreference } from "./units";
+
+test("formats lengths in metres, centimetres or feet and inches", () => {
+  expect(formatLength(2.346)).toBe("2.35 m");
+  expect(formatLength(2.346, "cm")).toBe("235 cm");
+  expect(formatLength(2.36, "ft-in")).toBe("7' 8.9\"");
+  expect(formatLength(0.3048, "ft-in")).toBe("1' 0\"");
+  expect(formatLength(-0.2413, "ft-in")).toBe("-9.5\"");
+  expect(formatDimensions({ width: 1.6, depth: 0.8, height: 0.73 }, "cm")).toBe("160 × 80 × 73 cm");
+  expect(formatArea(64, "cm")).toBe("64.00 m²");
+  expect(formatArea(64, "ft-in")).toBe("688.9 sq ft");
+});
+
+test("parses typed lengths into metres", () => {
+  expect(parseLength("2.5", "m")).toBe(2.5);
+  expect(parseLength("250", "cm")).toBe(2.5);
+  expect(parseLength("250 cm", "m")).toBe(2.5);
+  expect(parseLength("7' 9\"", "ft-in")).toBeCloseTo(2.3622);
+  expect(parseLength("7ft 9in", "m")).toBeCloseTo(2.3622);
+  expect(parseLength("7' 9", "ft-in")).toBeCloseTo(2.3622);
+  expect(parseLength("9.5\"", "ft-in")).toBeCloseTo(0.2413);
+  expect(parseLength("-1'", "ft-in")).toBeCloseTo(-0.3048);
+  expect(parseLength("8", "ft-in")).toBeCloseTo(2.4384);
+  expect(parseLength("twelve", "m")).toBeNull();
+});
+
+test("round-trips displayed feet and inches", () => {
+  [0.05, 0.9, 2.4, 4.123].forEach((metres) => {
+    expect(parseLength(formatLength(metres, "ft-in"), "ft-in")).toBeCloseTo(metres, 2);
+  });
+});
+
+test("remembers the unit preference", () => {
+  expect(loadUnitPreference()).toBe("m");
+  saveUnitPreference("ft-in");
+  expect(loadUnitPreference()).toBe("ft-in");
+  window.localStorage.setItem("roomDesigner.unit", "furlongs");
+  expect(loadUnitPreference()).toBe("m");
+});
@@ -0,0 +1,104 @@
+import * as THREE from "three";
+import { getWalls } from "./roomShape";
+
+/* Wall Geometry:
+   - A wall is its outline extruded by the wall thickness, with the openings
+     on it cut out: doors as notches in the bottom edge, windows as holes.
+   - Built in the wall's local frame (see getWallFrame): X along the wall,
+     Y up, the interior face at Z = 0 and the thickness towards -Z.
+   - A wall is lengthened by the thickness past its end corner when that
+     corner is convex, so every outside corner is filled exactly once.
+     Concave corners close by themselves; corners that are not right angles
+     are closed approximately.
+   - `skip` lists [from, to] stretches (local X) where no wall is built
+     because a neighbouring room's wall already stands there.
+*/
+const MIN_EDGE = 0.01; // keeps cut-outs from touching the wall outline
+
+/* Outline of one stretch of wall, notched for every opening that reaches the floor */
+function buildWallShape(start, end, height, cutouts) {
+  const shape = new THREE.Shape();
+  shape.moveTo(start, 0);
+  let cursor = start;
+  cutouts
+    .filter((cut) => cut.bottom < MIN_EDGE)
+    .sort((a, b) => a.left - b.left)
+    .forEach((cut) => {
+      const left = Math.max(cut.left, cursor + MIN_EDGE);
+      if (left >= cut.right) return; // overlaps the previous notch
+      shape.lineTo(left, 0);
+      shape.lineTo(left, cut.top);
+      shape.lineTo(cut.right, cut.top);
+      shape.lineTo(cut.right, 0);
+      cursor = cut.right;
+    });
+  shape.lineTo(end, 0);
+  shape.lineTo(end, height);
+  shape.lineTo(start, height);
+  shape.closePath();
+
+  cutouts
+    .filter((cut) => cut.bottom >= MIN_EDGE)
+    .forEach((cut) => {
+      const hole = new THREE.Path();
+      hole.moveTo(cut.left, cut.bottom);
+      hole.lineTo(cut.right, cut.bottom);
+      hole.lineTo(cut.right, cut.top);
+      hole.lineTo(cut.left, cut.top);
+      hole.closePath();
+      shape.holes.push(hole);
+    });
+  return shape;
+}
+
+/* The parts of [start, end] not covered by any skipped stretch */
+function getSpans(start, end, skip) {
+  return [...skip]
+    .sort((a, b) => a[0] - b[0])
+    .reduce(
+      (spans, [from, to]) => {
+        const last = spans[spans.length - 1];
+        if (!last || to <= last[0] || from >= last[1]) return spans;
+        const rest = spans.slice(0, -1);
+        if (from > last[0]) rest.push([last[0], from]);
+        if (to < last[1]) rest.push([to, last[1]]);
+        return rest;
+      },
+      [[start, end]]
+    )
+    .filter(([from, to]) => to - from > MIN_EDGE);
+}
+
+export function buildWallGeometry(wall, room, openings, thickness, skip = []) {
+  const { length, convexEnd } = getWalls(room)[wall];
+  const start = -length / 2;
+  const end = length / 2 + (convexEnd ? thickness : 0);
+  const height = room.height;
+
+  const shapes = getSpans(start, end, skip).map(([from, to]) => {
+    const cutouts = openings
+      .filter((opening) => opening.wall === wall)
+      .map((opening) => {
+        const x = opening.offset;
+        return {
+          left: Math.max(x - opening.width / 2, from + MIN_EDGE),
+          right: Math.min(x + opening.width / 2, to - MIN_EDGE),
+          bottom: Math.max(opening.sillHeight, 0),
+          top: Math.min(opening.sillHeight + opening.height, height - MIN_EDGE)
+        };
+      })
+      .filter((cut) => cut.right > cut.left && cut.top > cut.bottom);
+    return buildWallShape(from, to, height, cutouts);
+  });
+
+  // three r175 drops the front/back faces when bevelEnabled is false, so use a zero-size bevel
+  const geometry = new THREE.ExtrudeGeometry(shapes, {
+    depth: thickness,
+    bevelEnabled: true,
+    bevelThickness: 0,
+    bevelSize: 0,
+    bevelSegments: 1
+  });
+  geometry.translate(0, 0, -thickness);
+  return geometry;
+}
@@ -0,0 +1,51 @@
+import * as THREE from "three";
+import { buildWallGeometry } from "./wallGeometry";
+import { createDoor, createWindow } from "./openings";
+import { createOutline } from "./roomShape";
+
+const room = { shape: "rectangle", outline: createOutline("rectangle", 8, 6), height: 3 };
+const BACK = 0;
+const FRONT = 2;
+
+// Casts a ray through the wall (local frame: interior face at z = 0) at x, y
+function hitsWall(geometry, x, y) {
+  const mesh = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({ side: THREE.DoubleSide }));
+  const ray = new THREE.Raycaster(new THREE.Vector3(x, y, 1), new THREE.Vector3(0, 0, -1));
+  return ray.intersectObject(mesh).length > 0;
+}
+
+test("builds a solid wall with thickness, lengthened past its convex end corner", () => {
+  const geometry = buildWallGeometry(BACK, room, [], 0.2);
+  geometry.computeBoundingBox();
+  expect(geometry.boundingBox.min.toArray().map((v) => Number(v.toFixed(3)))).toEqual([-4, 0, -0.2]);
+  expect(geometry.boundingBox.max.toArray().map((v) => Number(v.toFixed(3)))).toEqual([4.2, 3, 0]);
+  expect(hitsWall(geometry, 0, 1.5)).toBe(true);
+});
+
+test("cuts door notches and window holes", () => {
+  const openings = [
+    { ...createDoor(BACK), id: 1, offset: -2 },
+    { ...createWindow(BACK), id: 2, offset: 1.5 },
+    { ...createWindow(FRONT), id: 3, offset: 0 }
+  ];
+  const geometry = buildWallGeometry(BACK, room, openings, 0.2);
+  expect(hitsWall(geometry, -2, 1)).toBe(false); // through the door
+  expect(hitsWall(geometry, 1.5, 1.75)).toBe(false); // through the window
+  expect(hitsWall(geometry, 1.5, 0.5)).toBe(true); // below the window sill
+  expect(hitsWall(geometry, 0, 1.75)).toBe(true); // the front window is not on this wall
+});
+
+test("does not lengthen a wall into the room at a concave corner", () => {
+  const lRoom = { shape: "L", outline: createOutline("L", 8, 6), height: 3 };
+  // wall 2 runs from the right wall in to the inner (concave) corner of the L
+  const geometry = buildWallGeometry(2, lRoom, [], 0.2);
+  geometry.computeBoundingBox();
+  expect(Number(geometry.boundingBox.max.x.toFixed(3))).toBe(2);
+});
+
+test("leaves out stretches owned by a neighbouring room", () => {
+  const geometry = buildWallGeometry(BACK, room, [], 0.2, [[-1, 1]]);
+  expect(hitsWall(geometry, -2, 1.5)).toBe(true);
+  expect(hitsWall(geometry, 0, 1.5)).toBe(false);
+  expect(hitsWall(geometry, 2, 1.5)).toBe(true);
+});
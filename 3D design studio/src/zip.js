@@ -0,0 +1,70 @@
+/* Zip:
+   - Writes a ZIP archive from a list of { name, data } files, data being a
+     Uint8Array. Files are stored without compression: it is meant for
+     bundling PNGs, which are compressed already.
+*/
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+export function crc32(bytes) {
+  let crc = 0xffffffff;
+  bytes.forEach((byte) => {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  });
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/* Little-endian header fields: [value, size in bytes] pairs */
+function header(fields) {
+  const bytes = new Uint8Array(fields.reduce((sum, [, size]) => sum + size, 0));
+  const view = new DataView(bytes.buffer);
+  let offset = 0;
+  fields.forEach(([value, size]) => {
+    if (size === 4) view.setUint32(offset, value, true);
+    else view.setUint16(offset, value, true);
+    offset += size;
+  });
+  return bytes;
+}
+
+const UTF8_NAMES = 0x0800;
+const DOS_DATE_1980 = 0x21; // 1 January 1980, the earliest date ZIP can hold
+
+export function createZip(files) {
+  const parts = [];
+  const directory = [];
+  let offset = 0;
+  files.forEach(({ name, data }) => {
+    const fileName = new TextEncoder().encode(name);
+    const crc = crc32(data);
+    // version needed, flags, method (stored), time, date, crc, sizes, name length, extra length
+    const common = [
+      [20, 2], [UTF8_NAMES, 2], [0, 2], [0, 2], [DOS_DATE_1980, 2],
+      [crc, 4], [data.length, 4], [data.length, 4], [fileName.length, 2], [0, 2]
+    ];
+    const local = header([[0x04034b50, 4], ...common]);
+    parts.push(local, fileName, data);
+    // version made by, then the common fields, comment length, disk, attributes and the local header's offset
+    directory.push(
+      header([[0x02014b50, 4], [20, 2], ...common, [0, 2], [0, 2], [0, 2], [0, 4], [offset, 4]]),
+      fileName
+    );
+    offset += local.length + fileName.length + data.length;
+  });
+  const directorySize = directory.reduce((sum, part) => sum + part.length, 0);
+  const end = header([
+    [0x06054b50, 4], [0, 2], [0, 2], [files.length, 2], [files.length, 2], [directorySize, 4], [offset, 4], [0, 2]
+  ]);
+
+  const all = [...parts, ...directory, end];
+  const zip = new Uint8Array(all.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  all.forEach((part) => {
+    zip.set(part, position);
+    position += part.length;
+  });
+  return zip;
+}
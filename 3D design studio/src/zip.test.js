@@ -0,0 +1,40 @@
+import { TextDecoder, TextEncoder } from "util";
+import { crc32, createZip } from "./zip";
+
+// jsdom leaves out the text codecs
+global.TextEncoder = global.TextEncoder || TextEncoder;
+
+test("computes the ZIP checksum", () => {
+  expect(crc32(new TextEncoder().encode("hello"))).toBe(0x3610a686);
+});
+
+test("stores files with a central directory", () => {
+  const files = [
+    { name: "plan.png", data: new Uint8Array([1, 2, 3]) },
+    { name: "1-back-wall.png", data: new Uint8Array([4, 5]) }
+  ];
+  const zip = createZip(files);
+  const view = new DataView(zip.buffer);
+  expect(view.getUint32(0, true)).toBe(0x04034b50);
+
+  // End of central directory record: the last 22 bytes
+  const end = zip.length - 22;
+  expect(view.getUint32(end, true)).toBe(0x06054b50);
+  expect(view.getUint16(end + 10, true)).toBe(2);
+
+  // Walk the central directory and read back names and stored data
+  let entry = view.getUint32(end + 16, true);
+  const names = [];
+  for (let i = 0; i < 2; i++) {
+    expect(view.getUint32(entry, true)).toBe(0x02014b50);
+    const size = view.getUint32(entry + 20, true);
+    const nameLength = view.getUint16(entry + 28, true);
+    const local = view.getUint32(entry + 42, true);
+    const name = new TextDecoder().decode(zip.slice(entry + 46, entry + 46 + nameLength));
+    const dataStart = local + 30 + view.getUint16(local + 26, true);
+    expect(Array.from(zip.slice(dataStart, dataStart + size))).toEqual(Array.from(files[i].data));
+    names.push(name);
+    entry += 46 + nameLength;
+  }
+  expect(names).toEqual(["plan.png", "1-back-wall.png"]);
+});
@@ -0,0 +1,7 @@
+// Runtime settings of the LUXE store, read when it starts. Edit this file on
+// a deployed build to point the store at the design studio without
+// rebuilding. Left out, the studio's address falls back to the VITE_STUDIO_URL
+// build variable and then to the studio's local dev server.
+window.LUXE_CONFIG = {
+  // studioUrl: "https://studio.example.com"
+};
@@ -11,16 +11,8 @@ import { Login } from './pages/Login';
 import { Admin } from './pages/Admin';
 import { DesignStudio } from './pages/DesignStudio';
 import { Orders } from './pages/Orders';
+import { NotFound } from './pages/NotFound';
 
-import { useEffect } from "react";
-
-function RedirectToExternal() {
-  useEffect(() => {
-    window.location.href = "http://localhost:3000";
-  }, []);
-
-  return null;
-}
 function App() {
   return (
     <Router>
@@ -38,13 +30,7 @@ function App() {
             <Route path="/login" element={<Login />} />
             <Route path="/admin" element={<Admin />} />
             <Route path="/design-studio/:productId" element={<DesignStudio />} />
-            <Route
-              path="/design-studio/:productId"
-              element={
-                <RedirectToExternal />
-              }
-            />
-          </Routes>
+            <Route path="*" element={<NotFound />} />
           </Routes>
         </main>
         <Footer />
@@ -1,7 +1,7 @@
 import React, { useState } from 'react';
 import { Link } from 'react-router-dom';
 import { ShoppingCart, User, ChevronDown } from 'lucide-react';
-import { useStore } from '../store/useStore';
+import { ownedBy, useStore } from '../store/useStore';
 
 interface SubCategory {
   name: string;
@@ -47,7 +47,7 @@ const categories: Category[] = [
 export function Navbar() {
   const { cart, user } = useStore();
   const [hoveredCategory, setHoveredCategory] = useState<string | null>(null);
-  const totalItems = cart.reduce((sum, item) => sum + item.quantity, 0);
+  const totalItems = ownedBy(cart, user).reduce((sum, item) => sum + item.quantity, 0);
 
   return (
     <nav className="fixed top-0 w-full bg-zinc-900 text-white z-50">
@@ -0,0 +1,212 @@
+import { forwardRef, useEffect, useImperativeHandle, useRef, useState } from 'react';
+import * as THREE from 'three';
+import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { Product } from '../types';
+import { buildProductModel } from '../lib/furnitureModel';
+
+export type Lighting = 'day' | 'night';
+
+export interface ProductViewerHandle {
+  zoom: (factor: number) => void;
+  resetView: () => void;
+}
+
+interface ProductViewerProps {
+  product: Product;
+  lighting: Lighting;
+}
+
+interface View {
+  scene: THREE.Scene;
+  camera: THREE.PerspectiveCamera;
+  controls: OrbitControls;
+  home: THREE.Vector3;
+  target: THREE.Vector3;
+  lights: {
+    sky: THREE.HemisphereLight;
+    sun: THREE.DirectionalLight;
+    lamp: THREE.PointLight;
+    shade: THREE.MeshStandardMaterial;
+  };
+}
+
+const ROOM_SIZE = 6;
+const WALL_HEIGHT = 3.2;
+
+// A floor and two walls around the product, which stands against the back wall
+function buildRoom(depth: number) {
+  const room = new THREE.Group();
+  const wall = new THREE.MeshStandardMaterial({ color: '#ece7df', roughness: 0.95 });
+  const floor = new THREE.Mesh(
+    new THREE.PlaneGeometry(ROOM_SIZE, ROOM_SIZE),
+    new THREE.MeshStandardMaterial({ color: '#b08d6a', roughness: 0.7 })
+  );
+  floor.rotation.x = -Math.PI / 2;
+  floor.position.z = ROOM_SIZE / 2 - depth / 2 - 0.1;
+  floor.receiveShadow = true;
+  const back = new THREE.Mesh(new THREE.PlaneGeometry(ROOM_SIZE, WALL_HEIGHT), wall);
+  back.position.set(0, WALL_HEIGHT / 2, -depth / 2 - 0.1);
+  back.receiveShadow = true;
+  const side = new THREE.Mesh(new THREE.PlaneGeometry(ROOM_SIZE, WALL_HEIGHT), wall);
+  side.rotation.y = Math.PI / 2;
+  side.position.set(-ROOM_SIZE / 2, WALL_HEIGHT / 2, floor.position.z);
+  side.receiveShadow = true;
+  room.add(floor, back, side);
+  return room;
+}
+
+// A floor lamp beside the product; its light is only on at night
+function buildLamp(x: number) {
+  const lamp = new THREE.Group();
+  const metal = new THREE.MeshStandardMaterial({ color: '#2b2b2b', roughness: 0.4, metalness: 0.8 });
+  const pole = new THREE.Mesh(new THREE.CylinderGeometry(0.015, 0.015, 1.5), metal);
+  pole.position.y = 0.75;
+  const foot = new THREE.Mesh(new THREE.CylinderGeometry(0.15, 0.15, 0.02), metal);
+  const shade = new THREE.MeshStandardMaterial({ color: '#f4ead5', emissive: '#ffcf8a', side: THREE.DoubleSide });
+  const cone = new THREE.Mesh(new THREE.CylinderGeometry(0.15, 0.25, 0.3, 24, 1, true), shade);
+  cone.position.y = 1.55;
+  [pole, foot, cone].forEach((part) => (part.castShadow = true));
+  const light = new THREE.PointLight('#ffd9a0', 0, 0, 2);
+  light.position.y = 1.5;
+  light.castShadow = true;
+  light.shadow.mapSize.set(1024, 1024);
+  lamp.add(pole, foot, cone, light);
+  lamp.position.set(x, 0, 0.2);
+  return { lamp, light, shade };
+}
+
+function disposeScene(scene: THREE.Scene) {
+  scene.traverse((object) => {
+    if (object instanceof THREE.Mesh) {
+      object.geometry.dispose();
+      (Array.isArray(object.material) ? object.material : [object.material]).forEach((m) => m.dispose());
+    }
+  });
+}
+
+export const ProductViewer = forwardRef<ProductViewerHandle, ProductViewerProps>(function ProductViewer(
+  { product, lighting },
+  ref
+) {
+  const containerRef = useRef<HTMLDivElement>(null);
+  const viewRef = useRef<View | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const container = containerRef.current;
+    const model = buildProductModel(product);
+    if (!container) return;
+    if (!model) {
+      setError('There is no 3D model of this product yet.');
+      return;
+    }
+
+    let renderer: THREE.WebGLRenderer;
+    try {
+      renderer = new THREE.WebGLRenderer({ antialias: true });
+    } catch {
+      setError('The 3D preview needs WebGL, which this browser does not provide.');
+      return;
+    }
+    setError(null);
+    renderer.setPixelRatio(window.devicePixelRatio);
+    renderer.shadowMap.enabled = true;
+    renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+    renderer.toneMapping = THREE.ACESFilmicToneMapping;
+    container.appendChild(renderer.domElement);
+
+    const size = new THREE.Box3().setFromObject(model).getSize(new THREE.Vector3());
+    const scene = new THREE.Scene();
+    const { lamp, light, shade } = buildLamp(-size.x / 2 - 0.5);
+    const sky = new THREE.HemisphereLight('#ffffff', '#8a7560', 0);
+    const sun = new THREE.DirectionalLight('#fff4e0', 0);
+    sun.position.set(4, 6, 5);
+    sun.castShadow = true;
+    sun.shadow.mapSize.set(2048, 2048);
+    Object.assign(sun.shadow.camera, { left: -4, right: 4, top: 4, bottom: -4 });
+    scene.add(buildRoom(size.z), model, lamp, sky, sun);
+
+    // The camera starts in front of the product, a little to the right and above
+    const target = new THREE.Vector3(0, size.y / 2, 0);
+    const distance = Math.max(size.x, size.y, size.z) * 1.6 + 1;
+    const home = target.clone().add(new THREE.Vector3(0.5, 0.45, 1).normalize().multiplyScalar(distance));
+    const camera = new THREE.PerspectiveCamera(45, 1, 0.05, 50);
+    camera.position.copy(home);
+    const controls = new OrbitControls(camera, renderer.domElement);
+    controls.target.copy(target);
+    controls.enableDamping = true;
+    controls.minDistance = Math.max(size.x, size.z) / 2 + 0.3;
+    controls.maxDistance = ROOM_SIZE;
+    controls.maxPolarAngle = Math.PI / 2 - 0.05;
+    controls.update();
+
+    const resize = () => {
+      const { clientWidth, clientHeight } = container;
+      renderer.setSize(clientWidth, clientHeight);
+      camera.aspect = clientWidth / clientHeight;
+      camera.updateProjectionMatrix();
+    };
+    resize();
+    const observer = new ResizeObserver(resize);
+    observer.observe(container);
+    renderer.setAnimationLoop(() => {
+      controls.update();
+      renderer.render(scene, camera);
+    });
+
+    viewRef.current = { scene, camera, controls, home, target, lights: { sky, sun, lamp: light, shade } };
+    return () => {
+      viewRef.current = null;
+      renderer.setAnimationLoop(null);
+      observer.disconnect();
+      controls.dispose();
+      disposeScene(scene);
+      renderer.dispose();
+      container.removeChild(renderer.domElement);
+    };
+  }, [product]);
+
+  // Daylight from the sky and the sun; at night a faint moon and the lamp
+  useEffect(() => {
+    const view = viewRef.current;
+    if (!view) return;
+    const { sky, sun, lamp, shade } = view.lights;
+    const day = lighting === 'day';
+    view.scene.background = new THREE.Color(day ? '#dfe8ef' : '#0b0f19');
+    sky.intensity = day ? 1.2 : 0.05;
+    sun.color.set(day ? '#fff4e0' : '#9db4ff');
+    sun.intensity = day ? 2.5 : 0.15;
+    lamp.intensity = day ? 0 : 12;
+    shade.emissiveIntensity = day ? 0 : 0.8;
+  }, [lighting, product]);
+
+  useImperativeHandle(ref, () => ({
+    zoom: (factor) => {
+      const view = viewRef.current;
+      if (!view) return;
+      const { camera, controls } = view;
+      const offset = camera.position.clone().sub(controls.target);
+      const length = THREE.MathUtils.clamp(offset.length() * factor, controls.minDistance, controls.maxDistance);
+      camera.position.copy(controls.target).add(offset.setLength(length));
+      controls.update();
+    },
+    resetView: () => {
+      const view = viewRef.current;
+      if (!view) return;
+      view.camera.position.copy(view.home);
+      view.controls.target.copy(view.target);
+      view.controls.update();
+    },
+  }), []);
+
+  return (
+    <div className="relative w-full h-full">
+      <div ref={containerRef} className="w-full h-full" />
+      {error && (
+        <div className="absolute inset-0 flex items-center justify-center p-6 text-center text-gray-500">
+          {error}
+        </div>
+      )}
+    </div>
+  );
+});
@@ -1,318 +1,6 @@
+import { PRODUCTS } from 'luxe-catalog';
 import { Product } from '../types';
 
-export const products: Product[] = [
-  // Living Room - Sofas
-  {
-    id: 'sofa-1',
-    name: 'Luxe Leather Sofa - S',
-    price: 2999,
-    description: 'Premium Italian leather sofa with solid wood frame and elegant design.',
-    category: 'living-room',
-    subCategory: 'sofa',
-    images: [
-      '/images/livingroomSofa02.jpg'
-    ]
-  },
-  {
-    id: 'sofa-2',
-    name: 'Luxe Leather Sofa - M',
-    price: 3499,
-    description: 'Premium Italian leather sofa with solid wood frame and elegant design.',
-    category: 'living-room',
-    subCategory: 'sofa',
-    images: [
-      '/images/livingroomSofa02.jpg'
-    ]
-  },
-  {
-    id: 'sofa-3',
-    name: 'Luxe Leather Sofa - L',
-    price: 4299,
-    description: 'Premium Italian leather sofa with solid wood frame and elegant design.',
-    category: 'living-room',
-    subCategory: 'sofa',
-    images: [
-      '/images/livingroomSofa02.jpg'
-    ]
-  },
-  
-  // Living Room - Tables
-  {
-    id: 'living-table-1',
-    name: 'Modern Coffee Table - S',
-    price: 599,
-    description: 'Sleek marble-top coffee table with brass-finished base.',
-    category: 'living-room',
-    subCategory: 'table',
-    images: [
-      '/images/livingroomTable03.jpg'
-    ]
-  },
-  {
-    id: 'living-table-2',
-    name: 'Modern Coffee Table - M',
-    price: 899,
-    description: 'Sleek marble-top coffee table with brass-finished base.',
-    category: 'living-room',
-    subCategory: 'table',
-    images: [
-      '/images/livingroomTable03.jpg'
-    ]
-  },
-  {
-    id: 'living-table-3',
-    name: 'Modern Coffee Table - L',
-    price: 1299,
-    description: 'Sleek marble-top coffee table with brass-finished base.',
-    category: 'living-room',
-    subCategory: 'table',
-    images: [
-      '/images/livingroomTable03.jpg'
-    ]
-  },
-
-  // Living Room - Cabinets
-  {
-    id: 'cabinet-1',
-    name: 'Rattan Accent Cabinet - S',
-    price: 1699,
-    description: 'Boho-style storage cabinet with woven doors ideal for living rooms or entryways.',
-    category: 'living-room',
-    subCategory: 'cabinet',
-    images: [
-      '/images/livingroomCabinet03.jpg'
-    ]
-  },
-  {
-    id: 'cabinet-2',
-    name: 'Rattan Accent Cabinet - M',
-    price: 1899,
-    description: 'Boho-style storage cabinet with woven doors ideal for living rooms or entryways.',
-    category: 'living-room',
-    subCategory: 'cabinet',
-    images: [
-      '/images/livingroomCabinet03.jpg'
-    ]
-  },
-  {
-    id: 'cabinet-3',
-    name: 'Rattan Accent Cabinet - L',
-    price: 2199,
-    description: 'Boho-style storage cabinet with woven doors ideal for living rooms or entryways.',
-    category: 'living-room',
-    subCategory: 'cabinet',
-    images: [
-      '/images/livingroomCabinet03.jpg'
-    ]
-  },
-
-  // Bedroom - Beds
-  {
-    id: 'bed-1',
-    name: 'Scandinavian Serenity Bed - S',
-    price: 1899,
-    description: 'Minimalist platform bed crafted from natural oak wood, paired with soft neutral bedding.',
-    category: 'bedroom',
-    subCategory: 'bed',
-    images: [
-      '/images/bed01.jpg'
-    ]
-  },
-  {
-    id: 'bed-2',
-    name: 'Scandinavian Serenity Bed - M',
-    price: 2499,
-    description: 'Minimalist platform bed crafted from natural oak wood, paired with soft neutral bedding.',
-    category: 'bedroom',
-    subCategory: 'bed',
-    images: [
-      '/images/bed01.jpg'
-    ]
-  },
-  {
-    id: 'bed-3',
-    name: 'Scandinavian Serenity Bed - L',
-    price: 3299,
-    description: 'Minimalist platform bed crafted from natural oak wood, paired with soft neutral bedding.',
-    category: 'bedroom',
-    subCategory: 'bed',
-    images: [
-      '/images/bed01.jpg'
-    ]
-  },
-
-  // Bedroom - Wardrobes
-  {
-    id: 'wardrobe-1',
-    name: 'Timber Wardrobe - S',
-    price: 1899,
-    description: 'Classic bi-fold wooden wardrobe with paneled detailing, crafted from natural hardwood.',
-    category: 'bedroom',
-    subCategory: 'wardrobe',
-    images: [
-      '/images/bdwimg.jpg'
-    ]
-  },
-  {
-    id: 'wardrobe-2',
-    name: 'Timber Wardrobe - M',
-    price: 2399,
-    description: 'Classic bi-fold wooden wardrobe with paneled detailing, crafted from natural hardwood.',
-    category: 'bedroom',
-    subCategory: 'wardrobe',
-    images: [
-      '/images/bdwimg.jpg'
-    ]
-  },
-  {
-    id: 'wardrobe-3',
-    name: 'Timber Wardrobe - L',
-    price: 2899,
-    description: 'Classic bi-fold wooden wardrobe with paneled detailing, crafted from natural hardwood.',
-    category: 'bedroom',
-    subCategory: 'wardrobe',
-    images: [
-      '/images/bdwimg.jpg',
-    ]
-  },
-
-  // Bedroom - Racks
-  {
-    id: 'rack-1',
-    name: 'Sleek Black Metal Clothing Rack - S',
-    price: 299,
-    description: 'Sleek black metal clothing rack on casters',
-    category: 'bedroom',
-    subCategory: 'rack',
-    images: [
-      '/images/clothrack.jpg',
-    ]
-  },
-  {
-    id: 'rack-2',
-    name: 'Sleek Black Metal Clothing Rack - M',
-    price: 499,
-    description: 'Sleek black metal clothing rack on casters',
-    category: 'bedroom',
-    subCategory: 'rack',
-    images: [
-      '/images/clothrack.jpg',
-    ]
-  },
-  {
-    id: 'rack-3',
-    name: 'Sleek Black Metal Clothing Rack - L',
-    price: 699,
-    description: 'Sleek black metal clothing rack on casters',
-    category: 'bedroom',
-    subCategory: 'rack',
-    images: [
-      '/images/clothrack.jpg',
-    ]
-  },
-
-  // Dining Room - Tables
-  {
-    id: 'dining-table-1',
-    name: 'Nordic Oak Dining Table - S',
-    price: 1699,
-    description: 'A sleek, rectangular dining table crafted from rich oak wood with a natural finish.',
-    category: 'dining',
-    subCategory: 'table',
-    images: [
-      '/images/dinningtable.jpeg',
-    ]
-  },
-  {
-    id: 'dining-table-2',
-    name: 'Nordic Oak Dining Table - M',
-    price: 1899,
-    description: 'A sleek, rectangular dining table crafted from rich oak wood with a natural finish.',
-    category: 'dining',
-    subCategory: 'table',
-    images: [
-      '/images/dinningtable.jpeg'
-    ]
-  },
-  {
-    id: 'dining-table-3',
-    name: 'Nordic Oak Dining Table - L',
-    price: 2299,
-    description: 'A sleek, rectangular dining table crafted from rich oak wood with a natural finish.',
-    category: 'dining',
-    subCategory: 'table',
-    images: [
-      '/images/dinningtable.jpeg'
-    ]
-  },
-
-  // Dining Room - Chairs
-  {
-    id: 'dining-chair-1',
-    name: 'Modern Dining Chair - S',
-    price: 299,
-    description: 'Elegant upholstered accent chair featuring a sculpted curved backrest and soft grey fabric.',
-    category: 'dining',
-    subCategory: 'chair',
-    images: [
-      '/images/chair.jpeg'
-    ]
-  },
-  {
-    id: 'dining-chair-2',
-    name: 'Modern Dining Chair - M',
-    price: 399,
-    description: 'Elegant upholstered accent chair featuring a sculpted curved backrest and soft grey fabric.',
-    category: 'dining',
-    subCategory: 'chair',
-    images: [
-      '/images/chair.jpeg'
-    ]
-  },
-  {
-    id: 'dining-chair-3',
-    name: 'Modern Dining Chair - L',
-    price: 499,
-    description: 'Elegant upholstered accent chair featuring a sculpted curved backrest and soft grey fabric.',
-    category: 'dining',
-    subCategory: 'chair',
-    images: [
-      '/images/chair.jpeg'
-    ]
-  },
-
-  // Dining Room - Cabinets
-  {
-    id: 'dining-cabinet-1',
-    name: 'China Cabinet',
-    price: 1499,
-    description: 'Clean-lined wooden sideboard with a minimalist silhouette.',
-    category: 'dining',
-    subCategory: 'cabinet',
-    images: [
-      '/images/livingRoomCabinet02.jpg'
-    ]
-  },
-  {
-    id: 'dining-cabinet-2',
-    name: 'Modern Buffet',
-    price: 1899,
-    description: 'Clean-lined wooden sideboard with a minimalist silhouette.',
-    category: 'dining',
-    subCategory: 'cabinet',
-    images: [
-      '/images/livingRoomCabinet02.jpg',
-    ]
-  },
-  {
-    id: 'dining-cabinet-3',
-    name: 'Server Console',
-    price: 2499,
-    description: 'Clean-lined wooden sideboard with a minimalist silhouette.',
-    category: 'dining',
-    subCategory: 'cabinet',
-    images: [
-      '/images/livingRoomCabinet02.jpg',
-    ]
-  }
-];
\ No newline at end of file
+// The store's products come from the catalogue shared with the design studio
+// (catalog/products.js), so the studio links and prices the same products
+export const products: Product[] = PRODUCTS;
@@ -0,0 +1,33 @@
+// Addresses of the apps the store links to. Each comes from, in order: the
+// runtime settings in public/config.js (window.LUXE_CONFIG, which can be
+// edited after a build), a VITE_* build variable, and the local dev server.
+
+export interface LuxeConfig {
+  studioUrl?: string;
+}
+
+declare global {
+  interface Window {
+    LUXE_CONFIG?: LuxeConfig;
+  }
+}
+
+export const DEFAULT_STUDIO_URL = 'http://localhost:3000';
+
+function readUrl(name: string, value: string) {
+  let url: URL;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new Error(`The ${name}'s address "${value}" is not a valid URL`);
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error(`The ${name}'s address "${value}" is not a web address`);
+  }
+  return url.href.replace(/\/+$/, '');
+}
+
+// The design studio's address without a trailing slash; throws when it is not a web address
+export function getStudioUrl() {
+  return readUrl('design studio', window.LUXE_CONFIG?.studioUrl || import.meta.env.VITE_STUDIO_URL || DEFAULT_STUDIO_URL);
+}
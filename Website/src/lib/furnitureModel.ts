@@ -0,0 +1,38 @@
+import * as THREE from 'three';
+import { FURNITURE_CATALOG, FurnitureShape, getFurnitureShapes, getProductItemFields } from 'luxe-catalog';
+import { Product } from '../types';
+
+// 3D models of the store's products. The furniture types, their sizes and
+// part finishes and the shapes they are built from come from the catalogue
+// shared with the design studio (catalog/), so the preview matches what
+// "Place in my room" puts in the studio.
+
+function buildMesh({ geometry, args, position }: FurnitureShape, material: THREE.Material) {
+  const shape = geometry === 'cylinder' ? new THREE.CylinderGeometry(...args) : new THREE.BoxGeometry(...args);
+  const mesh = new THREE.Mesh(shape, material);
+  mesh.position.set(...position);
+  mesh.castShadow = true;
+  mesh.receiveShadow = true;
+  return mesh;
+}
+
+// The product standing on the floor, centred on the origin, or null for products without a model
+export function buildProductModel(product: Product): THREE.Group | null {
+  const { type, size } = getProductItemFields(product);
+  const entry = FURNITURE_CATALOG.find((candidate) => candidate.type === type);
+  if (!entry) return null;
+  // One material per part, in its default finish, shared by the part's meshes
+  const materials = new Map(
+    entry.parts.map(({ name, color, roughness, metalness }) => [
+      name,
+      new THREE.MeshStandardMaterial({ color, roughness, metalness }),
+    ])
+  );
+  const model = new THREE.Group();
+  model.name = product.name;
+  getFurnitureShapes(entry.builder, entry.sizes[size]).forEach((shape) => {
+    const material = materials.get(shape.part);
+    if (material) model.add(buildMesh(shape, material));
+  });
+  return model.children.length > 0 ? model : null;
+}
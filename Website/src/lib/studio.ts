@@ -0,0 +1,53 @@
+import { Product } from '../types';
+import { products } from '../data/products';
+import { getStudioUrl } from './config';
+
+// What the studio opens with: a product placed in its room, a design saved
+// in its library, and the store page its "Back to Store" returns to
+export interface StudioLink {
+  productId?: string;
+  designId?: string;
+  returnPath?: string;
+}
+
+// Address of the studio for a deep link; throws when the studio's address is misconfigured
+export function getStudioLink({ productId, designId, returnPath }: StudioLink) {
+  const params = new URLSearchParams();
+  if (productId) params.set('product', productId);
+  if (designId) params.set('design', designId);
+  if (returnPath) params.set('return', returnPath);
+  const query = params.toString();
+  return `${getStudioUrl()}/${query ? `?${query}` : ''}`;
+}
+
+// The studio's address for a deep link, or why there is none
+export function resolveStudioLink(link: StudioLink): { href: string; error: null } | { href: null; error: string } {
+  try {
+    return { href: getStudioLink(link), error: null };
+  } catch (err) {
+    return { href: null, error: `The design studio cannot be opened: ${(err as Error).message}.` };
+  }
+}
+
+export interface DesignItems {
+  items: { product: Product; quantity: number }[];
+  // Entries for products the store does not sell, or with no valid quantity
+  skipped: string[];
+}
+
+// Reads the products a studio design sends to the cart ("Buy this room"),
+// given as "sofa-2:1,dining-chair-1:4" in the cart page's `items` parameter
+export function parseDesignItems(param: string): DesignItems {
+  const result: DesignItems = { items: [], skipped: [] };
+  param.split(',').filter(Boolean).forEach((entry) => {
+    const [id, count] = entry.split(':');
+    const quantity = Number(count ?? 1);
+    const product = products.find((candidate) => candidate.id === id);
+    if (!product || !Number.isInteger(quantity) || quantity < 1) {
+      result.skipped.push(entry);
+    } else {
+      result.items.push({ product, quantity });
+    }
+  });
+  return result;
+}
@@ -5,7 +5,7 @@ import { Users, ShoppingBag, MessageSquare } from 'lucide-react';
 
 export function Admin() {
   const navigate = useNavigate();
-  const { user } = useStore();
+  const { user, logout } = useStore();
 
   if (!user?.isAdmin) {
     navigate('/login');
@@ -24,7 +24,18 @@ export function Admin() {
 
   return (
     <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
-      <h1 className="text-4xl font-serif mb-8">Admin Dashboard</h1>
+      <div className="flex justify-between items-center mb-8">
+        <h1 className="text-4xl font-serif">Admin Dashboard</h1>
+        <button
+          onClick={() => {
+            logout();
+            navigate('/');
+          }}
+          className="px-6 py-3 bg-charcoal text-white font-semibold rounded-lg hover:bg-opacity-90 transition-colors"
+        >
+          Log out
+        </button>
+      </div>
       
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8 mb-12">
         <div className="bg-white p-6 rounded-lg shadow-md">
@@ -1,15 +1,57 @@
-import React from 'react';
-import { Link } from 'react-router-dom';
-import { useStore } from '../store/useStore';
+import { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { ownedBy, useStore } from '../store/useStore';
+import { parseDesignItems, resolveStudioLink } from '../lib/studio';
 import { Trash2, Plus, Minus } from 'lucide-react';
 
 export function Cart() {
-  const { cart, removeFromCart, updateQuantity } = useStore();
+  const { cart: allItems, user, addToCart, removeFromCart, updateQuantity } = useStore();
+  const cart = ownedBy(allItems, user);
   const total = cart.reduce((sum, item) => sum + (item.product.price * item.quantity), 0);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const designId = searchParams.get('design');
+  const designName = searchParams.get('name') || designId;
+  const [skipped, setSkipped] = useState<string[]>([]);
+  const handedOff = useRef(false);
+  // The studio's "Back to Store" returns here without the items, so they are not added twice
+  const returnPath = `/cart?${new URLSearchParams({ design: designId ?? '', name: designName ?? '' })}`;
+  const studio = designId ? resolveStudioLink({ designId, returnPath }) : null;
+
+  // "Buy this room" in the studio opens the cart as
+  // /cart?design=<id>&name=<name>&items=<id>:<quantity>,...
+  // The items are added once and dropped from the address, so a reload does
+  // not add them again; the design stays attached.
+  useEffect(() => {
+    const param = searchParams.get('items');
+    if (param === null || handedOff.current) return;
+    handedOff.current = true;
+    const { items, skipped } = parseDesignItems(param);
+    items.forEach(({ product, quantity }) => addToCart(product, quantity, designId ?? undefined));
+    setSkipped(skipped);
+    const next = new URLSearchParams(searchParams);
+    next.delete('items');
+    setSearchParams(next, { replace: true });
+  }, [searchParams, setSearchParams, addToCart, designId]);
 
   return (
     <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
       <h1 className="text-4xl font-serif mb-8">Shopping Cart</h1>
+      {designName && (
+        <p className="mb-4 text-gray-600">
+          Furniture from your design <span className="font-semibold">{designName}</span> is in your cart.
+          {studio?.href && (
+            <a href={studio.href} className="ml-2 underline hover:text-charcoal">
+              Back to your design
+            </a>
+          )}
+        </p>
+      )}
+      {studio?.error && <p className="mb-4 p-4 bg-red-50 text-red-700 rounded-lg">{studio.error}</p>}
+      {skipped.length > 0 && (
+        <p className="mb-4 p-4 bg-red-50 text-red-700 rounded-lg">
+          Some products in your design are not sold in the store and were not added: {skipped.join(', ')}
+        </p>
+      )}
       {cart.length === 0 ? (
         <div className="text-center py-12">
           <p className="text-gray-500 mb-6">Your cart is empty</p>
@@ -33,6 +75,9 @@ export function Cart() {
               <div className="flex-1">
                 <h3 className="text-xl font-serif mb-2">{item.product.name}</h3>
                 <p className="text-gray-600">${item.product.price.toLocaleString()}</p>
+                {item.designId && item.designId === designId && (
+                  <p className="text-sm text-gray-500">From {designName}</p>
+                )}
               </div>
               
               <div className="flex items-center gap-4">
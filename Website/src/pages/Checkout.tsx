@@ -1,10 +1,11 @@
 import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { useStore } from '../store/useStore';
+import { ownedBy, useStore } from '../store/useStore';
 
 export function Checkout() {
   const navigate = useNavigate();
-  const { cart, placeOrder } = useStore();
+  const { cart: allItems, user, placeOrder } = useStore();
+  const cart = ownedBy(allItems, user);
   const total = cart.reduce((sum, item) => sum + (item.product.price * item.quantity), 0);
   
   const [formData, setFormData] = useState({
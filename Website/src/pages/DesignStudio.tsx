@@ -1,14 +1,16 @@
-import React, { useState } from 'react';
-import { useParams } from 'react-router-dom';
+import { useRef, useState } from 'react';
+import { Link, useLocation, useParams } from 'react-router-dom';
 import { products } from '../data/products';
-import { Sun, Moon, Maximize2, Minimize2, RotateCcw } from 'lucide-react';
+import { Sun, Moon, ZoomIn, ZoomOut, RotateCcw, ArrowRight } from 'lucide-react';
+import { Lighting, ProductViewer, ProductViewerHandle } from '../components/ProductViewer';
+import { resolveStudioLink } from '../lib/studio';
 
 export function DesignStudio() {
   const { productId } = useParams();
+  const location = useLocation();
   const product = products.find(p => p.id === productId);
-  const [lighting, setLighting] = useState<'day' | 'night'>('day');
-  const [zoom, setZoom] = useState<'in' | 'out'>('out');
-  const [rotation, setRotation] = useState(0);
+  const [lighting, setLighting] = useState<Lighting>('day');
+  const viewer = useRef<ProductViewerHandle>(null);
 
   if (!product) {
     return (
@@ -18,28 +20,27 @@ export function DesignStudio() {
     );
   }
 
+  const studio = resolveStudioLink({ productId: product.id, returnPath: location.pathname });
+
   return (
     <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
       <h1 className="text-4xl font-serif mb-8">Design Studio</h1>
       
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
         <div className="lg:col-span-2">
-          <div className={`relative aspect-video rounded-lg overflow-hidden ${
-            lighting === 'night' ? 'bg-gray-900' : 'bg-gray-100'
-          }`}>
-            <img
-              src={product.images[0]}
-              alt={product.name}
-              className={`w-full h-full object-contain transition-all duration-300 ${
-                zoom === 'in' ? 'scale-150' : 'scale-100'
-              }`}
-              style={{ transform: `rotate(${rotation}deg)` }}
-            />
+          <div className="relative aspect-video rounded-lg overflow-hidden bg-gray-100">
+            <ProductViewer ref={viewer} product={product} lighting={lighting} />
           </div>
+          <p className="text-sm text-gray-500 mt-2">
+            Drag to turn around the {product.name}, scroll or pinch to zoom.
+          </p>
         </div>
         
         <div className="bg-white p-6 rounded-lg shadow-md">
-          <h2 className="text-2xl font-serif mb-6">{product.name}</h2>
+          <h2 className="text-2xl font-serif mb-2">{product.name}</h2>
+          <p className="text-xl font-semibold text-charcoal mb-6">
+            ${product.price.toLocaleString()}
+          </p>
           
           <div className="space-y-8">
             <div>
@@ -71,63 +72,58 @@ export function DesignStudio() {
             </div>
 
             <div>
-              <h3 className="text-lg font-semibold mb-4">Zoom</h3>
+              <h3 className="text-lg font-semibold mb-4">View</h3>
               <div className="flex gap-4">
                 <button
-                  onClick={() => setZoom('in')}
-                  className={`flex-1 py-3 px-4 rounded-lg flex items-center justify-center gap-2 ${
-                    zoom === 'in'
-                      ? 'bg-gold text-black'
-                      : 'bg-gray-100 text-gray-600'
-                  }`}
+                  onClick={() => viewer.current?.zoom(0.8)}
+                  className="flex-1 py-3 px-4 rounded-lg flex items-center justify-center gap-2 bg-gray-100 text-gray-600 hover:bg-gray-200"
                 >
-                  <Maximize2 className="w-5 h-5" />
+                  <ZoomIn className="w-5 h-5" />
                   Zoom In
                 </button>
                 <button
-                  onClick={() => setZoom('out')}
-                  className={`flex-1 py-3 px-4 rounded-lg flex items-center justify-center gap-2 ${
-                    zoom === 'out'
-                      ? 'bg-gold text-black'
-                      : 'bg-gray-100 text-gray-600'
-                  }`}
+                  onClick={() => viewer.current?.zoom(1.25)}
+                  className="flex-1 py-3 px-4 rounded-lg flex items-center justify-center gap-2 bg-gray-100 text-gray-600 hover:bg-gray-200"
                 >
-                  <Minimize2 className="w-5 h-5" />
+                  <ZoomOut className="w-5 h-5" />
                   Zoom Out
                 </button>
-              </div>
-            </div>
-
-            <div>
-              <h3 className="text-lg font-semibold mb-4">Rotation</h3>
-              <div className="flex items-center gap-4">
-                <input
-                  type="range"
-                  min="0"
-                  max="360"
-                  value={rotation}
-                  onChange={(e) => setRotation(parseInt(e.target.value))}
-                  className="flex-1"
-                />
                 <button
-                  onClick={() => setRotation(0)}
-                  className="p-2 rounded-lg bg-gray-100 text-gray-600 hover:bg-gray-200"
+                  onClick={() => viewer.current?.resetView()}
+                  title="Reset view"
+                  className="p-3 rounded-lg bg-gray-100 text-gray-600 hover:bg-gray-200"
                 >
                   <RotateCcw className="w-5 h-5" />
                 </button>
               </div>
             </div>
 
-            <div className="pt-4 border-t">
+            <div className="pt-4 border-t space-y-4">
+              {studio.href ? (
+                <a
+                  href={studio.href}
+                  className="w-full flex items-center justify-center px-8 py-4 bg-charcoal text-white font-semibold rounded-lg hover:bg-opacity-90 transition-colors"
+                >
+                  Place in my room
+                  <ArrowRight className="w-5 h-5 ml-2" />
+                </a>
+              ) : (
+                <p className="p-4 bg-red-50 text-red-700 rounded-lg">{studio.error}</p>
+              )}
               <p className="text-sm text-gray-600">
-                Note: This is a basic visualization. In a production environment,
-                this would include more advanced features like room customization,
-                material selection, and AR viewing.
+                Opens the full design studio with the {product.name} in a room, ready to move, resize
+                and combine with more furniture.
               </p>
+              <Link
+                to={`/product/${product.id}`}
+                className="block text-center text-sm text-gray-600 hover:text-charcoal"
+              >
+                Back to product
+              </Link>
             </div>
           </div>
         </div>
       </div>
     </div>
   );
-}
\ No newline at end of file
+}
@@ -0,0 +1,21 @@
+import { Link, useLocation } from 'react-router-dom';
+
+// Shown for addresses the store has no page for, such as a broken link from the design studio
+export function NotFound() {
+  const location = useLocation();
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12 text-center">
+      <h1 className="text-4xl font-serif mb-4">Page not found</h1>
+      <p className="text-gray-500 mb-6">
+        There is no page at <span className="font-mono">{location.pathname}</span>.
+      </p>
+      <Link
+        to="/"
+        className="inline-flex items-center px-6 py-3 bg-charcoal text-white font-semibold rounded-lg hover:bg-opacity-90 transition-colors"
+      >
+        Continue Shopping
+      </Link>
+    </div>
+  );
+}
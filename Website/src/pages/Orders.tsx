@@ -1,8 +1,9 @@
 import React from 'react';
-import { useStore } from '../store/useStore';
+import { ownedBy, useStore } from '../store/useStore';
 
 export function Orders() {
-  const { orders } = useStore();
+  const { orders: allOrders, user } = useStore();
+  const orders = ownedBy(allOrders, user);
 
   return (
     <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-12">
@@ -0,0 +1,78 @@
+import { CartItem, Order, User } from '../types';
+
+// How the store's state is kept in localStorage between visits. The stored
+// state has a version; when its shape changes, bump STORAGE_VERSION and add
+// a migration from the previous version to MIGRATIONS.
+
+export const STORAGE_KEY = 'luxe-store';
+export const STORAGE_VERSION = 1;
+
+export interface PersistedData {
+  cart: CartItem[];
+  orders: Order[];
+  user: User | null;
+}
+
+// Dates are stored as ISO strings, which JSON keeps as they are
+export interface StoredOrder extends Omit<Order, 'createdAt' | 'updatedAt'> {
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface StoredState {
+  cart: CartItem[];
+  orders: StoredOrder[];
+  user: User | null;
+}
+
+// Migrations keyed by the version they upgrade from; each takes the stored
+// state of version N and returns that of version N + 1
+const MIGRATIONS: Record<number, (state: unknown) => unknown> = {
+  // v1: the first versioned shape; state stored before it is not trusted
+  0: () => ({ cart: [], orders: [], user: null }),
+};
+
+export function toStoredState({ cart, orders, user }: PersistedData): StoredState {
+  return {
+    cart,
+    orders: orders.map((order) => ({
+      ...order,
+      createdAt: order.createdAt.toISOString(),
+      updatedAt: order.updatedAt.toISOString(),
+    })),
+    user,
+  };
+}
+
+// Reads stored state back, leaving out anything that is not the shape it should be
+export function fromStoredState(stored: unknown): PersistedData | null {
+  if (!stored || typeof stored !== 'object') return null;
+  const { cart, orders, user } = stored as Partial<StoredState>;
+  return {
+    cart: Array.isArray(cart) ? cart.filter((item) => item?.product?.id && item.quantity > 0) : [],
+    orders: Array.isArray(orders)
+      ? orders
+          .map((order) => ({ ...order, createdAt: new Date(order.createdAt), updatedAt: new Date(order.updatedAt) }))
+          .filter((order) => !isNaN(order.createdAt.getTime()) && !isNaN(order.updatedAt.getTime()))
+      : [],
+    user: user && typeof user.id === 'string' ? user : null,
+  };
+}
+
+// Upgrades stored state to STORAGE_VERSION, one version at a time
+export function migrateStoredState(stored: unknown, version: number): StoredState {
+  if (version > STORAGE_VERSION) {
+    throw new Error(
+      `Saved store data is from a newer version of the site (v${version}, this is v${STORAGE_VERSION})`
+    );
+  }
+  let migrated = stored;
+  for (let from = version; from < STORAGE_VERSION; from++) {
+    const migrate = MIGRATIONS[from];
+    if (!migrate) {
+      throw new Error(`No migration from store data version ${from}`);
+    }
+    migrated = migrate(migrated);
+  }
+  return migrated as StoredState;
+}
@@ -1,62 +1,120 @@
 import { create } from 'zustand';
+import { PersistStorage, createJSONStorage, persist } from 'zustand/middleware';
 import { CartItem, Product, User, Order } from '../types';
+import {
+  STORAGE_KEY,
+  STORAGE_VERSION,
+  StoredState,
+  fromStoredState,
+  migrateStoredState,
+  toStoredState,
+} from './storage';
 
 interface Store {
   cart: CartItem[];
   orders: Order[];
   user: User | null;
-  addToCart: (product: Product) => void;
+  addToCart: (product: Product, quantity?: number, designId?: string) => void;
   removeFromCart: (productId: string) => void;
   updateQuantity: (productId: string, quantity: number) => void;
   setUser: (user: User | null) => void;
+  logout: () => void;
   placeOrder: () => void;
 }
 
-export const useStore = create<Store>((set) => ({
+// Saved data that could not be read, e.g. from a newer version of the site,
+// is left as it is: nothing is written until a later read succeeds
+let canWrite = true;
+const jsonStorage = createJSONStorage<StoredState>(() => localStorage);
+const storage: PersistStorage<StoredState> | undefined = jsonStorage && {
+  ...jsonStorage,
+  setItem: (name, value) => (canWrite ? jsonStorage.setItem(name, value) : undefined),
+};
+
+// Cart items and orders belong to the user logged in when they were added or
+// placed, and a guest's to no one. Each user sees only their own, and logging
+// out removes the user's.
+const isOwnedBy = (entry: { userId?: string }, user: User | null) => entry.userId === user?.id;
+
+export function ownedBy<T extends { userId?: string }>(entries: T[], user: User | null): T[] {
+  return entries.filter((entry) => isOwnedBy(entry, user));
+}
+
+// The cart, orders and user are kept in localStorage (see storage.ts), so
+// they survive a reload and are shared by every open tab
+export const useStore = create<Store>()(persist((set) => ({
   cart: [],
   orders: [],
   user: null,
-  addToCart: (product) =>
+  addToCart: (product, quantity = 1, designId) =>
     set((state) => {
-      const existingItem = state.cart.find((item) => item.product.id === product.id);
-      if (existingItem) {
+      const isItem = (item: CartItem) => item.product.id === product.id && isOwnedBy(item, state.user);
+      if (state.cart.some(isItem)) {
         return {
           cart: state.cart.map((item) =>
-            item.product.id === product.id
-              ? { ...item, quantity: item.quantity + 1 }
+            isItem(item)
+              ? { ...item, quantity: item.quantity + quantity, designId: designId ?? item.designId }
               : item
           ),
         };
       }
-      return { cart: [...state.cart, { product, quantity: 1, status: 'pending' }] };
+      return {
+        cart: [...state.cart, { product, quantity, status: 'pending', designId, userId: state.user?.id }],
+      };
     }),
   removeFromCart: (productId) =>
     set((state) => ({
-      cart: state.cart.filter((item) => item.product.id !== productId),
+      cart: state.cart.filter((item) => item.product.id !== productId || !isOwnedBy(item, state.user)),
     })),
   updateQuantity: (productId, quantity) =>
     set((state) => ({
       cart: quantity === 0
-        ? state.cart.filter((item) => item.product.id !== productId)
+        ? state.cart.filter((item) => item.product.id !== productId || !isOwnedBy(item, state.user))
         : state.cart.map((item) =>
-            item.product.id === productId ? { ...item, quantity } : item
+            item.product.id === productId && isOwnedBy(item, state.user) ? { ...item, quantity } : item
           ),
     })),
   setUser: (user) => set({ user }),
+  logout: () =>
+    set((state) => ({
+      user: null,
+      cart: state.cart.filter((item) => !isOwnedBy(item, state.user)),
+      orders: state.orders.filter((order) => !isOwnedBy(order, state.user)),
+    })),
   placeOrder: () =>
     set((state) => {
+      const cart = ownedBy(state.cart, state.user);
       const newOrder: Order = {
         id: Math.random().toString(36).substr(2, 9),
-        items: state.cart.map(item => ({ ...item, status: 'processing' })),
-        total: state.cart.reduce((sum, item) => sum + (item.product.price * item.quantity), 0),
+        items: cart.map(item => ({ ...item, status: 'processing' })),
+        total: cart.reduce((sum, item) => sum + (item.product.price * item.quantity), 0),
         status: 'processing',
         createdAt: new Date(),
-        updatedAt: new Date()
+        updatedAt: new Date(),
+        userId: state.user?.id,
       };
       
       return {
         orders: [...state.orders, newOrder],
-        cart: [] // Clear the cart after order is placed
+        // Clear the user's cart after order is placed
+        cart: state.cart.filter((item) => !isOwnedBy(item, state.user)),
       };
     }),
-}));
\ No newline at end of file
+}), {
+  name: STORAGE_KEY,
+  version: STORAGE_VERSION,
+  storage,
+  partialize: (state): StoredState => toStoredState(state),
+  migrate: migrateStoredState,
+  // With nothing saved, e.g. after another tab cleared it, the store starts afresh
+  merge: (stored, current) => ({ ...current, ...(fromStoredState(stored) ?? { user: null, cart: [], orders: [] }) }),
+  onRehydrateStorage: () => (_, error) => {
+    canWrite = !error;
+  },
+}));
+
+// Another tab changed or cleared the saved state: read it again. Reading
+// does not write it back, so a cleared key stays cleared.
+window.addEventListener('storage', (event) => {
+  if (event.key === STORAGE_KEY) void useStore.persist.rehydrate();
+});
\ No newline at end of file
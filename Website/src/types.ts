@@ -12,6 +12,10 @@ export interface CartItem {
   product: Product;
   quantity: number;
   status?: 'pending' | 'processing' | 'shipped' | 'delivered';
+  // The studio design the item was bought from
+  designId?: string;
+  // The user who added the item; unset for a guest
+  userId?: string;
 }
 
 export interface User {
@@ -27,4 +31,6 @@ export interface Order {
   status: 'pending' | 'processing' | 'shipped' | 'delivered';
   createdAt: Date;
   updatedAt: Date;
+  // The user who placed the order; unset for a guest
+  userId?: string;
 }
\ No newline at end of file
@@ -1 +1,6 @@
 /// <reference types="vite/client" />
+
+interface ImportMetaEnv {
+  // Address of the 3D design studio, e.g. https://studio.example.com
+  readonly VITE_STUDIO_URL?: string;
+}
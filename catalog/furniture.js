@@ -0,0 +1,161 @@
+/* Furniture:
+   - The built-in furniture types of the design studio, which the store's 3D
+     previews are built from too. Each entry names the type, the category
+     it is browsed under, words it can be searched by, its size variants
+     and the limits of custom sizes (metres), the shapes that build it
+     (`builder`, see shapes.js) and its parts with their default finish.
+   - `productLine` is the LUXE store line the type is sold as, if any:
+     products "<line>-1" to "<line>-3" from small to large.
+   - Adding a type takes a new entry here and its builder in shapes.js.
+*/
+export const FURNITURE_CATALOG = [
+  {
+    type: "Sofa",
+    category: "Living room",
+    keywords: ["couch", "settee", "seating"],
+    builder: "Sofa",
+    productLine: "sofa",
+    sizes: {
+      Small: { width: 1.6, depth: 0.8, height: 0.9 },
+      Medium: { width: 2.2, depth: 1.0, height: 1.0 },
+      Large: { width: 2.8, depth: 1.2, height: 1.0 }
+    },
+    limits: { width: [1.2, 4], depth: [0.7, 1.6], height: [0.7, 1.2] },
+    parts: [
+      { name: "upholstery", label: "Upholstery", color: "#6b7b8c", roughness: 0.9, metalness: 0 },
+      { name: "base", label: "Base", color: "#4A4A4A", roughness: 0.8, metalness: 0.1 }
+    ]
+  },
+  {
+    type: "Table",
+    category: "Dining",
+    keywords: ["desk", "dining table"],
+    builder: "Table",
+    productLine: "dining-table",
+    sizes: {
+      Small: { width: 1.2, depth: 0.6, height: 0.7 },
+      Medium: { width: 1.6, depth: 0.8, height: 0.73 },
+      Large: { width: 2.0, depth: 1.0, height: 0.75 }
+    },
+    limits: { width: [0.6, 3.6], depth: [0.5, 1.4], height: [0.45, 1.1] },
+    parts: [
+      { name: "top", label: "Top", color: "#a0522d", roughness: 0.6, metalness: 0.1 },
+      { name: "legs", label: "Legs", color: "#A0A0A0", roughness: 0.2, metalness: 0.8 }
+    ]
+  },
+  {
+    type: "Chair",
+    category: "Dining",
+    keywords: ["seat", "seating", "dining chair"],
+    builder: "Chair",
+    productLine: "dining-chair",
+    sizes: {
+      Small: { width: 0.5, depth: 0.5, height: 0.8 },
+      Medium: { width: 0.6, depth: 0.6, height: 0.9 },
+      Large: { width: 0.7, depth: 0.7, height: 1.0 }
+    },
+    limits: { width: [0.4, 1], depth: [0.4, 1], height: [0.6, 1.3] },
+    parts: [
+      { name: "upholstery", label: "Seat and back", color: "#8b4513", roughness: 0.7, metalness: 0.1 },
+      { name: "legs", label: "Legs", color: "#A0A0A0", roughness: 0.2, metalness: 0.8 }
+    ]
+  },
+  {
+    type: "Bed",
+    category: "Bedroom",
+    keywords: ["single", "double", "king"],
+    builder: "Bed",
+    productLine: "bed",
+    sizes: {
+      Small: { width: 1.4, depth: 1.9, height: 0.5 }, // Single bed
+      Medium: { width: 1.6, depth: 2.0, height: 0.5 }, // Double bed
+      Large: { width: 2.1, depth: 2.4, height: 0.5 } // King size bed
+    },
+    limits: { width: [0.9, 2.4], depth: [1.8, 2.4], height: [0.3, 0.8] },
+    parts: [
+      { name: "mattress", label: "Mattress", color: "#d9d4c7", roughness: 0.9, metalness: 0 },
+      { name: "frame", label: "Frame", color: "#8B4513", roughness: 0.8, metalness: 0.1 },
+      { name: "pillows", label: "Pillows", color: "#FFFFFF", roughness: 0.9, metalness: 0 }
+    ]
+  },
+  {
+    type: "Wardrobes",
+    category: "Bedroom",
+    keywords: ["closet", "armoire", "wardrobe"],
+    builder: "Wardrobes",
+    productLine: "wardrobe",
+    sizes: {
+      Small: { width: 1.6, depth: 0.5, height: 2.4 },
+      Medium: { width: 2.0, depth: 0.6, height: 3.0 },
+      Large: { width: 2.4, depth: 0.7, height: 3.2 }
+    },
+    limits: { width: [0.8, 4], depth: [0.45, 0.8], height: [1.8, 3.2] },
+    parts: [
+      { name: "body", label: "Body and doors", color: "#c8a27a", roughness: 0.6, metalness: 0.1 },
+      { name: "handles", label: "Handles", color: "#C0C0C0", roughness: 0.2, metalness: 0.8 }
+    ]
+  },
+  {
+    type: "Cabinet",
+    category: "Storage",
+    keywords: ["cupboard", "sideboard"],
+    builder: "Cabinet",
+    productLine: "cabinet",
+    sizes: {
+      Small: { width: 0.8, depth: 0.4, height: 1.6 },
+      Medium: { width: 1.0, depth: 0.5, height: 2.0 },
+      Large: { width: 1.2, depth: 0.6, height: 2.4 }
+    },
+    limits: { width: [0.4, 2.4], depth: [0.3, 0.8], height: [0.6, 2.4] },
+    parts: [
+      { name: "body", label: "Body and doors", color: "#b5835a", roughness: 0.6, metalness: 0.1 },
+      { name: "handles", label: "Handles", color: "#C0C0C0", roughness: 0.2, metalness: 0.8 }
+    ]
+  },
+  {
+    type: "Rack",
+    category: "Storage",
+    keywords: ["shelves", "shelving", "clothing rack"],
+    builder: "Rack",
+    productLine: "rack",
+    sizes: {
+      Small: { width: 1.2, depth: 0.3, height: 1.2 },
+      Medium: { width: 1.8, depth: 0.4, height: 1.6 },
+      Large: { width: 2.4, depth: 0.5, height: 2.0 }
+    },
+    limits: { width: [0.6, 3], depth: [0.25, 0.6], height: [0.8, 2.4] },
+    parts: [
+      { name: "shelves", label: "Shelves", color: "#deb887", roughness: 0.6, metalness: 0.1 },
+      { name: "frame", label: "Frame", color: "#2F4F4F", roughness: 0.5, metalness: 0.5 }
+    ]
+  }
+];
+
+/* Size presets by type, e.g. FURNITURE_SIZES.Sofa.Large */
+export const FURNITURE_SIZES = Object.fromEntries(FURNITURE_CATALOG.map(({ type, sizes }) => [type, sizes]));
+
+/* ----- Parametric details of the built-in types, from their dimensions ----- */
+
+export function getSeatHeight({ height }) {
+  return Math.min(0.55, Math.max(0.35, height / 2));
+}
+
+// About 60 cm per cushion, between the 20 cm of arms
+export function getCushionCount({ width }) {
+  return Math.max(1, Math.round((width - 0.4) / 0.6));
+}
+
+// Doors at least 60 cm wide
+export function getDoorCount({ width }) {
+  return Math.max(1, Math.floor(width / 0.6 + 1e-6));
+}
+
+// Top and bottom shelves, and more about every 50 cm
+export function getShelfCount({ height }) {
+  return Math.max(2, Math.round(height / 0.5));
+}
+
+// One pillow for a single bed, two for a double, three for a king
+export function getPillowCount({ width }) {
+  return width < 1.5 ? 1 : width < 2 ? 2 : 3;
+}
@@ -0,0 +1,67 @@
+// Types of the shared LUXE catalogue (index.js)
+
+export interface CatalogProduct {
+  id: string;
+  name: string;
+  price: number;
+  description: string;
+  category: string;
+  subCategory: string;
+  images: string[];
+}
+
+export type FurnitureSize = 'Small' | 'Medium' | 'Large';
+
+export interface Dimensions {
+  width: number;
+  depth: number;
+  height: number;
+}
+
+export interface FurniturePart {
+  name: string;
+  label: string;
+  color: string;
+  roughness: number;
+  metalness: number;
+}
+
+export interface FurnitureType {
+  type: string;
+  category: string;
+  keywords: string[];
+  builder: string;
+  productLine?: string;
+  sizes: Record<FurnitureSize, Dimensions>;
+  limits: Record<keyof Dimensions, [number, number]>;
+  parts: FurniturePart[];
+}
+
+export interface FurnitureShape {
+  part: string;
+  geometry: 'box' | 'cylinder';
+  args: [number, number, number];
+  position: [number, number, number];
+}
+
+export const FURNITURE_CATALOG: FurnitureType[];
+export const FURNITURE_SIZES: Record<string, Record<FurnitureSize, Dimensions>>;
+
+export function getSeatHeight(dims: Dimensions): number;
+export function getCushionCount(dims: Dimensions): number;
+export function getDoorCount(dims: Dimensions): number;
+export function getShelfCount(dims: Dimensions): number;
+export function getPillowCount(dims: Dimensions): number;
+
+export function getFurnitureShapes(builder: string, dims: Dimensions): FurnitureShape[];
+
+export const PRODUCTS: CatalogProduct[];
+
+export function getProductType(product: CatalogProduct): string | undefined;
+export function getProductSize(product: CatalogProduct): FurnitureSize;
+export function getProductRange(product: CatalogProduct): string | null;
+export function getProductItemFields(product: CatalogProduct): {
+  type: string | undefined;
+  size: FurnitureSize;
+  productId: string;
+};
@@ -0,0 +1,11 @@
+/* LUXE Catalog:
+   - Data and functions shared by the store website and the 3D design
+     studio, which both depend on this package (file:../catalog): the
+     built-in furniture types and the shapes they are built from, and the
+     store's products.
+   - Plain JavaScript that imports nothing from outside the package, so
+     each app builds it as it is; index.d.ts types it for the website.
+*/
+export * from "./furniture";
+export * from "./products";
+export * from "./shapes";
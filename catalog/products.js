@@ -0,0 +1,362 @@
+/* LUXE Products:
+   - The products of the LUXE store. The store shows and sells them; the
+     design studio links furniture to them and prices designs with them.
+   - A product is placed in the studio as the type of its subcategory. Most
+     come in S, M and L (names ending " - S", " - M" and " - L"), matching
+     the studio's Small, Medium and Large; the rest come in one size.
+   - `images` are paths on the store's site (Website/public/images).
+*/
+export const PRODUCTS = [
+  // Living Room - Sofas
+  {
+    id: "sofa-1",
+    name: "Luxe Leather Sofa - S",
+    price: 2999,
+    description: "Premium Italian leather sofa with solid wood frame and elegant design.",
+    category: "living-room",
+    subCategory: "sofa",
+    images: [
+      "/images/livingroomSofa02.jpg"
+    ]
+  },
+  {
+    id: "sofa-2",
+    name: "Luxe Leather Sofa - M",
+    price: 3499,
+    description: "Premium Italian leather sofa with solid wood frame and elegant design.",
+    category: "living-room",
+    subCategory: "sofa",
+    images: [
+      "/images/livingroomSofa02.jpg"
+    ]
+  },
+  {
+    id: "sofa-3",
+    name: "Luxe Leather Sofa - L",
+    price: 4299,
+    description: "Premium Italian leather sofa with solid wood frame and elegant design.",
+    category: "living-room",
+    subCategory: "sofa",
+    images: [
+      "/images/livingroomSofa02.jpg"
+    ]
+  },
+  
+  // Living Room - Tables
+  {
+    id: "living-table-1",
+    name: "Modern Coffee Table - S",
+    price: 599,
+    description: "Sleek marble-top coffee table with brass-finished base.",
+    category: "living-room",
+    subCategory: "table",
+    images: [
+      "/images/livingroomTable03.jpg"
+    ]
+  },
+  {
+    id: "living-table-2",
+    name: "Modern Coffee Table - M",
+    price: 899,
+    description: "Sleek marble-top coffee table with brass-finished base.",
+    category: "living-room",
+    subCategory: "table",
+    images: [
+      "/images/livingroomTable03.jpg"
+    ]
+  },
+  {
+    id: "living-table-3",
+    name: "Modern Coffee Table - L",
+    price: 1299,
+    description: "Sleek marble-top coffee table with brass-finished base.",
+    category: "living-room",
+    subCategory: "table",
+    images: [
+      "/images/livingroomTable03.jpg"
+    ]
+  },
+
+  // Living Room - Cabinets
+  {
+    id: "cabinet-1",
+    name: "Rattan Accent Cabinet - S",
+    price: 1699,
+    description: "Boho-style storage cabinet with woven doors ideal for living rooms or entryways.",
+    category: "living-room",
+    subCategory: "cabinet",
+    images: [
+      "/images/livingroomCabinet03.jpg"
+    ]
+  },
+  {
+    id: "cabinet-2",
+    name: "Rattan Accent Cabinet - M",
+    price: 1899,
+    description: "Boho-style storage cabinet with woven doors ideal for living rooms or entryways.",
+    category: "living-room",
+    subCategory: "cabinet",
+    images: [
+      "/images/livingroomCabinet03.jpg"
+    ]
+  },
+  {
+    id: "cabinet-3",
+    name: "Rattan Accent Cabinet - L",
+    price: 2199,
+    description: "Boho-style storage cabinet with woven doors ideal for living rooms or entryways.",
+    category: "living-room",
+    subCategory: "cabinet",
+    images: [
+      "/images/livingroomCabinet03.jpg"
+    ]
+  },
+
+  // Bedroom - Beds
+  {
+    id: "bed-1",
+    name: "Scandinavian Serenity Bed - S",
+    price: 1899,
+    description: "Minimalist platform bed crafted from natural oak wood, paired with soft neutral bedding.",
+    category: "bedroom",
+    subCategory: "bed",
+    images: [
+      "/images/bed01.jpg"
+    ]
+  },
+  {
+    id: "bed-2",
+    name: "Scandinavian Serenity Bed - M",
+    price: 2499,
+    description: "Minimalist platform bed crafted from natural oak wood, paired with soft neutral bedding.",
+    category: "bedroom",
+    subCategory: "bed",
+    images: [
+      "/images/bed01.jpg"
+    ]
+  },
+  {
+    id: "bed-3",
+    name: "Scandinavian Serenity Bed - L",
+    price: 3299,
+    description: "Minimalist platform bed crafted from natural oak wood, paired with soft neutral bedding.",
+    category: "bedroom",
+    subCategory: "bed",
+    images: [
+      "/images/bed01.jpg"
+    ]
+  },
+
+  // Bedroom - Wardrobes
+  {
+    id: "wardrobe-1",
+    name: "Timber Wardrobe - S",
+    price: 1899,
+    description: "Classic bi-fold wooden wardrobe with paneled detailing, crafted from natural hardwood.",
+    category: "bedroom",
+    subCategory: "wardrobe",
+    images: [
+      "/images/bdwimg.jpg"
+    ]
+  },
+  {
+    id: "wardrobe-2",
+    name: "Timber Wardrobe - M",
+    price: 2399,
+    description: "Classic bi-fold wooden wardrobe with paneled detailing, crafted from natural hardwood.",
+    category: "bedroom",
+    subCategory: "wardrobe",
+    images: [
+      "/images/bdwimg.jpg"
+    ]
+  },
+  {
+    id: "wardrobe-3",
+    name: "Timber Wardrobe - L",
+    price: 2899,
+    description: "Classic bi-fold wooden wardrobe with paneled detailing, crafted from natural hardwood.",
+    category: "bedroom",
+    subCategory: "wardrobe",
+    images: [
+      "/images/bdwimg.jpg",
+    ]
+  },
+
+  // Bedroom - Racks
+  {
+    id: "rack-1",
+    name: "Sleek Black Metal Clothing Rack - S",
+    price: 299,
+    description: "Sleek black metal clothing rack on casters",
+    category: "bedroom",
+    subCategory: "rack",
+    images: [
+      "/images/clothrack.jpg",
+    ]
+  },
+  {
+    id: "rack-2",
+    name: "Sleek Black Metal Clothing Rack - M",
+    price: 499,
+    description: "Sleek black metal clothing rack on casters",
+    category: "bedroom",
+    subCategory: "rack",
+    images: [
+      "/images/clothrack.jpg",
+    ]
+  },
+  {
+    id: "rack-3",
+    name: "Sleek Black Metal Clothing Rack - L",
+    price: 699,
+    description: "Sleek black metal clothing rack on casters",
+    category: "bedroom",
+    subCategory: "rack",
+    images: [
+      "/images/clothrack.jpg",
+    ]
+  },
+
+  // Dining Room - Tables
+  {
+    id: "dining-table-1",
+    name: "Nordic Oak Dining Table - S",
+    price: 1699,
+    description: "A sleek, rectangular dining table crafted from rich oak wood with a natural finish.",
+    category: "dining",
+    subCategory: "table",
+    images: [
+      "/images/dinningtable.jpeg",
+    ]
+  },
+  {
+    id: "dining-table-2",
+    name: "Nordic Oak Dining Table - M",
+    price: 1899,
+    description: "A sleek, rectangular dining table crafted from rich oak wood with a natural finish.",
+    category: "dining",
+    subCategory: "table",
+    images: [
+      "/images/dinningtable.jpeg"
+    ]
+  },
+  {
+    id: "dining-table-3",
+    name: "Nordic Oak Dining Table - L",
+    price: 2299,
+    description: "A sleek, rectangular dining table crafted from rich oak wood with a natural finish.",
+    category: "dining",
+    subCategory: "table",
+    images: [
+      "/images/dinningtable.jpeg"
+    ]
+  },
+
+  // Dining Room - Chairs
+  {
+    id: "dining-chair-1",
+    name: "Modern Dining Chair - S",
+    price: 299,
+    description: "Elegant upholstered accent chair featuring a sculpted curved backrest and soft grey fabric.",
+    category: "dining",
+    subCategory: "chair",
+    images: [
+      "/images/chair.jpeg"
+    ]
+  },
+  {
+    id: "dining-chair-2",
+    name: "Modern Dining Chair - M",
+    price: 399,
+    description: "Elegant upholstered accent chair featuring a sculpted curved backrest and soft grey fabric.",
+    category: "dining",
+    subCategory: "chair",
+    images: [
+      "/images/chair.jpeg"
+    ]
+  },
+  {
+    id: "dining-chair-3",
+    name: "Modern Dining Chair - L",
+    price: 499,
+    description: "Elegant upholstered accent chair featuring a sculpted curved backrest and soft grey fabric.",
+    category: "dining",
+    subCategory: "chair",
+    images: [
+      "/images/chair.jpeg"
+    ]
+  },
+
+  // Dining Room - Cabinets
+  {
+    id: "dining-cabinet-1",
+    name: "China Cabinet",
+    price: 1499,
+    description: "Clean-lined wooden sideboard with a minimalist silhouette.",
+    category: "dining",
+    subCategory: "cabinet",
+    images: [
+      "/images/livingRoomCabinet02.jpg"
+    ]
+  },
+  {
+    id: "dining-cabinet-2",
+    name: "Modern Buffet",
+    price: 1899,
+    description: "Clean-lined wooden sideboard with a minimalist silhouette.",
+    category: "dining",
+    subCategory: "cabinet",
+    images: [
+      "/images/livingRoomCabinet02.jpg",
+    ]
+  },
+  {
+    id: "dining-cabinet-3",
+    name: "Server Console",
+    price: 2499,
+    description: "Clean-lined wooden sideboard with a minimalist silhouette.",
+    category: "dining",
+    subCategory: "cabinet",
+    images: [
+      "/images/livingRoomCabinet02.jpg",
+    ]
+  }
+];
+
+// Studio type of each store subcategory
+const SUBCATEGORY_TYPES = {
+  sofa: "Sofa",
+  table: "Table",
+  chair: "Chair",
+  bed: "Bed",
+  wardrobe: "Wardrobes",
+  cabinet: "Cabinet",
+  rack: "Rack"
+};
+
+const SIZE_LETTERS = { S: "Small", M: "Medium", L: "Large" };
+const SIZED_NAME = /^(.*) - ([SML])$/;
+
+/* The studio type a product is placed as */
+export function getProductType(product) {
+  return SUBCATEGORY_TYPES[product.subCategory];
+}
+
+/* The studio size a product is placed in; Medium for products sold in one size */
+export function getProductSize(product) {
+  const sized = SIZED_NAME.exec(product.name);
+  return sized ? SIZE_LETTERS[sized[2]] : "Medium";
+}
+
+/* The name a product shares with the other sizes of it, or null for
+   products sold in one size */
+export function getProductRange(product) {
+  const sized = SIZED_NAME.exec(product.name);
+  return sized ? sized[1] : null;
+}
+
+/* Item fields that make a studio item the given product: its type, its size
+   and the link */
+export function getProductItemFields(product) {
+  return { type: getProductType(product), size: getProductSize(product), productId: product.id };
+}
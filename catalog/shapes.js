@@ -0,0 +1,147 @@
+import { getCushionCount, getDoorCount, getPillowCount, getSeatHeight, getShelfCount } from "./furniture";
+
+/* Furniture Shapes:
+   - How the built-in types are built: the boxes and cylinders each is made
+     of, laid out from an item's dimensions, each in the finish of one of
+     the type's parts.
+   - A shape is { part, geometry, args, position }. `geometry` is "box" with
+     args [width, height, depth] or "cylinder" with args [top radius, bottom
+     radius, height], as three.js's BoxGeometry and CylinderGeometry take
+     them; `position` is its centre, with the item standing on the floor at
+     the origin.
+   - The studio draws the shapes with its part materials (FurnitureBody in
+     App.js) and the store builds its 3D previews from them
+     (Website/src/lib/furnitureModel.ts).
+*/
+const box = (part, args, position) => ({ part, geometry: "box", args, position });
+const cylinder = (part, radius, height, position) => ({
+  part,
+  geometry: "cylinder",
+  args: [radius, radius, height],
+  position
+});
+
+const CORNERS = [[-1, -1], [1, -1], [-1, 1], [1, 1]];
+
+/* Builders by the name catalogue entries give (see furniture.js) */
+const BUILDERS = {
+  Chair(dims) {
+    const seatHeight = getSeatHeight(dims);
+    return [
+      // Seat cushion
+      box("upholstery", [dims.width, 0.1, dims.depth], [0, seatHeight, 0]),
+      // Backrest cushion
+      box(
+        "upholstery",
+        [dims.width, (dims.height - seatHeight) * 0.8, 0.1],
+        [0, dims.height - 0.2, -dims.depth / 2 + 0.05]
+      ),
+      // Legs
+      ...CORNERS.map(([x, z]) =>
+        cylinder("legs", 0.02, seatHeight, [x * (dims.width / 2 - 0.05), seatHeight / 2, z * (dims.depth / 2 - 0.05)])
+      )
+    ];
+  },
+
+  Table(dims) {
+    return [
+      // Table top
+      box("top", [dims.width, 0.04, dims.depth], [0, dims.height, 0]),
+      // Legs
+      ...CORNERS.map(([x, z]) =>
+        cylinder("legs", 0.02, dims.height, [x * (dims.width / 2 - 0.1), dims.height / 2, z * (dims.depth / 2 - 0.1)])
+      )
+    ];
+  },
+
+  Bed(dims) {
+    // Pillows side by side, spread across the width
+    const numPillows = getPillowCount(dims);
+    const pillowSpacing = dims.width / numPillows;
+    return [
+      // Bed frame
+      box("frame", [dims.width, dims.height, dims.depth], [0, dims.height / 2, 0]),
+      // Mattress
+      box("mattress", [dims.width - 0.1, 0.2, dims.depth - 0.2], [0, dims.height + 0.1, 0]),
+      // Pillows
+      ...Array.from({ length: numPillows }, (_, i) =>
+        box(
+          "pillows",
+          [0.5, 0.1, 0.4],
+          [(i - (numPillows - 1) / 2) * pillowSpacing, dims.height + 0.25, -dims.depth / 2 + 0.3]
+        )
+      )
+    ];
+  },
+
+  Sofa(dims) {
+    const numCushions = getCushionCount(dims);
+    const cushionWidth = (dims.width - 0.4) / numCushions;
+    return [
+      // Base frame
+      box("base", [dims.width, dims.height / 2, dims.depth], [0, dims.height / 4, 0]),
+      // Seat cushions
+      ...Array.from({ length: numCushions }, (_, i) =>
+        box(
+          "upholstery",
+          [cushionWidth - 0.1, 0.2, dims.depth - 0.2],
+          [-dims.width / 2 + cushionWidth / 2 + cushionWidth * i + 0.2, dims.height / 2, 0]
+        )
+      ),
+      // Backrest
+      box("upholstery", [dims.width, dims.height / 2, 0.2], [0, dims.height * 0.75, -dims.depth / 2 + 0.1])
+    ];
+  },
+
+  Cabinet(dims) {
+    return [
+      // Main body
+      box("body", [dims.width, dims.height, dims.depth], [0, dims.height / 2, 0]),
+      // Doors and their handles
+      ...[-1, 1].flatMap((x) => [
+        box("body", [dims.width / 2 - 0.02, dims.height - 0.04, 0.02], [(x * dims.width) / 4, dims.height / 2, dims.depth / 2 + 0.01]),
+        cylinder("handles", 0.01, 0.1, [
+          x * Math.min(dims.width / 4 + 0.15, dims.width / 2 - 0.05),
+          dims.height / 2,
+          dims.depth / 2 + 0.03
+        ])
+      ])
+    ];
+  },
+
+  Wardrobes(dims) {
+    const numDoors = getDoorCount(dims);
+    const doorWidth = dims.width / numDoors;
+    return [
+      // Main body
+      box("body", [dims.width, dims.height, dims.depth], [0, dims.height / 2, 0]),
+      // Doors and their handles
+      ...Array.from({ length: numDoors }, (_, i) => {
+        const x = -dims.width / 2 + doorWidth / 2 + doorWidth * i;
+        return [
+          box("body", [doorWidth - 0.02, dims.height - 0.04, 0.02], [x, dims.height / 2, dims.depth / 2 + 0.01]),
+          cylinder("handles", 0.01, 0.15, [x + 0.15, dims.height / 2, dims.depth / 2 + 0.03])
+        ];
+      }).flat()
+    ];
+  },
+
+  Rack(dims) {
+    const numShelves = getShelfCount(dims);
+    return [
+      // Vertical supports
+      ...[-1, 1].map((x) => box("frame", [0.05, dims.height, dims.depth], [x * (dims.width / 2 - 0.025), dims.height / 2, 0])),
+      // Shelves
+      ...Array.from({ length: numShelves }, (_, i) =>
+        box("shelves", [dims.width - 0.1, 0.03, dims.depth], [0, (dims.height / (numShelves - 1)) * i, 0])
+      )
+    ];
+  }
+};
+
+/* The shapes of a built-in type's builder at some dimensions; none for an
+   unknown builder */
+export function getFurnitureShapes(builder, dims) {
+  const build = BUILDERS[builder];
+  return build ? build(dims) : [];
+}